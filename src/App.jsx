@@ -1,22 +1,43 @@
-import React, { useState, useEffect, createContext, useContext, useRef } from 'react';
-import { initializeApp } from 'firebase/app';
+import React, { useState, useEffect, createContext, useContext, useRef, useMemo, useCallback, useId } from 'react';
+import { initializeApp, deleteApp } from 'firebase/app';
 import {
-  getFirestore, collection, doc, setDoc, getDoc, updateDoc, deleteDoc,
-  onSnapshot, addDoc, query, where, getDocs, serverTimestamp
+  initializeFirestore, persistentLocalCache, persistentMultipleTabManager, collection, doc, setDoc, getDoc, updateDoc, deleteDoc,
+  onSnapshot, addDoc, query, where, getDocs, serverTimestamp, orderBy, writeBatch, runTransaction
 } from 'firebase/firestore';
 import {
   getAuth, signInWithEmailAndPassword, createUserWithEmailAndPassword,
-  onAuthStateChanged, signOut, GoogleAuthProvider, signInWithPopup
+  onAuthStateChanged, signOut, GoogleAuthProvider, signInWithPopup, sendEmailVerification
 } from 'firebase/auth';
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import { useEditor, useEditorState, EditorContent, NodeViewWrapper, ReactNodeViewRenderer, Node, Extension, getSchema } from '@tiptap/react';
+import { Plugin, PluginKey } from '@tiptap/pm/state';
+import { Decoration, DecorationSet } from '@tiptap/pm/view';
+import * as Y from 'yjs';
+import { Awareness, encodeAwarenessUpdate, applyAwarenessUpdate, removeAwarenessStates } from 'y-protocols/awareness';
+import {
+  ySyncPlugin, yCursorPlugin, yUndoPlugin, yUndoPluginKey, undo, redo,
+  prosemirrorJSONToYXmlFragment, prosemirrorToYXmlFragment, yXmlFragmentToProseMirrorRootNode
+} from '@tiptap/y-tiptap';
+import StarterKit from '@tiptap/starter-kit';
+import { TableKit } from '@tiptap/extension-table';
 import {
   BookOpen, Layout, FileText, Settings, CheckCircle, AlertCircle,
-  Loader, Plus, Trash, Save, BarChart3, GraduationCap, Cpu, Cloud,
-  LogOut, ChevronRight, Search, PenTool
+  Loader, Plus, Trash, Save, BarChart3, GraduationCap, Cpu, Cloud, CloudOff,
+  LogOut, ChevronRight, Search, PenTool, ArrowUp, ArrowDown, Check, X, KeyRound, Download, Upload,
+  Bold, Italic, Heading2, Heading3, List, ListOrdered, Quote, TableIcon, Superscript, BookMarked, Undo2, Redo2, Sparkles, Square, HistoryIcon, RotateCcw, GitCompare, Bookmark,
+  Calendar, CheckSquare, MoreHorizontal, ArrowLeft, ArrowRight, ChartGantt, Flag, TriangleAlert, Users, Mail,
+  MessageSquare, MessageSquarePlus
 } from 'lucide-react';
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell
 } from 'recharts';
+import { OfflineError, isNetworkError } from './lib/network.js';
+import { CREDIT_LIMIT, CreditLimitError, createCreditLedger } from './lib/credits.js';
+import { countWords, toDate, asText, toCSV, diffWords } from './lib/helpers.js';
+import { TASK_PRIORITIES, taskColumns, columnOf, sortTasks, isoDate, addDays, daysBetween, dueState } from './lib/tasks.js';
+import { CITATION_STYLES, SOURCE_TYPES, parseName, parseAuthors, normalizeSource, fullName, invertedName, shortAuthors, formatBibliography, MATRIX_FIELDS, SOURCE_SORTS, sourceSearchText, formatInTextCitation, citationOrder, citationNumber, parseCitationLabels, toBibTeX, toRIS } from './lib/citations.js';
+import { REFERENCE_FILE_TYPES, parseReferenceFile, markDuplicates } from './lib/references.js';
+import { AI_MODEL, AIError, WRITING_ACTIONS, parsePartialJSON, readSource, readSynthesis, readTasks, createGeminiProvider, createFakeProvider, FAKE_AI_REPLIES, createAIService, aiErrorMessage } from './lib/ai.js';
 
 // --- Constants & Theme ---
 const THEME = {
@@ -33,335 +54,2434 @@ const THEME = {
   hover: "hover:bg-slate-700"
 };
 
-// --- Contexts ---
-export const SettingsContext = createContext();
+const DEFAULT_CHAPTERS = ['Introduction', 'Literature Review', 'Methodology', 'Results', 'Discussion', 'Conclusion'];
+const AUTOSAVE_DELAY = 1200; // ms of typing inactivity before a chapter is written
+const UNDO_DELAY = 8000; // ms an undo prompt stays on screen after a delete
 
-const DEFAULT_KEYS = {
-  firebase: {
-    apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
-    authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
-    projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
-    storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
-    messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
-    appId: import.meta.env.VITE_FIREBASE_APP_ID,
-    measurementId: import.meta.env.VITE_FIREBASE_MEASUREMENT_ID
-  },
-  gemini: import.meta.env.VITE_GEMINI_API_KEY
+// --- Helpers ---
+// Writes a chapter document with its plain-text copy and rolls the new total up into the project document
+const writeChapterDoc = (store, projectPath, chapters, id, doc) => {
+  const content = docToText(doc);
+  const words = countWords(content);
+  const total = chapters.reduce((sum, c) => sum + (c.id === id ? words : (c.wordCount || 0)), 0);
+  return store.batch([
+    { type: 'update', path: `${projectPath}/chapters/${id}`, data: { doc: JSON.stringify(doc), content, wordCount: words, updatedAt: store.timestamp() } },
+    { type: 'update', path: projectPath, data: { wordCount: total } }
+  ]);
 };
 
-const SettingsProvider = ({ children }) => {
-  const [keys, setKeys] = useState(() => {
-    const saved = localStorage.getItem('thesis_nexus_keys');
-    return saved ? JSON.parse(saved) : DEFAULT_KEYS;
+// --- Data Stores ---
+// Modules read and write through a store rather than Firestore directly. Paths are slash-separated
+// ('projects/{id}/tasks'); collection reads resolve to arrays of { id, ...data } and document reads
+// to { id, ...data } or null. Collection reads accept { where: [field, op, value], orderBy: field },
+// with '==' and 'array-contains' filters. The memory store mirrors the Firestore one so Demo Mode
+// needs no keys.
+const parentOf = (path) => path.split('/').slice(0, -1).join('/');
+const idOf = (path) => path.split('/').pop();
+const compareValues = (a, b) => (a > b) - (a < b);
+const matchesFilter = (data, [field, op, value]) => (op === 'array-contains' ? (data[field] || []).includes(value) : data[field] === value);
+
+// Supports Firestore-style dotted field paths ('members.abc'); maps along a path are copied, not mutated
+const applyFieldUpdate = (current, data) => {
+  const next = { ...current };
+  Object.entries(data).forEach(([key, value]) => {
+    const keys = key.split('.');
+    const target = keys.slice(0, -1).reduce((obj, k) => (obj[k] = obj[k] && typeof obj[k] === 'object' ? { ...obj[k] } : {}), next);
+    target[keys[keys.length - 1]] = value;
   });
+  return next;
+};
 
-  return (
-    <SettingsContext.Provider value={{ keys }}>
-      {children}
-    </SettingsContext.Provider>
-  );
+// The document a write op leaves behind, or null once it is deleted
+const applyWrite = (current, { type, data, merge }) => {
+  if (type === 'delete') return null;
+  if (type === 'update') return current && applyFieldUpdate(current, data);
+  return merge && current ? applyFieldUpdate(current, data) : data;
 };
 
-// --- App Component ---
-export default function App() {
-  return (
-    <SettingsProvider>
-      <MainApp />
-    </SettingsProvider>
-  );
+function createFirestoreStore(db) {
+  const withId = (snap) => ({ id: snap.id, ...snap.data() });
+  const collectionQuery = (path, { where: filter, orderBy: field } = {}) => {
+    const constraints = [filter && where(...filter), field && orderBy(field)].filter(Boolean);
+    return constraints.length ? query(collection(db, path), ...constraints) : collection(db, path);
+  };
+  // Write batches and transactions share set/update/delete
+  const stage = (target, { type, path, data, merge }) => {
+    if (type === 'delete') target.delete(doc(db, path));
+    else if (type === 'set') target.set(doc(db, path), data, { merge: !!merge });
+    else target.update(doc(db, path), data);
+  };
+
+  return {
+    watchCollection: (path, callback, options) => onSnapshot(collectionQuery(path, options), (snap) => callback(snap.docs.map(withId)), console.error),
+    watchDoc: (path, callback) => onSnapshot(doc(db, path), (snap) => callback(snap.exists() ? withId(snap) : null), console.error),
+    get: async (path) => {
+      const snap = await getDoc(doc(db, path));
+      return snap.exists() ? withId(snap) : null;
+    },
+    list: async (path, options) => (await getDocs(collectionQuery(path, options))).docs.map(withId),
+    add: async (path, data) => (await addDoc(collection(db, path), data)).id,
+    set: (path, data, options = {}) => setDoc(doc(db, path), data, options),
+    update: (path, data) => updateDoc(doc(db, path), data),
+    remove: (path) => deleteDoc(doc(db, path)),
+    newId: (path) => doc(collection(db, path)).id,
+    // ops: [{ type: 'set' | 'update' | 'delete', path, data, merge }], committed atomically
+    batch: (ops) => {
+      const batch = writeBatch(db);
+      ops.forEach(op => stage(batch, op));
+      return batch.commit();
+    },
+    // Commits ops only if check({ [path]: data or null }), given the documents they touch, does not throw
+    batchIf: (ops, check) => runTransaction(db, async (tx) => {
+      const paths = [...new Set(ops.map(op => op.path))];
+      const snaps = await Promise.all(paths.map(path => tx.get(doc(db, path))));
+      check(Object.fromEntries(snaps.map((snap, i) => [paths[i], snap.exists() ? snap.data() : null])));
+      ops.forEach(op => stage(tx, op));
+    }),
+    // Replaces a document with fn(current); throwing inside fn aborts without writing
+    transact: (path, fn) => runTransaction(db, async (tx) => {
+      const snap = await tx.get(doc(db, path));
+      const next = fn(snap.exists() ? snap.data() : null);
+      tx.set(doc(db, path), next);
+      return next;
+    }),
+    timestamp: () => serverTimestamp()
+  };
 }
 
-function MainApp() {
-  const { keys } = useContext(SettingsContext);
-  const [user, setUser] = useState(null);
-  const [appState, setAppState] = useState('loading'); // loading, auth, setup, launchpad, workspace
-  const [isDemo, setIsDemo] = useState(false);
-  const [project, setProject] = useState(null);
-  const [notification, setNotification] = useState(null); // { type: 'success'|'error', message: '' }
+function createMemoryStore(seed = {}) {
+  const docs = new Map(Object.entries(seed).map(([path, data]) => [path, structuredClone(data)]));
+  const listeners = new Set();
+  let counter = 0;
 
-  // Firebase & AI Refs
-  const [services, setServices] = useState({ auth: null, db: null, ai: null });
+  const readDoc = (path) => (docs.has(path) ? { id: idOf(path), ...structuredClone(docs.get(path)) } : null);
+  const readCollection = (path, { where: filter, orderBy: field } = {}) => {
+    const list = [...docs.keys()].filter(p => parentOf(p) === path).map(readDoc).filter(d => !filter || matchesFilter(d, filter));
+    return field ? list.sort((a, b) => compareValues(a[field], b[field])) : list;
+  };
 
-  // Initialize Services
-  useEffect(() => {
-    if (isDemo) {
-      setAppState('workspace');
-      setProject(MOCK_DATA.project);
-      return;
-    }
+  // Snapshots are delivered asynchronously, as Firestore does
+  const notify = () => listeners.forEach(l => queueMicrotask(() => listeners.has(l) && l.emit()));
+  const watch = (emit) => {
+    const listener = { emit };
+    listeners.add(listener);
+    queueMicrotask(() => listeners.has(listener) && emit());
+    return () => listeners.delete(listener);
+  };
 
-    if (keys.firebase && keys.gemini) {
-      try {
-        const app = initializeApp(keys.firebase);
-        const auth = getAuth(app);
-        const db = getFirestore(app);
-        const ai = new GoogleGenerativeAI(keys.gemini);
-        setServices({ auth, db, ai });
-
-        const unsubscribe = onAuthStateChanged(auth, async (u) => {
-          if (u) {
-            setUser(u);
-            // Check for existing project
-            const projDoc = await getDoc(doc(db, 'projects', u.uid));
-            if (projDoc.exists()) {
-              setProject(projDoc.data());
-              setAppState('workspace');
-            } else {
-              setAppState('launchpad');
-            }
-          } else {
-            setUser(null);
-            setAppState('auth');
-          }
-        });
-        return () => unsubscribe();
-      } catch (e) {
-        console.error("Init Error", e);
-        setNotification({ type: 'error', message: "Invalid Configuration Keys" });
-        setAppState('setup');
-      }
-    } else {
-      setAppState('setup');
-    }
-  }, [keys, isDemo]);
+  const write = (op) => {
+    if (op.type === 'update' && !docs.has(op.path)) throw new Error(`No document to update: ${op.path}`);
+    const next = applyWrite(docs.get(op.path) ?? null, op);
+    if (next) docs.set(op.path, structuredClone(next));
+    else docs.delete(op.path);
+  };
 
-  const showNotification = (type, message) => {
-    setNotification({ type, message });
-    setTimeout(() => setNotification(null), 3000);
+  const commit = async (ops) => {
+    ops.forEach(write);
+    notify();
   };
 
-  // --- Render Logic ---
-  if (appState === 'loading') return <div className={`h-screen w-full flex items-center justify-center ${THEME.bg} ${THEME.text}`}><Loader className="animate-spin w-8 h-8 text-cyan-500" /></div>;
+  return {
+    watchCollection: (path, callback, options) => watch(() => callback(readCollection(path, options))),
+    watchDoc: (path, callback) => watch(() => callback(readDoc(path))),
+    get: async (path) => readDoc(path),
+    list: async (path, options) => readCollection(path, options),
+    add: async (path, data) => {
+      const id = `mem-${++counter}`;
+      await commit([{ type: 'set', path: `${path}/${id}`, data }]);
+      return id;
+    },
+    set: (path, data, { merge } = {}) => commit([{ type: 'set', path, data, merge }]),
+    update: (path, data) => commit([{ type: 'update', path, data }]),
+    remove: (path) => commit([{ type: 'delete', path }]),
+    newId: () => `mem-${++counter}`,
+    batch: (ops) => commit(ops),
+    batchIf: async (ops, check) => {
+      check(Object.fromEntries(ops.map(({ path }) => [path, docs.has(path) ? structuredClone(docs.get(path)) : null])));
+      await commit(ops);
+    },
+    transact: async (path, fn) => {
+      const next = fn(docs.has(path) ? structuredClone(docs.get(path)) : null);
+      await commit([{ type: 'set', path, data: next }]);
+      return next;
+    },
+    timestamp: () => new Date()
+  };
+}
 
-  return (
-    <div className={`min-h-screen ${THEME.bg} ${THEME.text} font-sans selection:bg-cyan-500/30`}>
-      {notification && (
-        <div className={`fixed top-4 right-4 z-50 px-4 py-2 rounded-lg shadow-lg border ${notification.type === 'error' ? 'bg-red-900/90 border-red-700 text-red-100' : 'bg-emerald-900/90 border-emerald-700 text-emerald-100'} flex items-center gap-2 animate-in slide-in-from-top-2`}>
-          {notification.type === 'error' ? <AlertCircle size={18} /> : <CheckCircle size={18} />}
-          {notification.message}
-        </div>
-      )}
+// --- Offline Sync ---
+// Signed-in sessions write through an outbox store wrapped around Firestore. Every write shows up
+// in reads at once and is kept in localStorage until the server confirms it, so edits made offline
+// survive a reload and are sent in order once the connection returns; Firestore's persistent cache
+// serves the reads meanwhile. A write made offline also records the version of each document it
+// started from and is sent in a transaction that holds it back as a conflict when someone else
+// changed the same fields in the meantime. Failed and conflicting writes are set aside for the
+// user to retry, keep or discard, without holding up the writes queued after them.
+const RETRY_DELAY = 15000; // ms before writes interrupted by a lost connection are sent again
+const SERVER_TIME = { '.sv': 'timestamp' }; // stands in for the server timestamp in stored writes
+// Derived copies and bookkeeping, rewritten wholesale by whoever saves, so differences are no conflict
+const UNCHECKED_FIELDS = ['doc', 'content', 'wordCount', 'yState', 'updatedAt', 'seenAt'];
+const COLLECTION_NOUNS = {
+  projects: 'project', chapters: 'chapter', chapterUpdates: 'chapter edit', sources: 'source', sourceTexts: 'source text',
+  tasks: 'task', versions: 'version', comments: 'comment', presence: 'presence', invites: 'invitation', usage: 'AI usage'
+};
 
-      {appState === 'setup' && <div className="p-10 text-center">Configuration Error. Check .env file.</div>}
-      {appState === 'auth' && <AuthScreen auth={services.auth} />}
-      {appState === 'launchpad' && <Launchpad user={user} db={services.db} ai={services.ai} onProjectCreated={(p) => { setProject(p); setAppState('workspace'); }} showNotification={showNotification} />}
-      {appState === 'workspace' && (
-        <Workspace
-          user={user}
-          project={project}
-          db={services.db}
-          ai={services.ai}
-          isDemo={isDemo}
-          onLogout={() => signOut(services.auth)}
-          showNotification={showNotification}
-        />
-      )}
-    </div>
-  );
+class SyncConflictError extends Error {
+  constructor(conflicts) {
+    super('Changed by someone else while offline');
+    this.name = 'SyncConflictError';
+    this.conflicts = conflicts;
+  }
 }
 
-// --- Sub-Screens ---
+// Queued writes are stored as JSON, with timestamps as { '.ms': millis } that are sent back as Dates
+const encodeValue = (value) => {
+  if (value?.toMillis) return { '.ms': value.toMillis() };
+  if (value instanceof Date) return { '.ms': value.getTime() };
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, encodeValue(v)]));
+  return value;
+};
+
+const decodeValue = (value, serverTime) => {
+  if (Array.isArray(value)) return value.map(v => decodeValue(v, serverTime));
+  if (!value || typeof value !== 'object' || value instanceof Date || value.toMillis) return value;
+  if (value['.sv'] === 'timestamp') return serverTime();
+  if ('.ms' in value) return new Date(value['.ms']);
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decodeValue(v, serverTime)]));
+};
 
-function SetupScreen({ onSave, onDemo }) {
-  const [fbConfig, setFbConfig] = useState('');
-  const [geminiKey, setGeminiKey] = useState('');
+const stableJSON = (value) => JSON.stringify(value ?? null, (_key, v) => (
+  v && typeof v === 'object' && !Array.isArray(v) ? Object.fromEntries(Object.entries(v).sort(([a], [b]) => compareValues(a, b))) : v
+));
+const valueAt = (data, key) => key.split('.').reduce((value, k) => value?.[k], data);
+// A server timestamp still waiting in the base matches whatever time the server gave it
+const sameValue = (a, b) => (a?.['.sv'] ? b?.['.ms'] !== undefined : stableJSON(a) === stableJSON(b));
 
-  const handleSave = () => {
+// Fields of an op's document that someone else changed since `base`, in encoded form. Edits that
+// happen to agree with this write are not counted.
+const conflictOf = (op, base, current) => {
+  if (!current) return op.type === 'delete' ? null : { path: op.path, deleted: true };
+  const keys = op.type === 'update' || op.merge ? Object.keys(op.data) : [...new Set([...Object.keys(base), ...Object.keys(current)])];
+  const fields = keys.filter(key => !UNCHECKED_FIELDS.includes(key.split('.')[0])
+    && !sameValue(valueAt(base, key), valueAt(current, key))
+    && (op.type === 'delete' || !sameValue(op.data[key], valueAt(current, key))));
+  return fields.length ? { path: op.path, title: current.title, fields } : null;
+};
+
+function createOutboxStore(remote, { key, storage = localStorage, retryDelay = RETRY_DELAY }) {
+  const prefix = `thesis_nexus_outbox_${key}_`;
+  const seen = new Map(); // path -> encoded document as last read from the server
+  const views = new Set(); // open watches, re-rendered whenever the outbox changes
+  const statusListeners = new Set();
+  const waiters = new Map(); // entry id -> { resolve, reject } of a write made with { confirm }
+  let online = navigator.onLine;
+  let flushing = false;
+  let retryTimer = null;
+  let counter = 0;
+
+  const load = () => Array.from({ length: storage.length }, (_, i) => storage.key(i))
+    .filter(k => k?.startsWith(prefix))
+    .map((k) => {
+      try {
+        const entry = JSON.parse(storage.getItem(k));
+        return entry && { ...entry, stored: true };
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => compareValues(a.id, b.id));
+  let entries = load();
+
+  const save = (entry) => {
     try {
-      const parsedFb = JSON.parse(fbConfig);
-      onSave(parsedFb, geminiKey);
+      storage.setItem(prefix + entry.id, JSON.stringify(entry));
+      entry.stored = true;
     } catch (e) {
-      alert("Invalid JSON for Firebase Config");
+      console.error("Could not keep an unsent change in storage", e);
     }
   };
+  const drop = (entry) => {
+    entries = entries.filter(e => e !== entry);
+    storage.removeItem(prefix + entry.id);
+  };
 
-  return (
-    <div className="h-screen flex flex-col items-center justify-center p-4 max-w-md mx-auto">
-      <div className="mb-8 text-center">
-        <h1 className="text-4xl font-bold bg-gradient-to-r from-cyan-400 to-emerald-400 bg-clip-text text-transparent mb-2">ThesisGen</h1>
-        <p className={`${THEME.textMuted}`}>System Configuration Required</p>
-      </div>
+  const status = () => ({
+    online,
+    pending: entries.filter(e => e.state === 'queued').length,
+    issues: entries.filter(e => e.state !== 'queued').map(({ id, label, state, error, conflicts }) => ({ id, label, state, error, conflicts }))
+  });
+  // Like snapshots, changes reach watchers asynchronously
+  const changed = () => queueMicrotask(() => {
+    views.forEach(view => view.refresh());
+    statusListeners.forEach(listener => listener(status()));
+  });
 
-      <div className={`w-full ${THEME.card} p-6 rounded-xl border ${THEME.border} shadow-2xl`}>
-        <div className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium mb-1">Firebase Config (JSON)</label>
-            <textarea
-              className={`w-full h-32 bg-slate-900 border ${THEME.border} rounded-lg p-3 text-xs font-mono focus:ring-2 focus:ring-cyan-500 outline-none`}
-              placeholder='{"apiKey": "...", "authDomain": "..."}'
-              value={fbConfig}
-              onChange={(e) => setFbConfig(e.target.value)}
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium mb-1">Gemini API Key</label>
-            <input
-              type="password"
-              className={`w-full bg-slate-900 border ${THEME.border} rounded-lg p-3 text-sm focus:ring-2 focus:ring-cyan-500 outline-none`}
-              placeholder="AIzaSy..."
-              value={geminiKey}
-              onChange={(e) => setGeminiKey(e.target.value)}
-            />
-          </div>
-          <button onClick={handleSave} className={`w-full py-3 ${THEME.accentBg} text-white font-bold rounded-lg hover:opacity-90 transition-all`}>
-            Initialize System
-          </button>
-        </div>
+  // Reads show the remote data with the queued writes applied over it
+  const queuedOps = (match) => entries.filter(e => e.state === 'queued').flatMap(e => e.ops).filter(op => match(op.path));
+  const localOp = (op) => ({ ...op, data: decodeValue(op.data, () => null) });
+  const overlayDoc = (path, remoteDoc) => {
+    const ops = queuedOps(p => p === path);
+    if (!ops.length) return remoteDoc;
+    const { id: _id, ...fields } = remoteDoc || {};
+    const next = ops.reduce((current, op) => applyWrite(current, localOp(op)), remoteDoc && fields);
+    return next && { id: idOf(path), ...next };
+  };
+  const overlayCollection = (path, docs, { where: filter, orderBy: field } = {}) => {
+    const paths = new Set(queuedOps(p => parentOf(p) === path).map(op => op.path));
+    if (!paths.size) return docs;
+    const byPath = new Map(docs.map(d => [`${path}/${d.id}`, d]));
+    paths.forEach(p => byPath.set(p, overlayDoc(p, byPath.get(p) || null)));
+    const list = [...byPath.values()].filter(d => d && (!filter || matchesFilter(d, filter)));
+    return field ? list.sort((a, b) => compareValues(a[field], b[field])) : list;
+  };
 
-        <div className="mt-6 pt-6 border-t border-slate-700 text-center">
-          <p className="text-xs text-slate-500 mb-3">Just want to look around?</p>
-          <button onClick={onDemo} className={`w-full py-2 bg-slate-700 text-slate-300 font-medium rounded-lg hover:bg-slate-600 transition-all`}>
-            Enter Demo Mode
-          </button>
-        </div>
-      </div>
-    </div>
-  );
-}
+  const remember = (path, data) => {
+    if (data) {
+      const { id: _id, ...fields } = data;
+      seen.set(path, encodeValue(fields));
+    } else {
+      seen.delete(path);
+    }
+  };
 
-function AuthScreen({ auth }) {
-  const [isLogin, setIsLogin] = useState(true);
-  const [email, setEmail] = useState('');
-  const [pass, setPass] = useState('');
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
+  const watch = (listen, render) => {
+    const view = { refresh: () => {} };
+    views.add(view);
+    const unsubscribe = listen((value) => {
+      view.refresh = () => render(value);
+      view.refresh();
+    });
+    return () => {
+      views.delete(view);
+      unsubscribe();
+    };
+  };
 
-  const handleAuth = async (e) => {
-    e.preventDefault();
-    setLoading(true);
-    setError('');
+  // The version this user was looking at: the server's copy with any writes queued before it
+  const baseOf = (path) => {
+    const ops = queuedOps(p => p === path);
+    if (!seen.has(path) && !ops.length) return undefined;
+    return ops.reduce((current, op) => applyWrite(current, op), seen.get(path) ?? null) ?? undefined;
+  };
+
+  const describe = ([first, ...rest]) => {
+    const noun = COLLECTION_NOUNS[first.path.split('/').slice(-2)[0]] || 'item';
+    const title = first.data?.title || seen.get(first.path)?.title;
+    const verb = first.type === 'delete' ? 'Delete' : first.type === 'update' || seen.has(first.path) ? 'Update' : 'Save';
+    return `${verb} ${noun}${title ? ` "${title}"` : ''}${rest.length ? ` and ${rest.length} more` : ''}`;
+  };
+
+  const send = (entry) => {
+    const ops = entry.ops.map(op => ({ ...op, data: decodeValue(op.data, remote.timestamp) }));
+    if (!entry.base) return remote.batch(ops);
+    return remote.batchIf(ops, (current) => {
+      const conflicts = entry.ops
+        .filter(op => op.path in entry.base)
+        .map(op => conflictOf(op, entry.base[op.path], encodeValue(current[op.path])))
+        .filter(Boolean);
+      if (conflicts.length) throw new SyncConflictError(conflicts);
+    });
+  };
+
+  // One entry at a time and in order; each stays stored until the server has confirmed it
+  const flush = async () => {
+    if (flushing) return;
+    flushing = true;
+    clearTimeout(retryTimer);
     try {
-      if (isLogin) {
-        await signInWithEmailAndPassword(auth, email, pass);
-      } else {
-        await createUserWithEmailAndPassword(auth, email, pass);
+      let entry;
+      while (online && (entry = entries.find(e => e.state === 'queued'))) {
+        // Another open tab may have sent it already
+        if (entry.stored && storage.getItem(prefix + entry.id) === null) {
+          entries = entries.filter(e => e !== entry);
+          settle(entry);
+          changed();
+          continue;
+        }
+        try {
+          await send(entry);
+          drop(entry);
+          settle(entry);
+        } catch (e) {
+          if (isNetworkError(e)) {
+            retryTimer = setTimeout(flush, retryDelay);
+            break;
+          }
+          console.error(e);
+          Object.assign(entry, e instanceof SyncConflictError ? { state: 'conflict', conflicts: e.conflicts } : { state: 'failed', error: e.message });
+          save(entry);
+          settle(entry, e);
+        } finally {
+          changed();
+        }
       }
-    } catch (err) {
-      setError(err.message);
     } finally {
-      setLoading(false);
+      flushing = false;
     }
   };
 
-  const handleGoogleLogin = async () => {
-    setLoading(true);
-    setError('');
-    try {
-      const provider = new GoogleAuthProvider();
-      await signInWithPopup(auth, provider);
-    } catch (err) {
-      setError(err.message);
-    } finally {
-      setLoading(false);
-    }
+  // With { confirm }, the write resolves once the server has it and rejects if it is refused,
+  // rather than as soon as it is queued. Such writes need a connection.
+  const settle = (entry, error) => {
+    const waiter = waiters.get(entry.id);
+    waiters.delete(entry.id);
+    if (error) waiter?.reject(error);
+    else waiter?.resolve();
   };
 
-  return (
-    <div className="h-screen flex items-center justify-center p-4">
-      <div className={`w-full max-w-sm ${THEME.card} p-8 rounded-xl border ${THEME.border} shadow-2xl`}>
-        <h2 className="text-2xl font-bold mb-6 text-center">{isLogin ? 'Sign In to Sync' : 'Create Account'}</h2>
-        {error && <div className="mb-4 p-3 bg-red-900/50 border border-red-700 rounded text-sm text-red-200">{error}</div>}
-        <form onSubmit={handleAuth} className="space-y-4">
-          <input
-            type="email" placeholder="Email" required
-            className={`w-full bg-slate-900 border ${THEME.border} rounded-lg p-3 outline-none focus:border-cyan-500`}
-            value={email} onChange={e => setEmail(e.target.value)}
-          />
-          <input
-            type="password" placeholder="Password" required
-            className={`w-full bg-slate-900 border ${THEME.border} rounded-lg p-3 outline-none focus:border-cyan-500`}
-            value={pass} onChange={e => setPass(e.target.value)}
-          />
-          <button disabled={loading} className={`w-full py-3 ${THEME.accentBg} text-white font-bold rounded-lg hover:opacity-90 flex justify-center`}>
-            {loading ? <Loader className="animate-spin" /> : (isLogin ? 'Sign In' : 'Sign Up')}
-          </button>
-        </form>
+  const enqueue = async (ops, { confirm } = {}) => {
+    if (confirm && !online) throw new OfflineError();
+    const id = `${Date.now()}-${String(++counter).padStart(6, '0')}-${Math.random().toString(36).slice(2, 6)}`;
+    const encoded = ops.map(({ type, path, data, merge }) => ({ type, path, data: encodeValue(data), merge: !!merge }));
+    // Only writes queued while offline are checked, against the versions they were made on
+    const base = online ? [] : [...new Set(encoded.map(op => op.path))].map(path => [path, baseOf(path)]).filter(([, b]) => b);
+    const entry = { id, label: describe(ops), state: 'queued', ops: encoded, base: base.length ? Object.fromEntries(base) : null };
+    const confirmed = confirm && new Promise((resolve, reject) => waiters.set(id, { resolve, reject }));
+    entries.push(entry);
+    save(entry);
+    changed();
+    flush();
+    await confirmed;
+  };
 
-        <div className="my-4 flex items-center gap-2">
-          <div className="h-px bg-slate-700 flex-1"></div>
-          <span className="text-xs text-slate-500">OR</span>
-          <div className="h-px bg-slate-700 flex-1"></div>
-        </div>
+  // Transient writes such as presence are not worth replaying later, so they are skipped offline
+  const write = (ops, { transient } = {}) => {
+    if (!transient) return enqueue(ops);
+    if (!online) return Promise.resolve();
+    return remote.batch(ops.map(op => ({ ...op, data: decodeValue(op.data, remote.timestamp) })));
+  };
 
-        <button onClick={handleGoogleLogin} disabled={loading} className={`w-full py-3 bg-white text-slate-900 font-bold rounded-lg hover:bg-slate-200 flex justify-center items-center gap-2 transition-colors`}>
-          <svg className="w-5 h-5" viewBox="0 0 24 24">
-            <path fill="currentColor" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z" />
-            <path fill="currentColor" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z" />
-            <path fill="currentColor" d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z" />
-            <path fill="currentColor" d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z" />
-          </svg>
-          Sign in with Google
-        </button>
-        <button onClick={() => setIsLogin(!isLogin)} className="w-full mt-4 text-sm text-slate-400 hover:text-cyan-400">
-          {isLogin ? "Need an account? Sign Up" : "Already have an account? Sign In"}
-        </button>
-      </div>
-    </div>
-  );
-}
+  const updateOnline = () => {
+    online = navigator.onLine;
+    changed();
+    flush();
+  };
+  window.addEventListener('online', updateOnline);
+  window.addEventListener('offline', updateOnline);
+  flush();
 
-function Launchpad({ user, db, ai, onProjectCreated, showNotification }) {
-  const [step, setStep] = useState(1); // 1: Input, 2: Selection
-  const [formData, setFormData] = useState({ field: '', degree: '', interest: '' });
-  const [concepts, setConcepts] = useState([]);
-  const [loading, setLoading] = useState(false);
+  const find = (id) => entries.find(e => e.id === id);
+  const requeue = (id, changes) => {
+    const entry = find(id);
+    if (!entry) return;
+    Object.assign(entry, { state: 'queued', error: null, conflicts: null }, changes);
+    save(entry);
+    changed();
+    flush();
+  };
 
-  const generateConcepts = async () => {
-    setLoading(true);
-    try {
-      const model = ai.getGenerativeModel({ model: "gemini-2.5-flash" });
-      const prompt = `Generate 3 unique, academic thesis concepts for a ${formData.degree} student in ${formData.field} interested in ${formData.interest}. Return ONLY a JSON array of objects with keys: "title", "description". No markdown.`;
+  return {
+    watchCollection: (path, callback, options) => watch(
+      (emit) => remote.watchCollection(path, (docs) => {
+        docs.forEach(d => remember(`${path}/${d.id}`, d));
+        emit(docs);
+      }, options),
+      (docs) => callback(overlayCollection(path, docs, options))
+    ),
+    watchDoc: (path, callback) => watch(
+      (emit) => remote.watchDoc(path, (data) => {
+        remember(path, data);
+        emit(data);
+      }),
+      (data) => callback(overlayDoc(path, data))
+    ),
+    get: async (path) => {
+      const data = await remote.get(path);
+      remember(path, data);
+      return overlayDoc(path, data);
+    },
+    list: async (path, options) => {
+      const docs = await remote.list(path, options);
+      docs.forEach(d => remember(`${path}/${d.id}`, d));
+      return overlayCollection(path, docs, options);
+    },
+    add: async (path, data) => {
+      const id = remote.newId(path);
+      await enqueue([{ type: 'set', path: `${path}/${id}`, data }]);
+      return id;
+    },
+    set: (path, data, { merge, transient } = {}) => write([{ type: 'set', path, data, merge }], { transient }),
+    update: (path, data) => write([{ type: 'update', path, data }]),
+    remove: (path, { transient } = {}) => write([{ type: 'delete', path }], { transient }),
+    newId: (path) => remote.newId(path),
+    batch: (ops, options) => enqueue(ops, options),
+    // Transactions need the server's current data, so they are not queued
+    transact: async (path, fn) => {
+      if (!online) throw new OfflineError();
+      return remote.transact(path, current => decodeValue(fn(current), remote.timestamp));
+    },
+    timestamp: () => SERVER_TIME,
 
-      const result = await model.generateContent(prompt);
-      const text = result.response.text();
-      const cleanText = text.replace(/```json|```/g, '').trim();
-      setConcepts(JSON.parse(cleanText));
-      setStep(2);
-    } catch (e) {
-      console.error(e);
-      showNotification('error', "AI Generation Failed. Try again.");
-    } finally {
-      setLoading(false);
+    // { online, pending, issues: [{ id, label, state: 'failed' | 'conflict', error, conflicts }] }
+    watchStatus: (callback) => {
+      statusListeners.add(callback);
+      queueMicrotask(() => statusListeners.has(callback) && callback(status()));
+      return () => statusListeners.delete(callback);
+    },
+    retry: (id) => requeue(id),
+    // Sends a conflicting write anyway, replacing the other changes
+    keepMine: (id) => requeue(id, { base: null }),
+    discard: (id) => {
+      const entry = find(id);
+      if (entry) drop(entry);
+      changed();
+    },
+    dispose: () => {
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
+      clearTimeout(retryTimer);
+      views.clear();
+      statusListeners.clear();
     }
   };
+}
 
-  const selectConcept = async (concept) => {
-    setLoading(true);
-    try {
-      const projectData = {
-        title: concept.title,
-        field: formData.field,
-        currentPhase: "Proposal",
-        wordCount: 0,
-        createdAt: serverTimestamp()
-      };
-      await setDoc(doc(db, 'projects', user.uid), projectData);
-      onProjectCreated(projectData);
-    } catch (e) {
-      showNotification('error', "Failed to create project.");
-    } finally {
-      setLoading(false);
-    }
-  };
+// The outbox's sync status, or null for stores that write straight through (Demo Mode)
+function useSyncStatus(store) {
+  const [status, setStatus] = useState(null);
+  useEffect(() => store.watchStatus?.(setStatus), [store]);
+  return store.watchStatus ? status : null;
+}
 
-  return (
-    <div className="h-screen flex flex-col items-center justify-center p-4 max-w-4xl mx-auto">
-      <div className="mb-8 text-center">
-        <h1 className="text-5xl font-bold mb-2"><span className="text-cyan-400">Thesis</span>Gen</h1>
-        <p className="text-xl text-slate-400">Launchpad</p>
-      </div>
+// --- Projects ---
+// Projects live at projects/{projectId} and are owned via `ownerId`. Everything a project holds
+// sits in these subcollections, which duplicate and delete walk explicitly.
+const PROJECT_COLLECTIONS = ['chapters', 'chapterUpdates', 'sources', 'sourceTexts', 'tasks', 'versions', 'comments', 'presence'];
+const BATCH_LIMIT = 400; // Firestore caps a batch at 500 writes
 
-      {step === 1 && (
-        <div className={`w-full max-w-lg ${THEME.card} p-8 rounded-2xl border ${THEME.border} space-y-6`}>
-          <div>
-            <label className="block text-sm text-slate-400 mb-1">Field of Study</label>
-            <input className="w-full bg-slate-900 border border-slate-700 rounded-lg p-3 focus:border-cyan-500 outline-none"
-              value={formData.field} onChange={e => setFormData({ ...formData, field: e.target.value })} placeholder="e.g. Computer Science" />
-          </div>
-          <div>
-            <label className="block text-sm text-slate-400 mb-1">Degree Level</label>
-            <select className="w-full bg-slate-900 border border-slate-700 rounded-lg p-3 focus:border-cyan-500 outline-none"
-              value={formData.degree} onChange={e => setFormData({ ...formData, degree: e.target.value })}>
+const commitInChunks = async (store, ops, options) => {
+  for (let i = 0; i < ops.length; i += BATCH_LIMIT) await store.batch(ops.slice(i, i + BATCH_LIMIT), options);
+};
+
+// Before multi-project support the single project lived at projects/{uid}; claim it so it lists
+async function adoptLegacyProject(store, uid) {
+  const legacy = await store.get(`projects/${uid}`);
+  if (legacy && !legacy.ownerId) await store.update(`projects/${uid}`, { ownerId: uid, archived: false });
+}
+
+async function duplicateProject(store, project, uid) {
+  const id = store.newId('projects');
+  // A copy belongs to whoever made it and is not shared with anyone
+  const { id: _sourceId, members: _members, memberIds: _memberIds, ownerEmail: _ownerEmail, ...data } = project;
+  const ops = [{ type: 'set', path: `projects/${id}`, data: { ...data, title: `${project.title} (Copy)`, ownerId: uid, archived: false, createdAt: store.timestamp() } }];
+  // Comments are signed by their authors and presence belongs to whoever has the original open
+  for (const name of PROJECT_COLLECTIONS.filter(n => n !== 'comments' && n !== 'presence')) {
+    const docs = await store.list(`projects/${project.id}/${name}`);
+    docs.forEach(({ id: docId, ...docData }) => ops.push({ type: 'set', path: `projects/${id}/${name}/${docId}`, data: docData }));
+  }
+  await commitInChunks(store, ops);
+  return id;
+}
+
+// Subcollections go first so a partial failure never leaves orphaned data without a parent
+async function deleteProject(store, projectId) {
+  const ops = [];
+  for (const name of PROJECT_COLLECTIONS) {
+    const docs = await store.list(`projects/${projectId}/${name}`);
+    docs.forEach(d => ops.push({ type: 'delete', path: `projects/${projectId}/${name}/${d.id}` }));
+  }
+  ops.push({ type: 'delete', path: `projects/${projectId}` });
+  await commitInChunks(store, ops);
+}
+
+// --- Sharing ---
+// The owner is `ownerId`. Everyone else a project is shared with sits in `members`
+// ({ [uid]: { role, email } }), with their uids repeated in `memberIds` so shared projects can be
+// listed with an array-contains query. Invitations wait at invites/{projectId}:{email} until the
+// invitee signs in with that address and accepts. firestore.rules enforces the same roles.
+const PROJECT_ROLES = {
+  owner: { label: 'Owner', description: 'Full access, including sharing and deleting the project' },
+  editor: { label: 'Co-author', description: 'Can edit chapters, sources, tasks and the timeline' },
+  commenter: { label: 'Supervisor', description: 'Can read everything and comment on chapters' },
+  viewer: { label: 'Reader', description: 'Read-only access' }
+};
+const INVITE_ROLES = ['editor', 'commenter', 'viewer'];
+
+const normalizeEmail = (email = '') => email.trim().toLowerCase();
+const inviteId = (projectId, email) => `${projectId}:${normalizeEmail(email)}`;
+const roleOf = (project, uid) => (project.ownerId === uid ? 'owner' : project.members?.[uid]?.role || null);
+const canEdit = (role) => role === 'owner' || role === 'editor';
+
+// Membership changes rewrite the whole map in a transaction so `members` and `memberIds` stay in step
+const changeMembers = (store, projectId, change) => store.transact(`projects/${projectId}`, (project) => {
+  if (!project) throw new Error('Project no longer exists');
+  const members = change({ ...project.members });
+  return { ...project, members, memberIds: Object.keys(members) };
+});
+
+async function acceptInvite(store, invite, user) {
+  await changeMembers(store, invite.projectId, members => ({ ...members, [user.uid]: { role: invite.role, email: normalizeEmail(user.email) } }));
+  await store.remove(`invites/${invite.id}`);
+}
+
+const removeMember = (store, projectId, uid) => changeMembers(store, projectId, (members) => {
+  delete members[uid];
+  return members;
+});
+
+// --- Milestones ---
+// The plan lives on the project as `defenseDate` plus `milestones`, one per phase in order:
+// { phase, start, end, completedAt }. A phase's weight is its share of the time before the defense.
+const THESIS_PHASES = [
+  { phase: 'Proposal', weight: 1 },
+  { phase: 'Lit Review', weight: 2 },
+  { phase: 'Data Collection', weight: 2 },
+  { phase: 'Analysis', weight: 1.5 },
+  { phase: 'Writing', weight: 2.5 },
+  { phase: 'Revisions', weight: 1 }
+];
+
+const phaseWeight = (phase) => THESIS_PHASES.find(p => p.phase === phase)?.weight ?? 1;
+
+// Back-to-back phases filling start..end, each at least one day long
+const scheduleMilestones = (phases, start, end) => {
+  const span = daysBetween(start, end);
+  const total = phases.reduce((sum, phase) => sum + phaseWeight(phase), 0);
+  let weight = 0;
+  let offset = 0;
+  return phases.map((phase, i) => {
+    weight += phaseWeight(phase);
+    const next = i === phases.length - 1 ? span + 1 : Math.max(offset + 1, Math.round((span * weight) / total));
+    const milestone = { phase, start: addDays(start, offset), end: addDays(start, next - 1), completedAt: null };
+    offset = next;
+    return milestone;
+  });
+};
+
+// Keeps finished phases and spreads the rest between today (or the last finish) and the defense
+const replanMilestones = (milestones, defenseDate, today) => {
+  const done = milestones.filter(m => m.completedAt);
+  const lastEnd = done.reduce((max, m) => (m.end > max ? m.end : max), '');
+  const start = lastEnd && addDays(lastEnd, 1) > today ? addDays(lastEnd, 1) : today;
+  const remaining = milestones.filter(m => !m.completedAt).map(m => m.phase);
+  const scheduled = scheduleMilestones(remaining, start, defenseDate);
+  return milestones.map(m => (m.completedAt ? m : scheduled.shift()));
+};
+
+const milestoneState = (milestone, today) => {
+  if (milestone.completedAt) return 'done';
+  if (milestone.end < today) return 'late';
+  return milestone.start <= today ? 'active' : 'upcoming';
+};
+
+const currentPhaseOf = (milestones) => (milestones.find(m => !m.completedAt) || milestones[milestones.length - 1]).phase;
+
+// Days the defense would move if the unfinished phases keep their planned lengths
+const projectedSlip = (milestones, today) => {
+  const next = milestones.find(m => !m.completedAt);
+  return next && next.end < today ? daysBetween(next.end, today) : 0;
+};
+
+// --- Demo Data ---
+const DEMO_USER = { uid: 'demo', email: 'demo@thesisgen.app' };
+
+const createDemoSeed = () => {
+  const root = 'projects/demo-thesis';
+  const chapters = [
+    { title: 'Introduction', content: "Online learning platforms collect detailed records of how students interact with course material. This thesis asks whether those records can be used to adapt the order in which content is presented, and whether doing so improves completion and retention." },
+    { title: 'Literature Review', content: "Prior work on adaptive learning falls into two camps: rule-based systems authored by instructors, and data-driven recommenders. Both report gains, but few studies compare them on the same cohort." },
+    { title: 'Methodology', content: '' }
+  ].map((c, i) => ({ ...c, order: i, wordCount: countWords(c.content) }));
+
+  const seed = {
+    [root]: {
+      title: "Adaptive Learning Pathways with Reinforcement Learning",
+      field: "Computer Science",
+      degree: "Masters",
+      currentPhase: "Lit Review",
+      defenseDate: addDays(isoDate(), 200),
+      milestones: scheduleMilestones(THESIS_PHASES.map(p => p.phase), addDays(isoDate(), -60), addDays(isoDate(), 200))
+        .map((m, i) => (i === 0 ? { ...m, completedAt: m.end } : m)),
+      wordCount: chapters.reduce((sum, c) => sum + c.wordCount, 0),
+      targetWordCount: 20000,
+      ownerId: DEMO_USER.uid,
+      ownerEmail: DEMO_USER.email,
+      members: { 'demo-supervisor': { role: 'commenter', email: 'supervisor@university.edu' } },
+      memberIds: ['demo-supervisor'],
+      archived: false,
+      createdAt: new Date()
+    },
+    'projects/demo-paper': {
+      title: "Workshop Paper: Measuring Peer Feedback Quality",
+      field: "Computer Science",
+      degree: "Masters",
+      currentPhase: "Proposal",
+      wordCount: 0,
+      targetWordCount: 4000,
+      ownerId: DEMO_USER.uid,
+      archived: false,
+      createdAt: new Date()
+    }
+  };
+  chapters.forEach((c, i) => { seed[`${root}/chapters/demo-ch-${i}`] = c; });
+  const quoted = "few studies compare them on the same cohort";
+  const quotedAt = chapters[1].content.indexOf(quoted);
+  seed[`${root}/comments/demo-comment-0`] = {
+    chapterId: 'demo-ch-1', parentId: null, anchor: anchorIn(chapters[1].content, quotedAt, quotedAt + quoted.length),
+    body: "Which studies come closest? Name them here, since this gap motivates your whole design.",
+    authorId: 'demo-supervisor', authorEmail: 'supervisor@university.edu', resolved: false, createdAt: new Date()
+  };
+  // A colleague's thesis the demo user supervises, to show the read-only view
+  const sharedIntro = "Doctoral candidates receive most feedback on their writing from a single supervisor. This study examines how structured peer review among candidates changes the feedback they receive and how they revise.";
+  seed['projects/demo-shared'] = {
+    title: "Structured Peer Review in Doctoral Writing Groups",
+    field: "Education",
+    degree: "PhD",
+    currentPhase: "Writing",
+    wordCount: countWords(sharedIntro),
+    targetWordCount: 80000,
+    ownerId: 'demo-colleague',
+    ownerEmail: 'j.okafor@university.edu',
+    members: { [DEMO_USER.uid]: { role: 'commenter', email: DEMO_USER.email } },
+    memberIds: [DEMO_USER.uid],
+    archived: false,
+    createdAt: new Date()
+  };
+  seed['projects/demo-shared/chapters/demo-shared-ch-0'] = { title: 'Introduction', content: sharedIntro, order: 0, wordCount: countWords(sharedIntro) };
+  [
+    { type: 'inproceedings', title: "Deep Knowledge Tracing", authors: [{ family: "Piech", given: "Chris" }, { family: "Bassen", given: "Jonathan" }, { family: "Huang", given: "Jonathan" }], year: "2015", venue: "Advances in Neural Information Processing Systems", volume: "28", pages: "505-513", method: "Recurrent neural networks on exercise logs", result: "Outperformed Bayesian knowledge tracing on AUC", conclusion: "Sequence models capture learning better than hand-built skill models" },
+    { type: 'article', title: "A Survey of Adaptive Learning Systems", authors: [{ family: "Kabudi", given: "Tumaini" }, { family: "Pappas", given: "Ilias" }, { family: "Olsen", given: "Dag Håkon" }], year: "2021", venue: "Computers and Education: Artificial Intelligence", volume: "2", pages: "100017", doi: "10.1016/j.caeai.2021.100017", method: "Systematic literature review of 147 studies", result: "Most systems adapt content, few adapt sequencing", conclusion: "Sequencing remains an open research area" },
+    { type: 'misc', title: "Reinforcement Learning for Instructional Sequencing", authors: [{ family: "Doroudi", given: "Shayan" }, { family: "Aleven", given: "Vincent" }, { family: "Brunskill", given: "Emma" }], year: "2019", method: "Review of RL-based tutoring experiments", result: "Half of studies showed significant learning gains", conclusion: "Gains depend on strong baselines and realistic student models" }
+  ].forEach((s, i) => { seed[`${root}/sources/demo-src-${i}`] = s; });
+  [
+    { title: "Finalize research questions", status: 'Done', priority: 'High', order: 0, dueDate: addDays(isoDate(), -7) },
+    {
+      title: "Collect 20 core papers", status: 'In Progress', priority: 'High', order: 0, dueDate: addDays(isoDate(), 2), chapterIds: ['demo-ch-1'],
+      checklist: [{ text: "Search ERIC and Scopus", done: true }, { text: "Screen abstracts", done: true }, { text: "Import into Lit Review", done: false }]
+    },
+    { title: "Draft literature review outline", status: 'In Progress', priority: 'Medium', order: 1, dueDate: addDays(isoDate(), 10), chapterIds: ['demo-ch-1'] },
+    { title: "Request dataset access from LMS team", status: 'To Do', priority: 'Medium', order: 0, description: "Ask for anonymised clickstream logs for the 2023 cohorts." },
+    { title: "Book supervisor meeting", status: 'To Do', priority: 'Low', order: 1, dueDate: addDays(isoDate(), -1) }
+  ].forEach((t, i) => { seed[`${root}/tasks/demo-task-${i}`] = t; });
+  return seed;
+};
+
+// --- Credits ---
+// Exposes the ledger's remaining credits to the UI and refreshes them when the window rolls over
+function useCredits(ledger) {
+  const [status, setStatus] = useState({ remaining: CREDIT_LIMIT, resetAt: null });
+
+  useEffect(() => {
+    let active = true;
+    ledger.status().then(s => active && setStatus(s));
+    return () => { active = false; };
+  }, [ledger]);
+
+  useEffect(() => {
+    if (!status.resetAt) return;
+    const timer = setTimeout(() => ledger.status().then(setStatus), Math.max(0, status.resetAt - Date.now()) + 1000);
+    return () => clearTimeout(timer);
+  }, [ledger, status.resetAt]);
+
+  const spend = useCallback(async () => {
+    try {
+      setStatus(await ledger.consume());
+    } catch (e) {
+      if (e instanceof CreditLimitError) setStatus({ remaining: 0, resetAt: e.resetAt });
+      throw e;
+    }
+  }, [ledger]);
+
+  return { ...status, limit: CREDIT_LIMIT, spend };
+}
+
+// --- AI Requests ---
+// Hands out one AbortSignal per request; starting a new request or unmounting cancels the last one
+function useAbortable() {
+  const controllerRef = useRef(null);
+  useEffect(() => () => controllerRef.current?.abort(), []);
+  return useMemo(() => ({
+    start: () => {
+      controllerRef.current?.abort();
+      controllerRef.current = new AbortController();
+      return controllerRef.current.signal;
+    },
+    cancel: () => controllerRef.current?.abort()
+  }), []);
+}
+
+// --- PDF Extraction ---
+// Text is pulled from PDFs in the browser; nothing is uploaded except the resulting source.
+// The full text is stored beside the source in sourceTexts/{sourceId} so the sources list stays light.
+// UTF-8 bytes of text kept per paper. Firestore caps a document at 1 MiB of UTF-8, so this leaves
+// room for the file name and per-page overhead.
+const PDF_TEXT_BYTES = 900 * 1024;
+const PDF_TITLE_JUNK = /^(microsoft word|untitled|document\d*$)|\.(pdf|docx?|tex)$/i;
+
+// pdf.js is large and runs in a worker, so both are fetched only when a PDF is dropped
+const loadPdfJs = async () => {
+  const [pdfjs, worker] = await Promise.all([import('pdfjs-dist'), import('pdfjs-dist/build/pdf.worker.min.mjs?url')]);
+  pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+  return pdfjs;
+};
+
+// Returns the text of every page, plus the first page's lines with their font size for title detection
+async function extractPdfText(file) {
+  const pdfjs = await loadPdfJs();
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+  try {
+    const { info } = await pdf.getMetadata().catch(() => ({ info: {} }));
+    const pages = [];
+    let firstPageLines = [];
+    for (let n = 1; n <= pdf.numPages; n++) {
+      const { items } = await (await pdf.getPage(n)).getTextContent();
+      const lines = [{ text: '', size: 0 }];
+      items.forEach(item => {
+        const line = lines[lines.length - 1];
+        line.text += item.str || '';
+        if (item.str?.trim()) line.size = Math.max(line.size, Math.round(item.height * 2) / 2);
+        if (item.hasEOL) lines.push({ text: '', size: 0 });
+      });
+      const clean = lines.map(l => ({ ...l, text: l.text.replace(/\s+/g, ' ').trim() })).filter(l => l.text);
+      if (n === 1) firstPageLines = clean;
+      pages.push(clean.map(l => l.text).join('\n'));
+    }
+    return { pages, firstPageLines, info: info || {} };
+  } finally {
+    pdf.destroy();
+  }
+}
+
+// Best-effort guesses from the first pages; anything not found is left empty for the AI or the user
+function detectPdfMetadata({ pages, firstPageLines, info }) {
+  const head = pages.slice(0, 2).join('\n');
+
+  // The title is the metadata title when it looks real, otherwise the first run of the largest text
+  const largest = Math.max(0, ...firstPageLines.map(l => l.size));
+  const start = firstPageLines.findIndex(l => l.size === largest);
+  let end = start;
+  while (end < firstPageLines.length && firstPageLines[end].size === largest) end++;
+  const metaTitle = asText(info.Title);
+  const title = metaTitle.length > 8 && !PDF_TITLE_JUNK.test(metaTitle)
+    ? metaTitle
+    : firstPageLines.slice(start, end).map(l => l.text).join(' ');
+
+  // Authors usually follow the title, decorated with affiliation marks and e-mail addresses
+  const byline = (firstPageLines[end]?.text || '').replace(/[\d*†‡§¶]+/g, '').replace(/\S+@\S+/g, '').trim();
+  const looksLikeNames = byline && byline.split(/,|\band\b|&/).every(part => /^\s*(\p{Lu}[\p{L}.'-]*\s+){1,3}\p{Lu}[\p{L}'-]+\s*$/u.test(part));
+
+  const abstract = (head.match(/(?:^|\n)\s*abstract(?:\s*[.:—–-]|[^\S\n]*\n)\s*([\s\S]+?)(?=\n\s*(?:keywords|key words|index terms|ccs concepts|(?:1|i)\.?\s+introduction|introduction)\b|$)/i)?.[1] || '')
+    .replace(/-\n(?=\p{Ll})/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 3000);
+
+  return {
+    title,
+    authors: parseAuthors(asText(info.Author) || (looksLikeNames ? byline : '')),
+    doi: (head.match(/\b10\.\d{4,9}\/[^\s"<>]+/) || [''])[0].replace(/[.,;)\]]+$/, ''),
+    year: (head.match(/(?:©|\(c\)|copyright)\s*((?:19|20)\d{2})/i) || [])[1] || '',
+    abstract
+  };
+}
+
+// Drops trailing pages once the stored text would pass PDF_TEXT_BYTES
+const limitPdfPages = (pages) => {
+  const encoder = new TextEncoder();
+  let total = 0;
+  const kept = [];
+  for (const page of pages) {
+    const bytes = encoder.encode(page).length;
+    if (total + bytes > PDF_TEXT_BYTES) return { pages: kept, truncated: true };
+    total += bytes;
+    kept.push(page);
+  }
+  return { pages: kept, truncated: false };
+};
+
+// --- Chapter Documents ---
+// A chapter's text is a ProseMirror document stored in `doc` as a JSON string, because nested
+// lists and tables can exceed Firestore's field depth limit. `content` keeps a plain-text copy for
+// word counts, search and AI prompts. Chapters written before the editor only have `content`.
+const TEXTBLOCKS = ['paragraph', 'heading'];
+
+const textToParagraphs = (text = '') => text
+  .split(/\n+/)
+  .map(p => p.trim())
+  .filter(Boolean)
+  .map(p => ({ type: 'paragraph', content: [{ type: 'text', text: p }] }));
+
+const chapterDoc = (chapter) => {
+  if (chapter?.doc) return JSON.parse(chapter.doc);
+  const content = textToParagraphs(chapter?.content);
+  return { type: 'doc', content: content.length ? content : [{ type: 'paragraph' }] };
+};
+
+const docToText = (node) => {
+  if (node.type === 'text') return node.text;
+  if (node.type === 'hardBreak') return '\n';
+  return (node.content || []).map(docToText).join(TEXTBLOCKS.includes(node.type) ? '' : '\n');
+};
+
+// Inline atoms: a footnote carries its note text, a citation the ids of the sources it cites
+const Footnote = Node.create({
+  name: 'footnote',
+  group: 'inline',
+  inline: true,
+  atom: true,
+  addAttributes: () => ({ text: { default: '', rendered: false } }),
+  parseHTML: () => [{ tag: 'sup[data-footnote]', getAttrs: el => ({ text: el.getAttribute('data-footnote') }) }],
+  renderHTML: ({ node }) => ['sup', { 'data-footnote': node.attrs.text }],
+  addNodeView: () => ReactNodeViewRenderer(FootnoteView)
+});
+
+const Citation = Node.create({
+  name: 'citation',
+  group: 'inline',
+  inline: true,
+  atom: true,
+  addAttributes: () => ({
+    sourceIds: { default: [], rendered: false },
+    page: { default: '', rendered: false }
+  }),
+  parseHTML: () => [{
+    tag: 'cite[data-sources]',
+    getAttrs: el => ({ sourceIds: el.getAttribute('data-sources').split(',').filter(Boolean), page: el.getAttribute('data-page') || '' })
+  }],
+  renderHTML: ({ node }) => ['cite', { 'data-sources': node.attrs.sourceIds.join(','), 'data-page': node.attrs.page }],
+  addNodeView: () => ReactNodeViewRenderer(CitationView)
+});
+
+// Review comments live in projects/{id}/comments. A thread opens with a comment anchored to a
+// passage as { quote, prefix, suffix }; replies point at it through `parentId`. Anchors are text,
+// not marks in the chapter, so members who cannot edit a chapter can still comment on it.
+const ANCHOR_CONTEXT = 32; // characters kept either side of a quote to tell repeated phrases apart
+
+const anchorIn = (text, start, end) => ({
+  quote: text.slice(start, end),
+  prefix: text.slice(Math.max(0, start - ANCHOR_CONTEXT), start),
+  suffix: text.slice(end, end + ANCHOR_CONTEXT)
+});
+
+// A document's text with the position of each character in it; textblocks are joined by newlines
+const textIndex = (doc) => {
+  let text = '';
+  const positions = [];
+  doc.descendants((node, pos) => {
+    if (node.isText) {
+      text += node.text;
+      for (let i = 0; i < node.text.length; i++) positions.push(pos + i);
+    } else if (node.isTextblock && text) {
+      text += '\n';
+      positions.push(pos);
+    }
+  });
+  return { text, positions };
+};
+
+const anchorAt = (doc, from, to) => {
+  const { text, positions } = textIndex(doc);
+  let start = positions.findIndex(pos => pos >= from);
+  let end = positions.findLastIndex(pos => pos < to) + 1;
+  if (start < 0) return null;
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return end > start ? anchorIn(text, start, end) : null;
+};
+
+const sharedLength = (a, b, fromEnd = false) => {
+  let n = 0;
+  while (n < a.length && n < b.length && (fromEnd ? a[a.length - 1 - n] === b[b.length - 1 - n] : a[n] === b[n])) n++;
+  return n;
+};
+
+// Where an anchor's quote is now. Of several matches the one whose surroundings agree most with
+// the recorded context wins; null means the quoted passage itself was changed or deleted.
+const findAnchor = ({ text, positions }, anchor) => {
+  if (!anchor?.quote) return null;
+  let best = null;
+  for (let i = text.indexOf(anchor.quote); i >= 0; i = text.indexOf(anchor.quote, i + 1)) {
+    const end = i + anchor.quote.length;
+    const score = sharedLength(text.slice(Math.max(0, i - ANCHOR_CONTEXT), i), anchor.prefix, true) + sharedLength(text.slice(end, end + ANCHOR_CONTEXT), anchor.suffix);
+    if (!best || score > best.score) best = { score, from: positions[i], to: positions[end - 1] + 1 };
+  }
+  return best && { from: best.from, to: best.to };
+};
+
+// Unresolved threads per chapter id
+const openCommentCounts = (comments) => comments.reduce((counts, c) => (
+  c.parentId || c.resolved ? counts : { ...counts, [c.chapterId]: (counts[c.chapterId] || 0) + 1 }
+), {});
+
+const commentsKey = new PluginKey('comments');
+
+// Highlights threads with decorations, leaving the document untouched. Each time the threads are
+// handed over their anchors are searched for again; between times the ranges follow the edits,
+// and anchors without a range are looked for again in case the passage has reappeared.
+const CommentHighlights = Extension.create({
+  name: 'commentHighlights',
+  addProseMirrorPlugins: () => [new Plugin({
+    key: commentsKey,
+    state: {
+      init: () => ({ threads: [], ranges: {}, activeId: null }),
+      apply: (tr, value, _previous, state) => {
+        const meta = tr.getMeta(commentsKey);
+        if (!meta && !tr.docChanged) return value;
+        const { threads, activeId } = meta || value;
+        let index = null;
+        const ranges = Object.fromEntries(threads.map(({ id, anchor }) => {
+          const range = !meta && value.ranges[id];
+          const from = range && tr.mapping.map(range.from, 1);
+          const to = range && tr.mapping.map(range.to, -1);
+          if (range && from < to) return [id, { from, to }];
+          index = index || textIndex(state.doc);
+          return [id, findAnchor(index, anchor)];
+        }));
+        return { threads, ranges, activeId };
+      }
+    },
+    props: {
+      decorations: (state) => {
+        const { ranges, activeId } = commentsKey.getState(state);
+        return DecorationSet.create(state.doc, Object.entries(ranges).filter(([, range]) => range).map(([id, { from, to }]) => (
+          Decoration.inline(from, to, { class: `comment-highlight${id === activeId ? ' is-active' : ''}`, 'data-comment': id })
+        )));
+      }
+    }
+  })]
+});
+
+const STARTER_OPTIONS = { heading: { levels: [2, 3] }, code: false, codeBlock: false, horizontalRule: false, strike: false, link: false };
+const CHAPTER_EXTENSIONS = [
+  StarterKit.configure(STARTER_OPTIONS),
+  TableKit.configure({ table: { resizable: false } }),
+  Footnote,
+  Citation,
+  CommentHighlights
+];
+const CHAPTER_SCHEMA = getSchema(CHAPTER_EXTENSIONS);
+
+// --- Collaboration ---
+// While a chapter is open its text is a Yjs document, so concurrent edits merge instead of
+// overwriting each other. Clients write their edits as small updates to
+// projects/{id}/chapterUpdates; once enough pile up, one client folds them into the chapter's
+// `yState` and deletes them. Updates can be applied in any order and more than once, so edits made
+// offline merge whenever they arrive. `doc` and `content` stay the copies everything else reads.
+// Who has the project open, and where their cursor is, is kept in projects/{id}/presence/{uid}.
+const CHAPTER_FRAGMENT = 'default';
+const REMOTE = 'remote'; // origin of Yjs and awareness updates that came from the store
+const SYNC_DELAY = 300; // ms local edits are gathered before they are written
+const COMPACT_AFTER = 50; // updates a chapter collects before they are folded into its yState
+const PRESENCE_THROTTLE = 1000; // Firestore sustains about one write per second to a document
+const PRESENCE_HEARTBEAT = 20000;
+const PRESENCE_TIMEOUT = 60000; // presence not refreshed for this long counts as gone
+const PRESENCE_COLORS = ['#f472b6', '#a78bfa', '#60a5fa', '#34d399', '#fbbf24', '#fb923c', '#f87171', '#2dd4bf'];
+
+const toBase64 = (bytes) => btoa(Array.from(bytes, b => String.fromCharCode(b)).join(''));
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+const presenceColor = (uid = '') => PRESENCE_COLORS[[...uid].reduce((sum, c) => sum + c.charCodeAt(0), 0) % PRESENCE_COLORS.length];
+const presenceName = (email) => email?.split('@')[0] || 'Guest';
+
+// Seeds an empty Yjs document from the chapter's saved copy. The fixed client id makes the seed
+// identical wherever it is built, so clients that seed the same chapter at once still agree.
+const seedChapter = (ydoc, chapter) => {
+  const seed = new Y.Doc();
+  seed.clientID = 0;
+  prosemirrorJSONToYXmlFragment(CHAPTER_SCHEMA, chapterDoc(chapter), seed.getXmlFragment(CHAPTER_FRAGMENT));
+  Y.applyUpdate(ydoc, Y.encodeStateAsUpdate(seed));
+  seed.destroy();
+};
+
+// A chapter's Yjs document as stored: its folded state plus the updates not folded in yet
+const loadChapterYDoc = (chapter, updates) => {
+  const ydoc = new Y.Doc();
+  [chapter.yState, ...updates.map(u => u.update)].filter(Boolean).forEach(u => Y.applyUpdate(ydoc, fromBase64(u), REMOTE));
+  return ydoc;
+};
+
+// Changes a chapter from outside the editor. The edit goes through the chapter's Yjs state like
+// typing does, so it merges with whatever collaborators are writing at the time.
+async function editChapterDoc(store, projectPath, chapters, id, edit) {
+  const chapter = await store.get(`${projectPath}/chapters/${id}`);
+  if (!chapter) throw new Error('Chapter no longer exists');
+  const updates = await store.list(`${projectPath}/chapterUpdates`, { where: ['chapterId', '==', id] });
+  const ydoc = loadChapterYDoc(chapter, updates);
+  const loaded = Y.encodeStateVector(ydoc);
+  if (!chapter.yState && !updates.length) seedChapter(ydoc, chapter);
+  const fragment = ydoc.getXmlFragment(CHAPTER_FRAGMENT);
+  const doc = edit(yXmlFragmentToProseMirrorRootNode(fragment, CHAPTER_SCHEMA).toJSON());
+  prosemirrorToYXmlFragment(CHAPTER_SCHEMA.nodeFromJSON(doc), fragment);
+  await store.add(`${projectPath}/chapterUpdates`, { chapterId: id, update: toBase64(Y.encodeStateAsUpdate(ydoc, loaded)), createdAt: store.timestamp() });
+  ydoc.destroy();
+  await writeChapterDoc(store, projectPath, chapters, id, doc);
+}
+
+// Keeps one chapter's Yjs document and cursor awareness in step with the store. onReady receives
+// { chapterId, ydoc, awareness } once the saved state is loaded; onError gets the last write
+// failure, or null after a write succeeds. Returns a function that disconnects.
+function connectChapter({ store, projectPath, chapterId, user, canWrite, onReady, onError }) {
+  const ydoc = new Y.Doc();
+  const awareness = new Awareness(ydoc);
+  const chapterPath = `${projectPath}/chapters/${chapterId}`;
+  const updatesPath = `${projectPath}/chapterUpdates`;
+  const presencePath = `${projectPath}/presence/${user.uid}`;
+  const applied = new Set(); // ids of the updates merged so far
+  const peers = new Map(); // uid -> awareness client id of collaborators in this chapter
+  let chapter;
+  let updatesLoaded = false;
+  let ready = false;
+  let appliedState = null;
+  let queue = [];
+  let flushTimer = null;
+  let presenceTimer = null;
+  let compacting = false;
+
+  const applyRemote = (encoded) => Y.applyUpdate(ydoc, fromBase64(encoded), REMOTE);
+
+  const flush = () => {
+    clearTimeout(flushTimer);
+    if (!queue.length) return;
+    const update = Y.mergeUpdates(queue);
+    queue = [];
+    store.add(updatesPath, { chapterId, update: toBase64(update), createdAt: store.timestamp() })
+      .then(() => onError(null))
+      .catch((e) => {
+        console.error(e);
+        queue.unshift(update);
+        onError(e);
+      });
+  };
+
+  ydoc.on('update', (update, origin) => {
+    if (origin === REMOTE || !canWrite) return;
+    queue.push(update);
+    clearTimeout(flushTimer);
+    flushTimer = setTimeout(flush, SYNC_DELAY);
+  });
+
+  // Merging inside the transaction keeps whatever another client folded in at the same time, and
+  // only updates already merged here are deleted
+  const compact = async (updates) => {
+    compacting = true;
+    try {
+      await store.transact(chapterPath, (current) => {
+        if (!current) throw new Error('Chapter no longer exists');
+        if (current.yState) applyRemote(current.yState);
+        return { ...current, yState: toBase64(Y.encodeStateAsUpdate(ydoc)) };
+      });
+      await commitInChunks(store, updates.map(u => ({ type: 'delete', path: `${updatesPath}/${u.id}` })));
+    } catch (e) {
+      console.error(e);
+    } finally {
+      compacting = false;
+    }
+  };
+
+  const publish = () => {
+    clearTimeout(presenceTimer);
+    presenceTimer = null;
+    store.set(presencePath, {
+      chapterId, clientId: ydoc.clientID,
+      awareness: toBase64(encodeAwarenessUpdate(awareness, [ydoc.clientID])), seenAt: store.timestamp()
+    }, { merge: true, transient: true }).catch(console.error);
+  };
+  const onAwareness = (_changes, origin) => {
+    if (origin !== REMOTE && !presenceTimer) presenceTimer = setTimeout(publish, PRESENCE_THROTTLE);
+  };
+  awareness.setLocalStateField('user', { name: presenceName(user.email), color: presenceColor(user.uid) });
+  awareness.on('update', onAwareness);
+
+  const start = () => {
+    if (ready || chapter === undefined || !updatesLoaded) return;
+    ready = true;
+    if (!chapter) return;
+    // The seed is written straight away, because every later edit builds on it
+    if (!chapter.yState && !applied.size) seedChapter(ydoc, chapter);
+    flush();
+    onReady({ chapterId, ydoc, awareness });
+    publish();
+  };
+
+  const unwatchChapter = store.watchDoc(chapterPath, (data) => {
+    chapter = data;
+    if (data?.yState && data.yState !== appliedState) {
+      appliedState = data.yState;
+      applyRemote(data.yState);
+    }
+    start();
+  });
+
+  const unwatchUpdates = store.watchCollection(updatesPath, (updates) => {
+    updates.filter(u => !applied.has(u.id)).forEach((u) => {
+      applied.add(u.id);
+      applyRemote(u.update);
+    });
+    updatesLoaded = true;
+    start();
+    if (ready && canWrite && !compacting && updates.length >= COMPACT_AFTER) compact(updates);
+  }, { where: ['chapterId', '==', chapterId] });
+
+  const unwatchPresence = store.watchCollection(`${projectPath}/presence`, (entries) => {
+    const here = entries.filter(p => p.id !== user.uid && p.chapterId === chapterId && p.awareness);
+    here.forEach((p) => {
+      peers.set(p.id, p.clientId);
+      applyAwarenessUpdate(awareness, fromBase64(p.awareness), REMOTE);
+    });
+    const left = [...peers].filter(([uid]) => !here.some(p => p.id === uid));
+    left.forEach(([uid]) => peers.delete(uid));
+    if (left.length) removeAwarenessStates(awareness, left.map(([, clientId]) => clientId), REMOTE);
+  });
+
+  return () => {
+    flush();
+    unwatchChapter();
+    unwatchUpdates();
+    unwatchPresence();
+    clearTimeout(presenceTimer);
+    awareness.off('update', onAwareness);
+    awareness.destroy();
+    ydoc.destroy();
+  };
+}
+
+function useChapterSession({ store, projectPath, chapterId, chapterTitle, user, canWrite }) {
+  const [session, setSession] = useState(null);
+  const [syncError, setSyncError] = useState(null);
+  const { uid, email } = user;
+
+  useEffect(() => {
+    if (!chapterId) return;
+    return connectChapter({ store, projectPath, chapterId, user: { uid, email }, canWrite, onReady: setSession, onError: setSyncError });
+  }, [store, projectPath, chapterId, uid, email, canWrite]);
+
+  // Kept apart from the connection so renaming a chapter does not reload it
+  useEffect(() => {
+    if (chapterId) store.set(`${projectPath}/presence/${uid}`, { chapterTitle }, { merge: true, transient: true }).catch(console.error);
+  }, [store, projectPath, uid, chapterId, chapterTitle]);
+
+  // A session from the previous chapter is never handed to the editor
+  return { session: session?.chapterId === chapterId ? session : null, syncError };
+}
+
+// Binds an editor to a chapter session: the document, the collaborators' cursors and an undo
+// history that only takes back this user's own edits
+const ChapterSync = Extension.create({
+  name: 'chapterSync',
+  priority: 1000,
+  addOptions: () => ({ session: null }),
+  addCommands: () => ({
+    undo: () => ({ tr, state, dispatch }) => {
+      tr.setMeta('preventDispatch', true);
+      if (!yUndoPluginKey.getState(state)?.undoManager.undoStack.length) return false;
+      return dispatch ? undo(state) : true;
+    },
+    redo: () => ({ tr, state, dispatch }) => {
+      tr.setMeta('preventDispatch', true);
+      if (!yUndoPluginKey.getState(state)?.undoManager.redoStack.length) return false;
+      return dispatch ? redo(state) : true;
+    }
+  }),
+  addKeyboardShortcuts() {
+    return {
+      'Mod-z': () => this.editor.commands.undo(),
+      'Mod-y': () => this.editor.commands.redo(),
+      'Shift-Mod-z': () => this.editor.commands.redo()
+    };
+  },
+  addProseMirrorPlugins() {
+    const { ydoc, awareness } = this.options.session;
+    return [ySyncPlugin(ydoc.getXmlFragment(CHAPTER_FRAGMENT)), yCursorPlugin(awareness), yUndoPlugin()];
+  }
+});
+
+const collaborativeExtensions = (session) => [
+  StarterKit.configure({ ...STARTER_OPTIONS, undoRedo: false }),
+  ...CHAPTER_EXTENSIONS.slice(1),
+  ChapterSync.configure({ session })
+];
+
+// Collaborators seen within PRESENCE_TIMEOUT. This user's own entry is kept fresh while the
+// workspace is open, recording which module they are in; the chapter and cursor fields written by
+// connectChapter are cleared outside the Chapter Drafter.
+function usePresence(store, projectId, user, location) {
+  const [entries, setEntries] = useState([]);
+  const [now, setNow] = useState(() => Date.now());
+  const path = `projects/${projectId}/presence/${user.uid}`;
+
+  useEffect(() => store.watchCollection(`projects/${projectId}/presence`, setEntries), [store, projectId]);
+
+  useEffect(() => {
+    const away = location === 'drafter' ? {} : { chapterId: null, chapterTitle: null, awareness: null };
+    const beat = () => store.set(path, { email: user.email || '', location, ...away, seenAt: store.timestamp() }, { merge: true, transient: true }).catch(console.error);
+    beat();
+    const timer = setInterval(() => {
+      beat();
+      setNow(Date.now());
+    }, PRESENCE_HEARTBEAT);
+    return () => clearInterval(timer);
+  }, [store, path, user.email, location]);
+
+  useEffect(() => () => {
+    store.remove(path, { transient: true }).catch(console.error);
+  }, [store, path]);
+
+  // Unconfirmed server timestamps count as current
+  return entries.filter(p => p.id !== user.uid && now - (toDate(p.seenAt)?.getTime() ?? now) < PRESENCE_TIMEOUT);
+}
+
+// Versions live in projects/{id}/versions rather than under the chapter, so a chapter's history
+// outlives the chapter. kind: 'auto' (periodic, or taken before an AI change), 'checkpoint'
+// (named by the user) or 'deleted' (the chapter as it was when deleted).
+const SNAPSHOT_INTERVAL = 10 * 60 * 1000; // minimum gap between periodic snapshots of a chapter
+const AUTO_SNAPSHOT_LIMIT = 30; // automatic snapshots kept per chapter; checkpoints are never pruned
+
+const versionData = (store, chapter, doc, { kind = 'auto', name = '' } = {}) => {
+  const content = docToText(doc);
+  return {
+    chapterId: chapter.id, chapterTitle: chapter.title, order: chapter.order ?? 0, kind, name,
+    doc: JSON.stringify(doc), content, wordCount: countWords(content), createdAt: store.timestamp()
+  };
+};
+
+// Unconfirmed server timestamps sort as the newest
+const versionTime = (version) => toDate(version.createdAt)?.getTime() ?? Infinity;
+
+const versionLabel = (version) => version.name || (version.kind === 'deleted' ? 'Deleted chapter' : 'Automatic snapshot');
+
+const snapshotChapter = async (store, projectPath, chapter, doc, options) => {
+  await store.add(`${projectPath}/versions`, versionData(store, chapter, doc, options));
+  const autos = (await store.list(`${projectPath}/versions`, { where: ['chapterId', '==', chapter.id] }))
+    .filter(v => v.kind === 'auto')
+    .sort((a, b) => versionTime(b) - versionTime(a));
+  if (autos.length > AUTO_SNAPSHOT_LIMIT) {
+    await store.batch(autos.slice(AUTO_SNAPSHOT_LIMIT).map(v => ({ type: 'delete', path: `${projectPath}/versions/${v.id}` })));
+  }
+};
+
+// The footnotes of a document in reading order, with the position needed to edit each one
+const collectFootnotes = (doc) => {
+  const notes = [];
+  doc.descendants((node, pos) => {
+    if (node.type.name === 'footnote') notes.push({ pos, text: node.attrs.text });
+  });
+  return notes;
+};
+
+// Turns AI text with [S1]-style labels into paragraphs whose labels are citation nodes
+const citedTextToNodes = (text, labelled) => text
+  .split(/\n\s*\n/)
+  .map(p => p.trim())
+  .filter(Boolean)
+  .map(paragraph => ({
+    type: 'paragraph',
+    content: parseCitationLabels(paragraph, labelled).map(segment => (segment.cite
+      ? { type: 'citation', attrs: { sourceIds: segment.cite.map(s => s.id), page: '' } }
+      : { type: 'text', text: segment.text.replace(/\s+/g, ' ') }))
+  }));
+
+// Flattens a document into writer-neutral blocks for export. Inline content becomes runs of
+// { text, bold, italic } or { footnote: n }, numbered through `footnotes` across the whole export.
+function docToBlocks(doc, cite, footnotes) {
+  const runsOf = (node) => (node.content || []).flatMap(child => {
+    if (child.type === 'text') {
+      const marks = (child.marks || []).map(m => m.type);
+      return [{ text: child.text, bold: marks.includes('bold'), italic: marks.includes('italic') }];
+    }
+    if (child.type === 'hardBreak') return [{ text: '\n' }];
+    if (child.type === 'citation') return [{ text: cite(child.attrs) }];
+    if (child.type === 'footnote') {
+      footnotes.push(child.attrs.text);
+      return [{ footnote: footnotes.length }];
+    }
+    return [];
+  });
+
+  const listItems = (list, depth) => (list.content || []).flatMap(item => (item.content || []).flatMap(child => (
+    child.type === 'bulletList' || child.type === 'orderedList'
+      ? listItems(child, depth + 1)
+      : [{ depth, ordered: list.type === 'orderedList', runs: runsOf(child) }]
+  )));
+
+  const blocksOf = (node) => {
+    switch (node.type) {
+      case 'paragraph': return [{ type: 'paragraph', runs: runsOf(node) }];
+      case 'heading': return [{ type: 'heading', level: node.attrs.level, runs: runsOf(node) }];
+      case 'blockquote': return (node.content || []).flatMap(blocksOf).map(b => ({ ...b, quote: true }));
+      case 'bulletList':
+      case 'orderedList': return [{ type: 'list', items: listItems(node, 0) }];
+      case 'table': return [{
+        type: 'table',
+        rows: (node.content || []).map(row => (row.content || []).map(cell => ({
+          header: cell.type === 'tableHeader',
+          runs: (cell.content || []).flatMap((p, i) => [...(i ? [{ text: '\n' }] : []), ...runsOf(p)])
+        })))
+      }];
+      default: return [];
+    }
+  };
+
+  return (doc.content || []).flatMap(blocksOf).filter(b => b.type !== 'paragraph' || b.runs.length);
+}
+
+// --- Export ---
+const EXPORT_FORMATS = {
+  docx: { label: 'Word (.docx)', extension: 'docx' },
+  html: { label: 'Print-ready HTML', extension: 'html' },
+  markdown: { label: 'Markdown', extension: 'md' }
+};
+
+const escapeHTML = (text = '') => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const slugify = (text = '') => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'thesis';
+
+// Flattens the project into a format-neutral outline that each writer renders
+const buildExportModel = ({ project, chapters, sources }, { titlePage, toc, bibliography, chapterIds }) => {
+  const style = project.citationStyle || 'apa';
+  const docs = chapters.map(chapterDoc);
+  // Numbered over every chapter, as in the editor, even when only some are exported
+  const ordered = citationOrder(docs, sources.map(normalizeSource));
+  const numberOf = citationNumber(ordered);
+  const cite = ({ sourceIds, page }) => {
+    const cited = sourceIds.map(id => ordered.find(s => s.id === id)).filter(Boolean);
+    return cited.length ? formatInTextCitation(cited, style, numberOf, page) : '';
+  };
+  const footnotes = [];
+  return {
+    title: project.title,
+    subtitle: [project.degree && `${project.degree} Thesis`, project.field].filter(Boolean).join(' • '),
+    titlePage,
+    toc,
+    chapters: chapters
+      .map((c, i) => ({ chapter: c, doc: docs[i] }))
+      .filter(({ chapter }) => chapterIds.includes(chapter.id))
+      .map(({ chapter, doc }, i) => ({
+        anchor: `chapter-${i + 1}`,
+        title: `${i + 1}. ${chapter.title}`,
+        blocks: docToBlocks(doc, cite, footnotes)
+      })),
+    footnotes,
+    references: bibliography ? formatBibliography(ordered, style) : []
+  };
+};
+
+// Emphasis markers must hug the text, so surrounding spaces are moved outside them
+const runsToMarkdown = (runs) => runs.map(r => {
+  if (r.footnote) return `[^${r.footnote}]`;
+  const [, lead, core, trail] = r.text.replace(/\n/g, '  \n').match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!core) return r.text;
+  const wrap = `${r.bold ? '**' : ''}${r.italic ? '_' : ''}`;
+  return `${lead}${wrap}${core}${[...wrap].reverse().join('')}${trail}`;
+}).join('');
+
+const blockToMarkdown = (block) => {
+  if (block.type === 'heading') return `${'#'.repeat(block.level + 1)} ${runsToMarkdown(block.runs)}`;
+  if (block.type === 'list') return block.items.map(item => `${'   '.repeat(item.depth)}${item.ordered ? '1.' : '-'} ${runsToMarkdown(item.runs)}`).join('\n');
+  if (block.type === 'table') {
+    const row = (cells) => `| ${cells.map(c => runsToMarkdown(c.runs).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, '<br>')).join(' | ')} |`;
+    const [head, ...rest] = block.rows;
+    return [row(head), `|${head.map(() => ' --- ').join('|')}|`, ...rest.map(row)].join('\n');
+  }
+  const text = runsToMarkdown(block.runs);
+  return block.quote ? text.split('\n').map(line => `> ${line}`).join('\n') : text;
+};
+
+const toMarkdown = (model) => {
+  const parts = [];
+  if (model.titlePage) parts.push(`# ${model.title}`, model.subtitle && `_${model.subtitle}_`);
+  if (model.toc) {
+    const entries = model.chapters.map(c => `- [${c.title}](#${slugify(c.title)})`);
+    if (model.references.length) entries.push('- [References](#references)');
+    parts.push('## Table of Contents', entries.join('\n'));
+  }
+  model.chapters.forEach(c => parts.push(`## ${c.title}`, ...c.blocks.map(blockToMarkdown)));
+  if (model.footnotes.length) parts.push(model.footnotes.map((note, i) => `[^${i + 1}]: ${note.replace(/\n/g, ' ')}`).join('\n'));
+  if (model.references.length) parts.push('## References', model.references.map(r => `- ${runsToMarkdown(r)}`).join('\n'));
+  return parts.filter(Boolean).join('\n\n') + '\n';
+};
+
+const runsToHTML = (runs) => runs.map(r => {
+  if (r.footnote) return `<sup><a href="#fn-${r.footnote}" id="fnref-${r.footnote}">${r.footnote}</a></sup>`;
+  let html = escapeHTML(r.text).replace(/\n/g, '<br>');
+  if (r.bold) html = `<strong>${html}</strong>`;
+  if (r.italic) html = `<em>${html}</em>`;
+  return html;
+}).join('');
+
+// Rebuilds nesting from item depths; a deeper item opens a new list inside the open <li>
+const listToHTML = (items) => {
+  let html = '';
+  const open = [];
+  items.forEach(item => {
+    if (open.length > item.depth) {
+      html += '</li>';
+      while (open.length > item.depth + 1) html += `</${open.pop()}></li>`;
+    }
+    while (open.length < item.depth + 1) {
+      const tag = item.ordered ? 'ol' : 'ul';
+      html += `<${tag}>`;
+      open.push(tag);
+    }
+    html += `<li>${runsToHTML(item.runs)}`;
+  });
+  while (open.length) html += `</li></${open.pop()}>`;
+  return html;
+};
+
+const blockToHTML = (block) => {
+  if (block.type === 'heading') return `<h${block.level + 1}>${runsToHTML(block.runs)}</h${block.level + 1}>`;
+  if (block.type === 'list') return listToHTML(block.items);
+  if (block.type === 'table') {
+    return `<table>${block.rows.map(row => `<tr>${row.map(c => (c.header ? `<th>${runsToHTML(c.runs)}</th>` : `<td>${runsToHTML(c.runs)}</td>`)).join('')}</tr>`).join('')}</table>`;
+  }
+  return block.quote ? `<blockquote><p>${runsToHTML(block.runs)}</p></blockquote>` : `<p>${runsToHTML(block.runs)}</p>`;
+};
+
+const toHTML = (model) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(model.title)}</title>
+<style>
+  @page { size: A4; margin: 2.54cm; }
+  body { font-family: "Times New Roman", Times, serif; font-size: 12pt; line-height: 2; color: #000; max-width: 16cm; margin: 2rem auto; }
+  h1, h2, h3, h4 { font-weight: bold; line-height: 1.3; }
+  h2 { font-size: 14pt; margin-top: 2em; }
+  h3 { font-size: 13pt; }
+  h4 { font-size: 12pt; font-style: italic; }
+  p { text-indent: 1.27cm; margin: 0; text-align: justify; }
+  blockquote { margin: 0 1.27cm; }
+  blockquote p { text-indent: 0; }
+  table { border-collapse: collapse; width: 100%; margin: 1em 0; line-height: 1.4; }
+  th, td { border: 1px solid #000; padding: 4px 8px; text-align: left; vertical-align: top; }
+  sup a { color: inherit; text-decoration: none; }
+  .title-page { text-align: center; padding-top: 30vh; }
+  .title-page h1 { font-size: 20pt; }
+  .toc ol { list-style: none; padding: 0; }
+  .toc a { color: inherit; text-decoration: none; }
+  .footnotes { font-size: 10pt; line-height: 1.5; }
+  .references p { text-indent: -1.27cm; padding-left: 1.27cm; }
+  .page-break { break-before: page; }
+  @media print { body { margin: 0; max-width: none; } }
+</style>
+</head>
+<body>
+${model.titlePage ? `<section class="title-page"><h1>${escapeHTML(model.title)}</h1><p>${escapeHTML(model.subtitle)}</p></section>` : ''}
+${model.toc ? `<nav class="toc page-break"><h2>Table of Contents</h2><ol>${model.chapters.map(c => `<li><a href="#${c.anchor}">${escapeHTML(c.title)}</a></li>`).join('')}${model.references.length ? '<li><a href="#references">References</a></li>' : ''}</ol></nav>` : ''}
+${model.chapters.map(c => `<section class="page-break" id="${c.anchor}"><h2>${escapeHTML(c.title)}</h2>${c.blocks.map(blockToHTML).join('')}</section>`).join('\n')}
+${model.footnotes.length ? `<section class="footnotes"><hr><ol>${model.footnotes.map((note, i) => `<li id="fn-${i + 1}">${escapeHTML(note)} <a href="#fnref-${i + 1}">↩</a></li>`).join('')}</ol></section>` : ''}
+${model.references.length ? `<section class="references page-break" id="references"><h2>References</h2>${model.references.map(r => `<p>${runsToHTML(r)}</p>`).join('')}</section>` : ''}
+</body>
+</html>
+`;
+
+// docx is large, so it is only fetched when someone actually exports to Word
+const toDocx = async (model) => {
+  const {
+    Document, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType, PageBreak, FootnoteReferenceRun,
+    Table, TableRow, TableCell, WidthType, LevelFormat
+  } = await import('docx');
+  const runs = (list, extra = {}) => list.flatMap(r => (r.footnote
+    ? [new FootnoteReferenceRun(r.footnote)]
+    : r.text.split('\n').map((line, i) => new TextRun({ text: line, bold: r.bold, italics: r.italic, break: i ? 1 : undefined, ...extra }))));
+  let listCount = 0;
+  const blockToDocx = (block) => {
+    if (block.type === 'heading') {
+      return [new Paragraph({ heading: block.level === 2 ? HeadingLevel.HEADING_2 : HeadingLevel.HEADING_3, children: runs(block.runs) })];
+    }
+    if (block.type === 'list') {
+      listCount++;
+      return block.items.map(item => new Paragraph({
+        numbering: { reference: item.ordered ? 'numbered' : 'bulleted', level: Math.min(item.depth, 3), instance: listCount },
+        children: runs(item.runs)
+      }));
+    }
+    if (block.type === 'table') {
+      return [new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        rows: block.rows.map(row => new TableRow({
+          children: row.map(cell => new TableCell({ children: [new Paragraph({ children: runs(cell.runs, cell.header ? { bold: true } : {}) })] }))
+        }))
+      })];
+    }
+    return [new Paragraph({
+      spacing: { line: 480 },
+      indent: block.quote ? { left: 720, right: 720 } : { firstLine: 720 },
+      children: runs(block.runs)
+    })];
+  };
+  const listLevels = (format, text) => [0, 1, 2, 3].map(level => ({
+    level, format, text: text(level), alignment: AlignmentType.LEFT,
+    style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } }
+  }));
+
+  const body = [];
+  if (model.titlePage) {
+    body.push(
+      new Paragraph({ alignment: AlignmentType.CENTER, spacing: { before: 4000 }, heading: HeadingLevel.TITLE, children: [new TextRun(model.title)] }),
+      new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: model.subtitle, italics: true })] }),
+      new Paragraph({ children: [new PageBreak()] })
+    );
+  }
+  if (model.toc) {
+    body.push(new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun('Table of Contents')] }));
+    [...model.chapters.map(c => c.title), ...(model.references.length ? ['References'] : [])]
+      .forEach(title => body.push(new Paragraph({ children: [new TextRun(title)] })));
+    body.push(new Paragraph({ children: [new PageBreak()] }));
+  }
+  model.chapters.forEach((c, i) => {
+    body.push(new Paragraph({ heading: HeadingLevel.HEADING_1, pageBreakBefore: i > 0, children: [new TextRun(c.title)] }));
+    c.blocks.forEach(block => body.push(...blockToDocx(block)));
+  });
+  if (model.references.length) {
+    body.push(new Paragraph({ heading: HeadingLevel.HEADING_1, pageBreakBefore: model.chapters.length > 0, children: [new TextRun('References')] }));
+    model.references.forEach(r => body.push(new Paragraph({ spacing: { line: 480 }, indent: { left: 720, hanging: 720 }, children: runs(r) })));
+  }
+  const docxDocument = new Document({
+    creator: 'ThesisGen',
+    title: model.title,
+    styles: { default: { document: { run: { font: 'Times New Roman', size: 24 } } } },
+    numbering: {
+      config: [
+        { reference: 'bulleted', levels: listLevels(LevelFormat.BULLET, () => '•') },
+        { reference: 'numbered', levels: listLevels(LevelFormat.DECIMAL, level => `%${level + 1}.`) }
+      ]
+    },
+    footnotes: Object.fromEntries(model.footnotes.map((note, i) => [i + 1, { children: [new Paragraph(note)] }])),
+    sections: [{ children: body }]
+  });
+  return Packer.toBlob(docxDocument);
+};
+
+async function renderExport(model, format) {
+  if (format === 'docx') return toDocx(model);
+  if (format === 'html') return new Blob([toHTML(model)], { type: 'text/html' });
+  return new Blob([toMarkdown(model)], { type: 'text/markdown' });
+}
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// --- Backup ---
+// A project archive is one JSON file with the project document and every collection worth keeping.
+// Chapters carry their text with all collaborative edits merged in, so the edit updates, like
+// presence, are left out. Values are encoded as in the outbox (timestamps become { '.ms': millis }).
+// Reading an archive upgrades older versions through ARCHIVE_MIGRATIONS and refuses newer ones.
+const ARCHIVE_FORMAT = 'thesisgen-archive';
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_COLLECTIONS = ['chapters', 'sources', 'sourceTexts', 'tasks', 'versions', 'comments'];
+const SHARING_FIELDS = ['ownerId', 'ownerEmail', 'members', 'memberIds'];
+const ARCHIVE_ID = /^[\w-]+$/;
+const COMMENT_EDITABLE_FIELDS = ['body', 'resolved', 'resolvedBy', 'resolvedAt']; // as firestore.rules allows
+
+// { [version]: archive => archive of version + 1 }, applied in turn up to ARCHIVE_VERSION. Add one
+// here whenever the archive layout changes, so files saved by earlier releases keep restoring.
+const ARCHIVE_MIGRATIONS = {};
+
+class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveError';
+  }
+}
+
+const withoutFields = (data, fields) => Object.fromEntries(Object.entries(data).filter(([key]) => !fields.includes(key)));
+
+async function buildArchive(store, project) {
+  const path = `projects/${project.id}`;
+  const collections = {};
+  for (const name of ARCHIVE_COLLECTIONS) collections[name] = await store.list(`${path}/${name}`);
+  const updates = await store.list(`${path}/chapterUpdates`);
+  // The saved copy can trail the merged edits by an autosave
+  collections.chapters = collections.chapters.map(({ yState, ...chapter }) => {
+    const own = updates.filter(u => u.chapterId === chapter.id);
+    if (!yState && !own.length) return chapter;
+    const ydoc = loadChapterYDoc({ yState }, own);
+    const doc = yXmlFragmentToProseMirrorRootNode(ydoc.getXmlFragment(CHAPTER_FRAGMENT), CHAPTER_SCHEMA).toJSON();
+    ydoc.destroy();
+    const content = docToText(doc);
+    return { ...chapter, doc: JSON.stringify(doc), content, wordCount: countWords(content) };
+  });
+  const { id: _id, ...data } = project;
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    project: encodeValue(withoutFields(data, SHARING_FIELDS)),
+    collections: encodeValue(collections)
+  };
+}
+
+// Parses and checks an archive file, upgrading it to ARCHIVE_VERSION; throws ArchiveError
+function readArchive(text) {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch {
+    archive = null;
+  }
+  if (archive?.format !== ARCHIVE_FORMAT || !Number.isInteger(archive.version)) throw new ArchiveError('This file is not a ThesisGen project archive.');
+  if (archive.version > ARCHIVE_VERSION) throw new ArchiveError('This archive was made by a newer version of ThesisGen. Update the app to restore it.');
+  for (let version = archive.version; version < ARCHIVE_VERSION; version++) {
+    if (!ARCHIVE_MIGRATIONS[version]) throw new ArchiveError(`Archives of version ${archive.version} can no longer be restored.`);
+    archive = ARCHIVE_MIGRATIONS[version](archive);
+  }
+  const valid = archive.project && typeof archive.project === 'object' && !Array.isArray(archive.project)
+    && ARCHIVE_COLLECTIONS.every(name => Array.isArray(archive.collections?.[name])
+      && archive.collections[name].every(d => d && typeof d === 'object' && ARCHIVE_ID.test(d.id)));
+  if (!valid) throw new ArchiveError('This archive is damaged or incomplete.');
+  return archive;
+}
+
+// Restores an archive into `into`, an existing project whose contents it replaces, or else into a
+// new project owned by the user. Documents keep their ids, so history and comments stay attached.
+// Comments can only be written by their author, so other people's are skipped (and left alone in
+// an existing project). Resolves to { projectId, skippedComments } once the server has every write.
+// The writes commit in chunks, so a failure part way leaves an existing project half-replaced;
+// its current contents are archived and handed to `onBackup` before anything is written.
+async function restoreArchive(store, archive, { user, into = null, onBackup }) {
+  if (into) await onBackup(await buildArchive(store, into));
+  const projectId = into?.id || store.newId('projects');
+  const path = `projects/${projectId}`;
+  const decode = (data) => decodeValue(data, store.timestamp);
+  const collections = Object.fromEntries(ARCHIVE_COLLECTIONS.map(name => [name, archive.collections[name].map(decode)]));
+  const threads = new Set(collections.comments.filter(c => !c.parentId && c.authorId === user.uid).map(c => c.id));
+  const comments = collections.comments.filter(c => c.authorId === user.uid && (!c.parentId || threads.has(c.parentId)));
+  collections.comments = comments;
+
+  const project = {
+    ...withoutFields(decode(archive.project), SHARING_FIELDS),
+    ...(into ? Object.fromEntries(SHARING_FIELDS.filter(key => key in into).map(key => [key, into[key]])) : { ownerId: user.uid }),
+    archived: into ? Boolean(into.archived) : false,
+    wordCount: collections.chapters.reduce((sum, c) => sum + (c.wordCount || 0), 0)
+  };
+  project.createdAt ??= store.timestamp();
+
+  const ops = [];
+  const commentOps = [];
+  const current = {}; // collection -> Map of the documents already in an existing project
+  if (into) {
+    // Edit updates would replay the current text on top of the restored one
+    for (const name of [...ARCHIVE_COLLECTIONS, 'chapterUpdates']) {
+      const kept = new Set((collections[name] || []).map(d => d.id));
+      const docs = await store.list(`${path}/${name}`);
+      current[name] = new Map(docs.map(d => [d.id, d]));
+      docs.filter(d => !kept.has(d.id) && (name !== 'comments' || d.authorId === user.uid))
+        .forEach(d => (name === 'comments' ? commentOps : ops).push({ type: 'delete', path: `${path}/${name}/${d.id}` }));
+    }
+  }
+  ARCHIVE_COLLECTIONS.filter(name => name !== 'comments')
+    .forEach(name => collections[name].forEach(({ id, ...data }) => ops.push({ type: 'set', path: `${path}/${name}/${id}`, data })));
+  // An author may only change a comment's editable fields, and rewriting the rest would not match
+  // Firestore's microsecond timestamps anyway, so comments still there get just the fields that differ
+  comments.forEach(({ id, ...data }) => {
+    const existing = current.comments?.get(id);
+    const commentPath = `${path}/comments/${id}`;
+    if (!existing) return commentOps.push({ type: 'set', path: commentPath, data });
+    const changed = COMMENT_EDITABLE_FIELDS.filter(key => !sameValue(encodeValue(data[key] ?? null), encodeValue(existing[key] ?? null)));
+    if (changed.length) commentOps.push({ type: 'update', path: commentPath, data: Object.fromEntries(changed.map(key => [key, data[key] ?? null])) });
+  });
+
+  // The project goes first on its own, since access to everything else is checked against it.
+  // Comments follow separately, so one refused comment cannot hold back the rest of the project.
+  await store.batch([{ type: 'set', path, data: project }], { confirm: true });
+  await commitInChunks(store, ops, { confirm: true });
+  await commitInChunks(store, commentOps, { confirm: true });
+  return { projectId, skippedComments: archive.collections.comments.length - comments.length };
+}
+
+// --- Configuration ---
+const KEYS_STORAGE_KEY = 'thesis_nexus_keys';
+const REQUIRED_FIREBASE_FIELDS = ['apiKey', 'authDomain', 'projectId', 'appId'];
+const GOOGLE_API_KEY_PATTERN = /^AIza[\w-]{35}$/;
+
+// Accepts strict JSON or the `const firebaseConfig = { ... }` snippet copied from the Firebase console
+const parseFirebaseConfig = (text) => {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) throw new Error("Paste the Firebase config object, including its { braces }");
+  const body = text.slice(start, end + 1);
+  try {
+    return JSON.parse(body);
+  } catch {
+    // Not JSON: quote bare keys, swap single quotes and drop comments and trailing commas
+    const json = body
+      .replace(/^\s*\/\/.*$/gm, '')
+      .replace(/([{,]\s*)([A-Za-z_$][\w$]*)\s*:/g, '$1"$2":')
+      .replace(/'/g, '"')
+      .replace(/,\s*}/g, '}');
+    try {
+      return JSON.parse(json);
+    } catch {
+      throw new Error("Firebase config could not be parsed");
+    }
+  }
+};
+
+// Checks the keys against Firebase and Gemini before they are stored. Rejects with a message
+// suitable for showing next to the form.
+async function validateKeys(firebase, gemini) {
+  const missing = REQUIRED_FIREBASE_FIELDS.filter(f => !firebase?.[f]);
+  if (missing.length) throw new Error(`Firebase config is missing: ${missing.join(', ')}`);
+  if (!GOOGLE_API_KEY_PATTERN.test(firebase.apiKey)) throw new Error("Firebase apiKey is not a valid Google API key");
+  if (!GOOGLE_API_KEY_PATTERN.test(gemini || '')) throw new Error("Gemini API key is not a valid Google API key");
+
+  // Firebase: the Auth project-config endpoint fails for unknown or restricted API keys
+  let projectConfig;
+  try {
+    projectConfig = await fetch(`https://identitytoolkit.googleapis.com/v1/projects?key=${encodeURIComponent(firebase.apiKey)}`);
+  } catch {
+    throw new Error("Could not reach Firebase. Check your connection.");
+  }
+  if (!projectConfig.ok) throw new Error("Firebase rejected the apiKey. Check that Authentication is enabled for this project.");
+
+  // Gemini: counting tokens authenticates the key without spending a generation
+  try {
+    await new GoogleGenerativeAI(gemini).getGenerativeModel({ model: AI_MODEL }).countTokens('ping');
+  } catch (e) {
+    console.error(e);
+    throw new Error("Gemini rejected the API key.");
+  }
+  return { firebase, gemini };
+}
+
+// --- Contexts ---
+export const SettingsContext = createContext();
+
+// Sources, citation style and IEEE numbering for the citation node views inside the chapter editor
+const DocumentContext = createContext({ sources: [], style: 'apa', numberOf: () => 0 });
+
+const DEFAULT_KEYS = {
+  firebase: {
+    apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
+    authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
+    projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
+    storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
+    messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+    appId: import.meta.env.VITE_FIREBASE_APP_ID,
+    measurementId: import.meta.env.VITE_FIREBASE_MEASUREMENT_ID
+  },
+  gemini: import.meta.env.VITE_GEMINI_API_KEY
+};
+
+const SettingsProvider = ({ children }) => {
+  const [keys, setKeys] = useState(() => {
+    const saved = localStorage.getItem(KEYS_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : DEFAULT_KEYS;
+  });
+
+  const hasKeys = Boolean(keys.firebase?.apiKey && keys.gemini);
+  const isCustom = keys !== DEFAULT_KEYS; // false when running on the build's .env keys
+
+  const saveKeys = (next) => {
+    localStorage.setItem(KEYS_STORAGE_KEY, JSON.stringify(next));
+    setKeys(next);
+  };
+
+  const clearKeys = () => {
+    localStorage.removeItem(KEYS_STORAGE_KEY);
+    setKeys(DEFAULT_KEYS);
+  };
+
+  return (
+    <SettingsContext.Provider value={{ keys, hasKeys, isCustom, saveKeys, clearKeys }}>
+      {children}
+    </SettingsContext.Provider>
+  );
+};
+
+// --- App Component ---
+export default function App() {
+  return (
+    <SettingsProvider>
+      <MainApp />
+    </SettingsProvider>
+  );
+}
+
+function MainApp() {
+  const { keys, hasKeys } = useContext(SettingsContext);
+  const [user, setUser] = useState(null);
+  const [appState, setAppState] = useState('loading'); // loading, auth, setup, projects, launchpad, workspace
+  const [isDemo, setIsDemo] = useState(false);
+  const [project, setProject] = useState(null);
+  const [notification, setNotification] = useState(null); // { type: 'success'|'error', message: '' }
+
+  // Firebase & AI Refs
+  const [services, setServices] = useState({ auth: null, store: null, ai: null });
+  const ledger = useMemo(() => createCreditLedger({ store: services.store, uid: user?.uid }), [services.store, user?.uid]);
+  const credits = useCredits(ledger);
+  const ai = useMemo(() => services.ai && createAIService({ provider: services.ai, onGenerate: credits.spend }), [services.ai, credits.spend]);
+
+  // Initialize Services
+  useEffect(() => {
+    if (isDemo || !hasKeys) return;
+
+    let app;
+    let outbox = null;
+    try {
+      app = initializeApp(keys.firebase);
+      const auth = getAuth(app);
+      // The persistent cache keeps project data readable offline, across reloads and tabs
+      const store = createFirestoreStore(initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) }));
+      const ai = import.meta.env.VITE_AI_PROVIDER === 'fake'
+        ? createFakeProvider(FAKE_AI_REPLIES, { delay: 300, chunkDelay: 20 })
+        : createGeminiProvider(keys.gemini);
+      setServices({ auth, store, ai });
+
+      const unsubscribe = onAuthStateChanged(auth, async (u) => {
+        // Unsent changes belong to whoever made them, so each user gets their own outbox
+        outbox?.dispose();
+        outbox = u && createOutboxStore(store, { key: u.uid });
+        setServices(prev => ({ ...prev, store: outbox || store }));
+        if (u) {
+          setUser(u);
+          try {
+            await adoptLegacyProject(outbox, u.uid);
+          } catch (e) {
+            console.error("Legacy project migration failed", e);
+          }
+          setAppState('projects');
+        } else {
+          setUser(null);
+          setAppState('auth');
+        }
+      });
+      // Rotated keys re-run this effect, so the old app is torn down before the new one starts
+      return () => {
+        unsubscribe();
+        outbox?.dispose();
+        deleteApp(app).catch(console.error);
+      };
+    } catch (e) {
+      console.error("Init Error", e);
+      if (app) deleteApp(app).catch(console.error);
+      setNotification({ type: 'error', message: "Invalid Configuration Keys" });
+      setAppState('setup');
+    }
+  }, [keys, hasKeys, isDemo]);
+
+  const showNotification = (type, message) => {
+    setNotification({ type, message });
+    setTimeout(() => setNotification(null), 3000);
+  };
+
+  // Demo Mode swaps Firebase and Gemini for a seeded memory store and canned AI replies
+  const enterDemo = () => {
+    const seed = createDemoSeed();
+    setServices({ auth: null, store: createMemoryStore(seed), ai: createFakeProvider(FAKE_AI_REPLIES, { delay: 800, chunkDelay: 40 }) });
+    setUser(DEMO_USER);
+    setIsDemo(true);
+    setAppState('projects');
+  };
+
+  const openProject = (p) => {
+    setProject(p);
+    setAppState('workspace');
+  };
+
+  const exitDemo = () => {
+    setServices({ auth: null, store: null, ai: null });
+    setUser(null);
+    setProject(null);
+    setAppState('loading');
+    setIsDemo(false);
+  };
+
+  // --- Render Logic ---
+  const view = !isDemo && !hasKeys ? 'setup' : appState;
+  if (view === 'loading') return <div className={`h-screen w-full flex items-center justify-center ${THEME.bg} ${THEME.text}`}><Loader className="animate-spin w-8 h-8 text-cyan-500" /></div>;
+
+  return (
+    <div className={`min-h-screen ${THEME.bg} ${THEME.text} font-sans selection:bg-cyan-500/30`}>
+      {notification && (
+        <div className={`fixed top-4 right-4 z-50 px-4 py-2 rounded-lg shadow-lg border ${notification.type === 'error' ? 'bg-red-900/90 border-red-700 text-red-100' : 'bg-emerald-900/90 border-emerald-700 text-emerald-100'} flex items-center gap-2 animate-in slide-in-from-top-2`}>
+          {notification.type === 'error' ? <AlertCircle size={18} /> : <CheckCircle size={18} />}
+          {notification.message}
+        </div>
+      )}
+
+      {view === 'setup' && <SetupScreen onDemo={enterDemo} />}
+      {view === 'auth' && <AuthScreen auth={services.auth} onDemo={enterDemo} />}
+      {view === 'projects' && (
+        <ProjectPicker
+          user={user}
+          store={services.store}
+          isDemo={isDemo}
+          onOpen={openProject}
+          onCreate={() => setAppState('launchpad')}
+          onLogout={isDemo ? exitDemo : () => signOut(services.auth)}
+          showNotification={showNotification}
+        />
+      )}
+      {view === 'launchpad' && <Launchpad user={user} store={services.store} ai={ai} onProjectCreated={openProject} onCancel={() => setAppState('projects')} showNotification={showNotification} />}
+      {view === 'workspace' && (
+        <Workspace
+          user={user}
+          project={project}
+          store={services.store}
+          ai={ai}
+          credits={credits}
+          isDemo={isDemo}
+          onSwitchProject={() => setAppState('projects')}
+          onLogout={isDemo ? exitDemo : () => signOut(services.auth)}
+          showNotification={showNotification}
+        />
+      )}
+    </div>
+  );
+}
+
+// --- Sub-Screens ---
+
+function SetupScreen({ onDemo }) {
+  const { keys, saveKeys } = useContext(SettingsContext);
+
+  return (
+    <div className="h-screen flex flex-col items-center justify-center p-4 max-w-md mx-auto">
+      <div className="mb-8 text-center">
+        <h1 className="text-4xl font-bold bg-gradient-to-r from-cyan-400 to-emerald-400 bg-clip-text text-transparent mb-2">ThesisGen</h1>
+        <p className={`${THEME.textMuted}`}>System Configuration Required</p>
+      </div>
+
+      <div className={`w-full ${THEME.card} p-6 rounded-xl border ${THEME.border} shadow-2xl`}>
+        <KeyConfigForm initialKeys={keys} onSave={saveKeys} submitLabel="Initialize System" />
+
+        <div className="mt-6 pt-6 border-t border-slate-700 text-center">
+          <p className="text-xs text-slate-500 mb-3">Just want to look around?</p>
+          <button onClick={onDemo} className={`w-full py-2 bg-slate-700 text-slate-300 font-medium rounded-lg hover:bg-slate-600 transition-all`}>
+            Enter Demo Mode
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Shared by first-run setup and the key settings modal; keys are only handed to onSave once validated
+function KeyConfigForm({ initialKeys, onSave, submitLabel }) {
+  const [fbConfig, setFbConfig] = useState(() => (initialKeys?.firebase?.apiKey ? JSON.stringify(initialKeys.firebase, null, 2) : ''));
+  const [geminiKey, setGeminiKey] = useState(initialKeys?.gemini || '');
+  const [validating, setValidating] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSave = async () => {
+    setValidating(true);
+    setError('');
+    try {
+      onSave(await validateKeys(parseFirebaseConfig(fbConfig), geminiKey.trim()));
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setValidating(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && <div className="p-3 bg-red-900/50 border border-red-700 rounded text-sm text-red-200">{error}</div>}
+      <div>
+        <label className="block text-sm font-medium mb-1">Firebase Config (JSON)</label>
+        <textarea
+          className={`w-full h-32 bg-slate-900 border ${THEME.border} rounded-lg p-3 text-xs font-mono focus:ring-2 focus:ring-cyan-500 outline-none`}
+          placeholder='{"apiKey": "...", "authDomain": "..."}'
+          value={fbConfig}
+          onChange={(e) => setFbConfig(e.target.value)}
+        />
+        <p className="text-xs text-slate-500 mt-1">The firebaseConfig snippet from the Firebase console also works.</p>
+      </div>
+      <div>
+        <label className="block text-sm font-medium mb-1">Gemini API Key</label>
+        <input
+          type="password"
+          className={`w-full bg-slate-900 border ${THEME.border} rounded-lg p-3 text-sm focus:ring-2 focus:ring-cyan-500 outline-none`}
+          placeholder="AIzaSy..."
+          value={geminiKey}
+          onChange={(e) => setGeminiKey(e.target.value)}
+        />
+      </div>
+      <button onClick={handleSave} disabled={validating || !fbConfig || !geminiKey} className={`w-full py-3 ${THEME.accentBg} text-white font-bold rounded-lg hover:opacity-90 transition-all disabled:opacity-50 flex justify-center items-center gap-2`}>
+        {validating ? <><Loader className="animate-spin" size={18} /> Validating...</> : submitLabel}
+      </button>
+    </div>
+  );
+}
+
+function AuthScreen({ auth, onDemo }) {
+  const [isLogin, setIsLogin] = useState(true);
+  const [email, setEmail] = useState('');
+  const [pass, setPass] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleAuth = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      if (isLogin) {
+        await signInWithEmailAndPassword(auth, email, pass);
+      } else {
+        await createUserWithEmailAndPassword(auth, email, pass);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleGoogleLogin = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const provider = new GoogleAuthProvider();
+      await signInWithPopup(auth, provider);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="h-screen flex items-center justify-center p-4">
+      <div className={`w-full max-w-sm ${THEME.card} p-8 rounded-xl border ${THEME.border} shadow-2xl`}>
+        <h2 className="text-2xl font-bold mb-6 text-center">{isLogin ? 'Sign In to Sync' : 'Create Account'}</h2>
+        {error && <div className="mb-4 p-3 bg-red-900/50 border border-red-700 rounded text-sm text-red-200">{error}</div>}
+        <form onSubmit={handleAuth} className="space-y-4">
+          <input
+            type="email" placeholder="Email" required
+            className={`w-full bg-slate-900 border ${THEME.border} rounded-lg p-3 outline-none focus:border-cyan-500`}
+            value={email} onChange={e => setEmail(e.target.value)}
+          />
+          <input
+            type="password" placeholder="Password" required
+            className={`w-full bg-slate-900 border ${THEME.border} rounded-lg p-3 outline-none focus:border-cyan-500`}
+            value={pass} onChange={e => setPass(e.target.value)}
+          />
+          <button disabled={loading} className={`w-full py-3 ${THEME.accentBg} text-white font-bold rounded-lg hover:opacity-90 flex justify-center`}>
+            {loading ? <Loader className="animate-spin" /> : (isLogin ? 'Sign In' : 'Sign Up')}
+          </button>
+        </form>
+
+        <div className="my-4 flex items-center gap-2">
+          <div className="h-px bg-slate-700 flex-1"></div>
+          <span className="text-xs text-slate-500">OR</span>
+          <div className="h-px bg-slate-700 flex-1"></div>
+        </div>
+
+        <button onClick={handleGoogleLogin} disabled={loading} className={`w-full py-3 bg-white text-slate-900 font-bold rounded-lg hover:bg-slate-200 flex justify-center items-center gap-2 transition-colors`}>
+          <svg className="w-5 h-5" viewBox="0 0 24 24">
+            <path fill="currentColor" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z" />
+            <path fill="currentColor" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z" />
+            <path fill="currentColor" d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z" />
+            <path fill="currentColor" d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z" />
+          </svg>
+          Sign in with Google
+        </button>
+        <button onClick={() => setIsLogin(!isLogin)} className="w-full mt-4 text-sm text-slate-400 hover:text-cyan-400">
+          {isLogin ? "Need an account? Sign Up" : "Already have an account? Sign In"}
+        </button>
+        <button onClick={onDemo} className="w-full mt-2 text-xs text-slate-500 hover:text-cyan-400">
+          Just looking around? Enter Demo Mode
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ProjectPicker({ user, store, isDemo, onOpen, onCreate, onLogout, showNotification }) {
+  const [owned, setOwned] = useState(null);
+  const [shared, setShared] = useState(null);
+  const [invites, setInvites] = useState([]);
+  const [verified, setVerified] = useState(isDemo || !!user.emailVerified);
+  const [showArchived, setShowArchived] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+  const archiveInput = useRef(null);
+
+  const byTitle = (list) => list.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+
+  useEffect(() => {
+    return store.watchCollection('projects', list => setOwned(byTitle(list)), { where: ['ownerId', '==', user.uid] });
+  }, [store, user]);
+
+  useEffect(() => {
+    return store.watchCollection('projects', list => setShared(byTitle(list)), { where: ['memberIds', 'array-contains', user.uid] });
+  }, [store, user]);
+
+  useEffect(() => {
+    if (!user.email) return;
+    return store.watchCollection('invites', setInvites, { where: ['email', '==', normalizeEmail(user.email)] });
+  }, [store, user]);
+
+  // Wraps a project action with a per-card spinner and a failure toast
+  const runAction = async (project, action, failure) => {
+    setBusyId(project.id);
+    try {
+      await action();
+    } catch (e) {
+      console.error(e);
+      showNotification('error', failure);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDuplicate = (project) => runAction(project, async () => {
+    await duplicateProject(store, project, user.uid);
+    showNotification('success', "Project duplicated");
+  }, "Failed to duplicate project.");
+
+  const handleArchive = (project) => runAction(project, () => store.update(`projects/${project.id}`, { archived: !project.archived }), "Failed to update project.");
+
+  const handleDelete = (project) => {
+    if (!window.confirm(`Delete "${project.title}" with all of its chapters, sources and tasks? This cannot be undone.`)) return;
+    runAction(project, async () => {
+      await deleteProject(store, project.id);
+      showNotification('success', "Project deleted");
+    }, "Failed to delete project.");
+  };
+
+  const restoreFromFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setRestoring(true);
+    try {
+      const archive = readArchive(await file.text());
+      const { skippedComments } = await restoreArchive(store, archive, { user });
+      const skipped = skippedComments ? `. ${skippedComments} comment${skippedComments === 1 ? '' : 's'} by others could not be restored.` : '';
+      showNotification('success', `Restored "${archive.project.title || 'Untitled project'}"${skipped}`);
+    } catch (err) {
+      console.error(err);
+      showNotification('error', err instanceof ArchiveError ? err.message : "Failed to restore archive.");
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const handleLeave = (project) => {
+    if (!window.confirm(`Leave "${project.title}"? You will need a new invitation to see it again.`)) return;
+    runAction(project, () => removeMember(store, project.id, user.uid), "Failed to leave project.");
+  };
+
+  const handleInvite = async (invite, accept) => {
+    setBusyId(invite.id);
+    try {
+      if (accept) {
+        await acceptInvite(store, invite, user);
+        showNotification('success', `Joined "${invite.projectTitle}"`);
+      } else {
+        await store.remove(`invites/${invite.id}`);
+      }
+    } catch (e) {
+      console.error(e);
+      showNotification('error', accept ? "Failed to accept invitation. It may have been withdrawn." : "Failed to decline invitation.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Invitations are bound to an email address, so the address has to be proven before one is accepted
+  const sendVerification = async () => {
+    try {
+      await sendEmailVerification(user);
+      showNotification('success', `Verification email sent to ${user.email}`);
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to send verification email");
+    }
+  };
+
+  const refreshVerification = async () => {
+    try {
+      await user.reload();
+      await user.getIdToken(true);
+      setVerified(user.emailVerified);
+      if (!user.emailVerified) showNotification('error', "Your email address is not verified yet");
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  const projects = owned && shared && [...owned, ...shared];
+  const visible = (owned || []).filter(p => Boolean(p.archived) === showArchived);
+  const archivedCount = (owned || []).filter(p => p.archived).length;
+
+  return (
+    <div className="min-h-screen p-8 max-w-5xl mx-auto">
+      <div className="flex justify-between items-center mb-8">
+        <div>
+          <h1 className="text-3xl font-bold"><span className="text-cyan-400">Thesis</span>Gen</h1>
+          <p className="text-slate-400">Your Projects</p>
+        </div>
+        <div className="flex items-center gap-3">
+          <input ref={archiveInput} type="file" accept=".json,application/json" className="hidden" onChange={restoreFromFile} />
+          <button onClick={() => archiveInput.current.click()} disabled={restoring} className="px-4 py-2 text-slate-300 hover:text-white hover:bg-slate-800 rounded-lg transition-colors text-sm flex items-center gap-2 disabled:opacity-50">
+            {restoring ? <Loader size={16} className="animate-spin" /> : <Upload size={16} />} Restore Archive
+          </button>
+          <button onClick={onCreate} className={`px-4 py-2 ${THEME.accentBg} text-white font-bold rounded-lg hover:opacity-90 flex items-center gap-2`}>
+            <Plus size={18} /> New Project
+          </button>
+          <button onClick={onLogout} className="px-4 py-2 text-red-400 hover:text-red-300 hover:bg-red-900/20 rounded-lg transition-colors text-sm flex items-center gap-2">
+            <LogOut size={16} /> {isDemo ? 'Exit Demo' : 'Sign Out'}
+          </button>
+        </div>
+      </div>
+
+      {invites.length > 0 && (
+        <div className="mb-8 space-y-2">
+          {invites.map(invite => (
+            <div key={invite.id} className="flex flex-wrap items-center gap-3 p-4 rounded-xl border border-cyan-500/30 bg-cyan-500/5 text-sm">
+              <Users size={18} className="text-cyan-400 shrink-0" />
+              <span className="flex-1 text-slate-300">
+                {invite.invitedByEmail || 'A student'} invited you to <span className="font-semibold text-white">{invite.projectTitle}</span> as {PROJECT_ROLES[invite.role]?.label || invite.role}.
+              </span>
+              {verified ? (
+                <>
+                  <button onClick={() => handleInvite(invite, true)} disabled={busyId === invite.id} className={`px-3 py-1.5 rounded-lg ${THEME.accentBg} text-white font-medium hover:opacity-90 disabled:opacity-50`}>Accept</button>
+                  <button onClick={() => handleInvite(invite, false)} disabled={busyId === invite.id} className="px-3 py-1.5 rounded-lg text-slate-400 hover:text-white hover:bg-slate-700">Decline</button>
+                </>
+              ) : (
+                <span className="flex items-center gap-2 text-xs text-amber-300">
+                  Verify {user.email} to accept.
+                  <button onClick={sendVerification} className="underline hover:text-white">Send link</button>
+                  <button onClick={refreshVerification} className="underline hover:text-white">I've verified</button>
+                </span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {projects === null ? (
+        <div className="flex justify-center py-20"><Loader className="animate-spin text-cyan-500" /></div>
+      ) : (
+        <>
+          <div className="flex gap-2 mb-6 text-sm">
+            <button onClick={() => setShowArchived(false)} className={`px-3 py-1.5 rounded-lg ${!showArchived ? 'bg-cyan-500/10 text-cyan-400 border border-cyan-500/20' : 'text-slate-400 hover:text-white'}`}>Active</button>
+            <button onClick={() => setShowArchived(true)} className={`px-3 py-1.5 rounded-lg ${showArchived ? 'bg-cyan-500/10 text-cyan-400 border border-cyan-500/20' : 'text-slate-400 hover:text-white'}`}>Archived ({archivedCount})</button>
+          </div>
+
+          {visible.length === 0 && (showArchived || !shared.length) && (
+            <div className="py-16 text-center border border-dashed border-slate-700 rounded-xl text-slate-500">
+              {showArchived ? 'No archived projects.' : 'No projects yet. Start one from the Launchpad.'}
+            </div>
+          )}
+
+          <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {visible.map(p => (
+              <div key={p.id} className={`${THEME.card} p-6 rounded-xl border ${THEME.border} hover:border-cyan-500/50 transition-all flex flex-col`}>
+                <button onClick={() => onOpen(p)} disabled={busyId === p.id} className="text-left flex-1">
+                  <div className="h-10 w-10 rounded-full bg-slate-900 flex items-center justify-center mb-4 text-cyan-400">
+                    {busyId === p.id ? <Loader size={18} className="animate-spin" /> : <GraduationCap size={20} />}
+                  </div>
+                  <h3 className="font-bold leading-tight mb-2">{p.title}</h3>
+                  <p className="text-xs text-slate-500">{p.field} • {p.currentPhase} • {(p.wordCount || 0).toLocaleString()} words</p>
+                </button>
+                <div className="flex gap-2 mt-4 pt-4 border-t border-slate-700 text-xs">
+                  <button onClick={() => handleDuplicate(p)} disabled={busyId === p.id} className="px-2 py-1 rounded text-slate-400 hover:text-white hover:bg-slate-700">Duplicate</button>
+                  <button onClick={() => handleArchive(p)} disabled={busyId === p.id} className="px-2 py-1 rounded text-slate-400 hover:text-white hover:bg-slate-700">{p.archived ? 'Restore' : 'Archive'}</button>
+                  <button onClick={() => handleDelete(p)} disabled={busyId === p.id} className="px-2 py-1 rounded text-red-400 hover:bg-red-900/20 ml-auto">Delete</button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {!showArchived && shared.length > 0 && (
+            <>
+              <h2 className="mt-10 mb-4 text-sm uppercase tracking-wider text-slate-500 flex items-center gap-2"><Users size={14} /> Shared with you</h2>
+              <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
+                {shared.map(p => (
+                  <div key={p.id} className={`${THEME.card} p-6 rounded-xl border ${THEME.border} hover:border-cyan-500/50 transition-all flex flex-col`}>
+                    <button onClick={() => onOpen(p)} disabled={busyId === p.id} className="text-left flex-1">
+                      <div className="flex items-center justify-between mb-4">
+                        <div className="h-10 w-10 rounded-full bg-slate-900 flex items-center justify-center text-purple-400">
+                          {busyId === p.id ? <Loader size={18} className="animate-spin" /> : <GraduationCap size={20} />}
+                        </div>
+                        <span className="text-[10px] px-2 py-0.5 rounded border border-purple-500/30 text-purple-300 bg-purple-500/10 font-medium">{PROJECT_ROLES[roleOf(p, user.uid)]?.label}</span>
+                      </div>
+                      <h3 className="font-bold leading-tight mb-2">{p.title}</h3>
+                      <p className="text-xs text-slate-500">{p.ownerEmail ? `${p.ownerEmail} • ` : ''}{p.currentPhase} • {(p.wordCount || 0).toLocaleString()} words</p>
+                    </button>
+                    <div className="flex gap-2 mt-4 pt-4 border-t border-slate-700 text-xs">
+                      <button onClick={() => handleDuplicate(p)} disabled={busyId === p.id} className="px-2 py-1 rounded text-slate-400 hover:text-white hover:bg-slate-700">Duplicate</button>
+                      <button onClick={() => handleLeave(p)} disabled={busyId === p.id} className="px-2 py-1 rounded text-red-400 hover:bg-red-900/20 ml-auto">Leave</button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+function Launchpad({ user, store, ai, onProjectCreated, onCancel, showNotification }) {
+  const [step, setStep] = useState(1); // 1: Input, 2: Selection
+  const [formData, setFormData] = useState({ field: '', degree: '', interest: '' });
+  const [concepts, setConcepts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const aiRequest = useAbortable();
+
+  const generateConcepts = async () => {
+    setLoading(true);
+    try {
+      setConcepts(await ai.generateConcepts(formData, { signal: aiRequest.start() }));
+      setStep(2);
+    } catch (e) {
+      console.error(e);
+      const message = aiErrorMessage(e, "AI Generation Failed. Try again.");
+      if (message) showNotification('error', message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectConcept = async (concept) => {
+    setLoading(true);
+    try {
+      const projectData = {
+        title: concept.title,
+        field: formData.field,
+        degree: formData.degree,
+        currentPhase: "Proposal",
+        wordCount: 0,
+        targetWordCount: 0,
+        ownerId: user.uid,
+        archived: false,
+        createdAt: store.timestamp()
+      };
+      const id = await store.add('projects', projectData);
+      onProjectCreated({ id, ...projectData });
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to create project.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="h-screen flex flex-col items-center justify-center p-4 max-w-4xl mx-auto">
+      <div className="mb-8 text-center">
+        <h1 className="text-5xl font-bold mb-2"><span className="text-cyan-400">Thesis</span>Gen</h1>
+        <p className="text-xl text-slate-400">Launchpad</p>
+        <button onClick={onCancel} className="mt-2 text-sm text-slate-500 hover:text-cyan-400">← Back to projects</button>
+      </div>
+
+      {step === 1 && (
+        <div className={`w-full max-w-lg ${THEME.card} p-8 rounded-2xl border ${THEME.border} space-y-6`}>
+          <div>
+            <label className="block text-sm text-slate-400 mb-1">Field of Study</label>
+            <input className="w-full bg-slate-900 border border-slate-700 rounded-lg p-3 focus:border-cyan-500 outline-none"
+              value={formData.field} onChange={e => setFormData({ ...formData, field: e.target.value })} placeholder="e.g. Computer Science" />
+          </div>
+          <div>
+            <label className="block text-sm text-slate-400 mb-1">Degree Level</label>
+            <select className="w-full bg-slate-900 border border-slate-700 rounded-lg p-3 focus:border-cyan-500 outline-none"
+              value={formData.degree} onChange={e => setFormData({ ...formData, degree: e.target.value })}>
               <option value="">Select Level</option>
               <option value="Undergraduate">Undergraduate</option>
               <option value="Masters">Masters</option>
@@ -369,502 +2489,3576 @@ function Launchpad({ user, db, ai, onProjectCreated, showNotification }) {
             </select>
           </div>
           <div>
-            <label className="block text-sm text-slate-400 mb-1">Specific Interest</label>
-            <input className="w-full bg-slate-900 border border-slate-700 rounded-lg p-3 focus:border-cyan-500 outline-none"
-              value={formData.interest} onChange={e => setFormData({ ...formData, interest: e.target.value })} placeholder="e.g. AI in Healthcare" />
+            <label className="block text-sm text-slate-400 mb-1">Specific Interest</label>
+            <input className="w-full bg-slate-900 border border-slate-700 rounded-lg p-3 focus:border-cyan-500 outline-none"
+              value={formData.interest} onChange={e => setFormData({ ...formData, interest: e.target.value })} placeholder="e.g. AI in Healthcare" />
+          </div>
+          <button onClick={generateConcepts} disabled={loading || !formData.field} className={`w-full py-4 ${THEME.accentBg} text-white font-bold rounded-lg hover:opacity-90 flex justify-center items-center gap-2`}>
+            {loading ? <Loader className="animate-spin" /> : <><Cpu size={20} /> Generate Concepts</>}
+          </button>
+        </div>
+      )}
+
+      {step === 2 && (
+        <div className="grid md:grid-cols-3 gap-6 w-full">
+          {concepts.map((c, i) => (
+            <div key={i} onClick={() => selectConcept(c)} className={`${THEME.card} p-6 rounded-xl border ${THEME.border} hover:border-cyan-500 cursor-pointer transition-all hover:-translate-y-1 group`}>
+              <div className="h-12 w-12 rounded-full bg-slate-900 flex items-center justify-center mb-4 group-hover:bg-cyan-500/20 text-cyan-400">
+                <GraduationCap />
+              </div>
+              <h3 className="font-bold text-lg mb-2 leading-tight">{c.title}</h3>
+              <p className="text-sm text-slate-400">{c.description}</p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const MODULE_LABELS = { dashboard: 'Dashboard', litreview: 'Lit Review', drafter: 'Chapter Drafter', kanban: 'Kanban Board', timeline: 'Timeline' };
+const MAX_AVATARS = 4; // collaborators shown in the header before the rest are summed up
+
+function Workspace({ user, project: initialProject, store, ai, credits, isDemo, onSwitchProject, onLogout, showNotification }) {
+  const [activeModule, setActiveModule] = useState('dashboard');
+  const [showSettings, setShowSettings] = useState(false);
+  const [showKeys, setShowKeys] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showShare, setShowShare] = useState(false);
+  const [showSync, setShowSync] = useState(false);
+  const [liveProject, setLiveProject] = useState(null);
+  const project = liveProject || initialProject;
+  const role = roleOf(project, user.uid);
+  const readOnly = !canEdit(role);
+  const collaborators = usePresence(store, initialProject.id, user, activeModule);
+  const sync = useSyncStatus(store);
+
+  // Keep title, phase and word counts current as modules write to the project document
+  useEffect(() => {
+    return store.watchDoc(`projects/${initialProject.id}`, (p) => p && setLiveProject(p));
+  }, [store, initialProject.id]);
+
+  return (
+    <div className="flex h-screen overflow-hidden">
+      {/* Sidebar */}
+      <aside className={`w-64 ${THEME.sidebar} border-r ${THEME.border} flex flex-col`}>
+        <div className="p-6 border-b border-slate-800">
+          <div className="flex items-center gap-2 font-bold text-xl tracking-tight">
+            <div className="w-8 h-8 rounded bg-gradient-to-br from-cyan-500 to-blue-600 flex items-center justify-center">
+              <span className="text-white text-sm">TG</span>
+            </div>
+            ThesisGen
+          </div>
+        </div>
+
+        <nav className="flex-1 p-4 space-y-2">
+          <SidebarItem icon={<Layout size={20} />} label="Dashboard" active={activeModule === 'dashboard'} onClick={() => setActiveModule('dashboard')} />
+          <SidebarItem icon={<Search size={20} />} label="Lit Review" active={activeModule === 'litreview'} onClick={() => setActiveModule('litreview')} />
+          <SidebarItem icon={<PenTool size={20} />} label="Chapter Drafter" active={activeModule === 'drafter'} onClick={() => setActiveModule('drafter')} />
+          <SidebarItem icon={<BarChart3 size={20} />} label="Kanban Board" active={activeModule === 'kanban'} onClick={() => setActiveModule('kanban')} />
+          <SidebarItem icon={<ChartGantt size={20} />} label="Timeline" active={activeModule === 'timeline'} onClick={() => setActiveModule('timeline')} />
+        </nav>
+
+        <div className="p-4 border-t border-slate-800 space-y-2">
+          {!readOnly && (
+            <button onClick={() => setShowSettings(true)} className="w-full flex items-center gap-3 px-4 py-3 text-slate-400 hover:text-white hover:bg-slate-800 rounded-lg transition-colors text-sm">
+              <Settings size={18} /> Project Settings
+            </button>
+          )}
+          <button onClick={() => setShowShare(true)} className="w-full flex items-center gap-3 px-4 py-3 text-slate-400 hover:text-white hover:bg-slate-800 rounded-lg transition-colors text-sm">
+            <Users size={18} /> Share
+          </button>
+          <button onClick={() => setShowExport(true)} className="w-full flex items-center gap-3 px-4 py-3 text-slate-400 hover:text-white hover:bg-slate-800 rounded-lg transition-colors text-sm">
+            <Download size={18} /> Export
+          </button>
+          <button onClick={onSwitchProject} className="w-full flex items-center gap-3 px-4 py-3 text-slate-400 hover:text-white hover:bg-slate-800 rounded-lg transition-colors text-sm">
+            <BookOpen size={18} /> Switch Project
+          </button>
+          {!isDemo && (
+            <button onClick={() => setShowKeys(true)} className="w-full flex items-center gap-3 px-4 py-3 text-slate-400 hover:text-white hover:bg-slate-800 rounded-lg transition-colors text-sm">
+              <KeyRound size={18} /> API Keys
+            </button>
+          )}
+          <button onClick={onLogout} className="w-full flex items-center gap-3 px-4 py-3 text-red-400 hover:text-red-300 hover:bg-red-900/20 rounded-lg transition-colors text-sm">
+            <LogOut size={18} /> {isDemo ? 'Exit Demo' : 'Sign Out'}
+          </button>
+        </div>
+      </aside>
+
+      {/* Main Content */}
+      <main className="flex-1 flex flex-col bg-slate-900 relative">
+        {/* Header */}
+        <header className={`h-16 border-b ${THEME.border} flex items-center justify-between px-8 bg-slate-900/50 backdrop-blur-sm`}>
+          <div>
+            <h2 className="font-semibold text-lg">{project.title}</h2>
+            <p className="text-xs text-slate-500">{project.field} • {project.currentPhase}</p>
+          </div>
+          <div className="flex items-center gap-4">
+            {isDemo && <span className="text-[10px] px-2 py-0.5 rounded border border-amber-500/30 text-amber-400 bg-amber-500/10 font-medium">DEMO · changes are not saved</span>}
+            {role !== 'owner' && (
+              <span title={PROJECT_ROLES[role]?.description} className="text-[10px] px-2 py-0.5 rounded border border-purple-500/30 text-purple-300 bg-purple-500/10 font-medium">
+                {PROJECT_ROLES[role]?.label || 'No access'}{readOnly ? ' · read-only' : ''}
+              </span>
+            )}
+            <span
+              title={credits.resetAt ? `Next credit at ${new Date(credits.resetAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : 'Credits refresh hourly'}
+              className={`flex items-center gap-2 text-xs ${credits.remaining ? 'text-slate-400' : 'text-red-400'}`}
+            >
+              <Cpu size={14} /> {credits.remaining}/{credits.limit} AI credits
+            </span>
+            {sync && <SyncIndicator status={sync} onShowIssues={() => setShowSync(true)} />}
+            <div className="flex items-center -space-x-2">
+              {collaborators.slice(0, MAX_AVATARS).map(p => (
+                <div
+                  key={p.id} title={`${p.email || 'Collaborator'} · ${p.chapterTitle ? `editing ${p.chapterTitle}` : `in ${MODULE_LABELS[p.location] || 'the project'}`}`}
+                  className="h-8 w-8 rounded-full ring-2 ring-slate-900 flex items-center justify-center text-xs font-bold text-slate-900"
+                  style={{ backgroundColor: presenceColor(p.id) }}
+                >
+                  {p.email?.[0]?.toUpperCase() || '?'}
+                </div>
+              ))}
+              {collaborators.length > MAX_AVATARS && (
+                <div title={collaborators.slice(MAX_AVATARS).map(p => p.email).join(', ')} className="h-8 w-8 rounded-full ring-2 ring-slate-900 bg-slate-600 flex items-center justify-center text-xs font-bold">
+                  +{collaborators.length - MAX_AVATARS}
+                </div>
+              )}
+              <div title={`${user?.email || 'You'} (you)`} className="h-8 w-8 rounded-full ring-2 ring-slate-900 bg-slate-700 flex items-center justify-center text-xs font-bold">
+                {user?.email?.[0].toUpperCase() || 'D'}
+              </div>
+            </div>
+          </div>
+        </header>
+
+        {/* Module View */}
+        <div className="flex-1 overflow-auto p-8">
+          {showSettings && <ProjectSettingsModal project={project} store={store} user={user} onRestored={() => setActiveModule('dashboard')} onClose={() => setShowSettings(false)} showNotification={showNotification} />}
+          {showExport && <ExportModal project={project} store={store} onClose={() => setShowExport(false)} showNotification={showNotification} />}
+          {showShare && <ShareModal project={project} store={store} user={user} onClose={() => setShowShare(false)} onLeft={onSwitchProject} showNotification={showNotification} />}
+          {showKeys && <KeySettingsModal onClose={() => setShowKeys(false)} showNotification={showNotification} />}
+          {showSync && sync && <SyncIssuesModal store={store} issues={sync.issues} onClose={() => setShowSync(false)} />}
+          {activeModule === 'dashboard' && <Dashboard project={project} store={store} />}
+          {activeModule === 'litreview' && <LitReview project={project} store={store} ai={ai} credits={credits} readOnly={readOnly} showNotification={showNotification} />}
+          {activeModule === 'timeline' && <Timeline project={project} store={store} readOnly={readOnly} showNotification={showNotification} />}
+          {activeModule === 'kanban' && <Kanban project={project} store={store} ai={ai} readOnly={readOnly} showNotification={showNotification} />}
+          {activeModule === 'drafter' && <ChapterDrafter project={project} store={store} ai={ai} user={user} role={role} readOnly={readOnly} showNotification={showNotification} />}
+        </div>
+      </main>
+    </div>
+  );
+}
+
+function SyncIndicator({ status, onShowIssues }) {
+  const { online, pending, issues } = status;
+  const changes = (n) => `${n} change${n === 1 ? '' : 's'}`;
+  return (
+    <>
+      {issues.length > 0 && (
+        <button onClick={onShowIssues} className="flex items-center gap-2 text-xs text-red-400 hover:text-red-300">
+          <TriangleAlert size={14} /> {changes(issues.length)} not saved
+        </button>
+      )}
+      {!online ? (
+        <span title="Changes are kept on this device and sent when you reconnect" className="flex items-center gap-2 text-xs text-amber-400">
+          <CloudOff size={14} /> Offline{pending ? ` · ${changes(pending)} waiting` : ''}
+        </span>
+      ) : pending ? (
+        <span className="flex items-center gap-2 text-xs text-cyan-400"><Loader size={14} className="animate-spin" /> Syncing {changes(pending)}...</span>
+      ) : (
+        <span className="flex items-center gap-2 text-xs text-emerald-500"><Cloud size={14} /> Synced</span>
+      )}
+    </>
+  );
+}
+
+function SidebarItem({ icon, label, active, onClick }) {
+  return (
+    <button onClick={onClick} className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg transition-colors text-sm font-medium ${active ? 'bg-cyan-500/10 text-cyan-400 border border-cyan-500/20' : 'text-slate-400 hover:text-white hover:bg-slate-800'}`}>
+      {icon}
+      {label}
+    </button>
+  );
+}
+
+// --- Modules ---
+
+function Dashboard({ project, store }) {
+  const [sourceCount, setSourceCount] = useState(0);
+  const [tasks, setTasks] = useState([]);
+  const [chapterData, setChapterData] = useState([]);
+  const [comments, setComments] = useState([]);
+
+  useEffect(() => {
+    // Listen to Chapters
+    const unsubChapters = store.watchCollection(`projects/${project.id}/chapters`, (chapters) => {
+      setChapterData(chapters.map(c => ({ id: c.id, name: c.title, words: c.wordCount || 0 })));
+    }, { orderBy: 'order' });
+
+    // Listen to Sources
+    const unsubSources = store.watchCollection(`projects/${project.id}/sources`, (sources) => {
+      setSourceCount(sources.length);
+    });
+
+    // Listen to Tasks
+    const unsubTasks = store.watchCollection(`projects/${project.id}/tasks`, setTasks);
+
+    // Listen to Comments
+    const unsubComments = store.watchCollection(`projects/${project.id}/comments`, setComments);
+
+    return () => {
+      unsubChapters();
+      unsubSources();
+      unsubTasks();
+      unsubComments();
+    };
+  }, [project.id, store]);
+
+  const { wordCount = 0, targetWordCount = 0 } = project;
+  const progress = targetWordCount ? Math.min(100, Math.round((wordCount / targetWordCount) * 100)) : null;
+
+  // Counts follow the board's own columns, so renamed or added columns show up here too
+  const columns = taskColumns(project);
+  const taskData = columns.map(c => ({ name: c.title, done: c.done, count: tasks.filter(t => columnOf(t, columns) === c.id).length }));
+  const tasksDone = taskData.filter(c => c.done).reduce((sum, c) => sum + c.count, 0);
+
+  const openComments = openCommentCounts(comments);
+  const reviewData = chapterData.filter(c => openComments[c.id]);
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-3 gap-6">
+        <StatCard
+          label="Total Word Count"
+          value={wordCount.toLocaleString()}
+          detail={progress !== null && `${progress}% of ${targetWordCount.toLocaleString()} target`}
+          icon={<FileText className="text-blue-400" />}
+        />
+        <StatCard label="Sources Analyzed" value={sourceCount} icon={<BookOpen className="text-purple-400" />} />
+        <StatCard label="Tasks Completed" value={`${tasksDone} / ${tasks.length}`} icon={<CheckCircle className="text-emerald-400" />} />
+      </div>
+
+      <div className={`${THEME.card} p-6 rounded-xl border ${THEME.border}`}>
+        <div className="flex justify-between items-center mb-6">
+          <h3 className="text-lg font-semibold">Words per Chapter</h3>
+          {progress !== null && (
+            <div className="flex items-center gap-3 w-64">
+              <div className="flex-1 h-2 bg-slate-900 rounded-full overflow-hidden">
+                <div className={`h-full ${progress >= 100 ? THEME.successBg : THEME.accentBg}`} style={{ width: `${progress}%` }} />
+              </div>
+              <span className="text-xs text-slate-400">{progress}%</span>
+            </div>
+          )}
+        </div>
+        {chapterData.length ? (
+          <div className="w-full" style={{ height: Math.max(160, chapterData.length * 40) }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={chapterData} layout="vertical" margin={{ left: 40 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" horizontal={false} />
+                <XAxis type="number" stroke="#94a3b8" allowDecimals={false} />
+                <YAxis type="category" dataKey="name" stroke="#94a3b8" width={120} />
+                <Tooltip cursor={{ fill: '#334155', opacity: 0.2 }} contentStyle={{ backgroundColor: '#1e293b', borderColor: '#334155', color: '#f1f5f9' }} />
+                <Bar dataKey="words" fill="#3b82f6" radius={[0, 4, 4, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <p className="text-sm text-slate-500">No chapters yet. Start writing in the Chapter Drafter.</p>
+        )}
+      </div>
+
+      <div className={`${THEME.card} p-6 rounded-xl border ${THEME.border}`}>
+        <h3 className="text-lg font-semibold mb-4">Open Review Comments</h3>
+        {reviewData.length ? (
+          <ul className="divide-y divide-slate-700 text-sm">
+            {reviewData.map(c => (
+              <li key={c.id} className="flex items-center justify-between py-2">
+                <span className="text-slate-300">{c.name}</span>
+                <span className="flex items-center gap-1.5 text-amber-400"><MessageSquare size={14} /> {openComments[c.id]} unresolved</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-slate-500">No unresolved comments. Select text in the Chapter Drafter to comment on it.</p>
+        )}
+      </div>
+
+      <div className={`${THEME.card} p-6 rounded-xl border ${THEME.border}`}>
+        <h3 className="text-lg font-semibold mb-6">Task Status Distribution</h3>
+        <div className="h-64 w-full">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={taskData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="name" stroke="#94a3b8" />
+              <YAxis stroke="#94a3b8" allowDecimals={false} />
+              <Tooltip cursor={{ fill: '#334155', opacity: 0.2 }} contentStyle={{ backgroundColor: '#1e293b', borderColor: '#334155', color: '#f1f5f9' }} />
+              <Bar dataKey="count" fill="#06b6d4" radius={[4, 4, 0, 0]}>
+                {taskData.map((entry, index) => (
+                  <Cell key={`cell-${index}`} fill={entry.done ? '#10b981' : index === 0 ? '#64748b' : '#06b6d4'} />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function StatCard({ label, value, detail, icon }) {
+  return (
+    <div className={`${THEME.card} p-6 rounded-xl border ${THEME.border} flex items-center justify-between`}>
+      <div>
+        <p className="text-sm text-slate-400 mb-1">{label}</p>
+        <p className="text-3xl font-bold">{value}</p>
+        {detail && <p className="text-xs text-slate-500 mt-1">{detail}</p>}
+      </div>
+      <div className="p-3 rounded-lg bg-slate-900/50">{icon}</div>
+    </div>
+  );
+}
+
+function LitReview({ project, store, ai, credits, readOnly, showNotification }) {
+  const [sources, setSources] = useState([]);
+  const [chapters, setChapters] = useState([]); // read for the IEEE citation order
+  const [newSource, setNewSource] = useState('');
+  const [analyzing, setAnalyzing] = useState(false);
+  const [analysis, setAnalysis] = useState(null); // { source, stopped } read from the streamed reply
+  const [view, setView] = useState('matrix'); // 'matrix' | 'references'
+  const [editing, setEditing] = useState(null); // source being edited
+  const [importing, setImporting] = useState(null); // { fileName, entries } awaiting confirmation
+  const [synthesizing, setSynthesizing] = useState(false);
+  const [search, setSearch] = useState('');
+  const [tagFilter, setTagFilter] = useState(null);
+  const [sort, setSort] = useState({ key: null, dir: 1 });
+  const [newColumn, setNewColumn] = useState(null); // label being typed for a new custom column
+  const [deleted, setDeleted] = useState(null); // { id, data, text } of the last deleted source, for undo
+  const [pdfStatus, setPdfStatus] = useState(null); // progress message while PDFs are processed
+  const [dragging, setDragging] = useState(false);
+  const [fullTexts, setFullTexts] = useState(null); // sourceId -> lowercased full text, loaded on first search
+  const [reading, setReading] = useState(null); // source whose full text is open
+  const undoTimer = useRef(null);
+  const fileInput = useRef(null);
+  const pdfInput = useRef(null);
+  const aiRequest = useAbortable();
+
+  const sourcesPath = `projects/${project.id}/sources`;
+  const textsPath = `projects/${project.id}/sourceTexts`;
+  const style = project.citationStyle || 'apa';
+  const columns = project.matrixColumns || [];
+
+  useEffect(() => {
+    return store.watchCollection(sourcesPath, (list) => setSources(list.map(normalizeSource)));
+  }, [sourcesPath, store]);
+
+  useEffect(() => {
+    return store.watchCollection(`projects/${project.id}/chapters`, setChapters, { orderBy: 'order' });
+  }, [store, project.id]);
+
+  const ordered = useMemo(() => citationOrder(chapters.map(chapterDoc), sources), [chapters, sources]);
+  const numberOf = citationNumber(ordered);
+
+  useEffect(() => () => clearTimeout(undoTimer.current), []);
+
+  useEffect(() => {
+    if (!search.trim() || fullTexts) return;
+    let active = true;
+    store.list(textsPath)
+      .then(list => active && setFullTexts(Object.fromEntries(list.map(t => [t.id, t.pages.join('\n').toLowerCase()]))))
+      .catch(console.error);
+    return () => { active = false; };
+  }, [search, fullTexts, store, textsPath]);
+
+  const allTags = useMemo(() => [...new Set(sources.flatMap(s => s.tags || []))].sort(), [sources]);
+
+  const visible = useMemo(() => {
+    const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+    const list = sources.filter(s => {
+      if (tagFilter && !s.tags?.includes(tagFilter)) return false;
+      const text = `${sourceSearchText(s)} ${fullTexts?.[s.id] || ''}`;
+      return terms.every(t => text.includes(t));
+    });
+    if (!sort.key) return list;
+    const key = SOURCE_SORTS[sort.key];
+    return [...list].sort((a, b) => (key(a) > key(b) ? 1 : key(a) < key(b) ? -1 : 0) * sort.dir);
+  }, [sources, search, tagFilter, sort, fullTexts]);
+
+  const analyzeSource = async () => {
+    if (!newSource) return;
+    setAnalyzing(true);
+    setAnalysis(null);
+    try {
+      const data = await ai.analyzeSource(newSource, {
+        signal: aiRequest.start(),
+        onText: (text) => setAnalysis({ source: readSource(parsePartialJSON(text)), stopped: false })
+      });
+
+      await store.add(sourcesPath, data);
+      setAnalysis(null);
+      setNewSource('');
+      showNotification('success', "Source analyzed and saved");
+    } catch (e) {
+      console.error(e);
+      // A stopped analysis keeps whatever fields had arrived so they can be completed by hand
+      const partial = e instanceof AIError && e.code === 'aborted' && readSource(parsePartialJSON(e.partial));
+      setAnalysis(partial?.title ? { source: partial, stopped: true } : null);
+      const message = aiErrorMessage(e, "Analysis failed");
+      if (message) showNotification('error', message);
+    } finally {
+      setAnalyzing(false);
+    }
+  };
+
+  // Metadata found in the PDF wins over AI guesses; the AI fills the matrix fields from the
+  // abstract, or from the opening text when no abstract heading was found
+  const importPdfs = async (files) => {
+    const pdfs = [...files].filter(f => f.type === 'application/pdf' || /\.pdf$/i.test(f.name));
+    if (!pdfs.length) return showNotification('error', "Only PDF files can be dropped here");
+    const signal = aiRequest.start();
+    let analyze = true;
+    try {
+      for (const [i, file] of pdfs.entries()) {
+        setPdfStatus(`Reading ${file.name}${pdfs.length > 1 ? ` (${i + 1}/${pdfs.length})` : ''}...`);
+        try {
+          const extracted = await extractPdfText(file);
+          if (!extracted.pages.join('').trim()) throw new Error('PDF has no text layer');
+          const detected = detectPdfMetadata(extracted);
+          let analysis = {};
+          if (analyze) {
+            setPdfStatus(`Analyzing ${file.name}...`);
+            try {
+              analysis = await ai.analyzeSource(detected.abstract || extracted.pages[0].slice(0, 3000), { signal });
+            } catch (e) {
+              if (e instanceof AIError && e.code === 'aborted') return;
+              console.error(e);
+              showNotification('error', `${aiErrorMessage(e, "Analysis failed.")} ${file.name} was saved without analysis.`);
+              if (e instanceof CreditLimitError) analyze = false;
+            }
+          }
+          const source = {
+            type: 'article', method: '', result: '', conclusion: '',
+            ...analysis,
+            ...Object.fromEntries(Object.entries(detected).filter(([, value]) => value.length)),
+            fileName: file.name,
+            pageCount: extracted.pages.length,
+            hasFullText: true
+          };
+          if (!source.title) source.title = file.name.replace(/\.pdf$/i, '');
+          if (markDuplicates(sources, [source])[0].duplicate && !window.confirm(`"${source.title}" looks like a source you already have. Add it anyway?`)) continue;
+          const id = store.newId(sourcesPath);
+          await store.batch([
+            { type: 'set', path: `${sourcesPath}/${id}`, data: source },
+            { type: 'set', path: `${textsPath}/${id}`, data: { fileName: file.name, ...limitPdfPages(extracted.pages) } }
+          ]);
+          setFullTexts(null);
+        } catch (e) {
+          console.error(e);
+          showNotification('error', `Could not read ${file.name}`);
+        }
+      }
+    } finally {
+      setPdfStatus(null);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (e.dataTransfer.files.length && !pdfStatus) importPdfs(e.dataTransfer.files);
+  };
+
+  const readImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const entries = parseReferenceFile(file.name, await file.text()).filter(entry => entry.title);
+      if (!entries.length) return showNotification('error', "No references found in that file");
+      setImporting({ fileName: file.name, entries: markDuplicates(sources, entries) });
+    } catch (err) {
+      console.error(err);
+      showNotification('error', "Could not read that reference file");
+    }
+  };
+
+  // Analysis is best-effort: entries keep their file metadata, and running out of credits
+  // (or leaving the page) stops analysing without dropping the rest of the import
+  const importSources = async (entries, analyze) => {
+    const signal = aiRequest.start();
+    const prepared = [];
+    let analyzed = 0;
+    let stopped = null;
+    for (const { duplicate: _duplicate, ...entry } of entries) {
+      if (analyze && entry.abstract && !stopped) {
+        try {
+          const { method, result, conclusion } = await ai.analyzeSource(entry.abstract, { signal });
+          Object.assign(entry, { method, result, conclusion });
+          analyzed++;
+        } catch (e) {
+          console.error(e);
+          if (e instanceof CreditLimitError || (e instanceof AIError && e.code === 'aborted')) stopped = e;
+        }
+      }
+      prepared.push(entry);
+    }
+    try {
+      await commitInChunks(store, prepared.map(data => ({ type: 'set', path: `${sourcesPath}/${store.newId(sourcesPath)}`, data })));
+      setImporting(null);
+      const summary = `Imported ${prepared.length} source${prepared.length === 1 ? '' : 's'}${analyze ? `, ${analyzed} analyzed` : ''}`;
+      const stopMessage = stopped && aiErrorMessage(stopped, null);
+      showNotification(stopMessage ? 'error' : 'success', stopMessage ? `${summary}. ${stopMessage}` : summary);
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Import failed");
+    }
+  };
+
+  const updateProject = async (data, failure) => {
+    try {
+      await store.update(`projects/${project.id}`, data);
+    } catch (e) {
+      console.error(e);
+      showNotification('error', failure);
+    }
+  };
+
+  // Without an id the source is new, e.g. the fields kept from a stopped analysis
+  const updateSource = async (id, data) => {
+    try {
+      if (id) await store.update(`${sourcesPath}/${id}`, data);
+      else await store.add(sourcesPath, data);
+      return true;
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to save source");
+      return false;
+    }
+  };
+
+  const saveSource = async ({ id, ...data }) => {
+    if (!(await updateSource(id, data))) return;
+    setEditing(null);
+    if (!id) {
+      setAnalysis(null);
+      setNewSource('');
+    }
+  };
+
+  const deleteSource = async ({ id, ...data }) => {
+    try {
+      const text = data.hasFullText ? await store.get(`${textsPath}/${id}`) : null;
+      await store.batch([
+        { type: 'delete', path: `${sourcesPath}/${id}` },
+        ...(text ? [{ type: 'delete', path: `${textsPath}/${id}` }] : [])
+      ]);
+      clearTimeout(undoTimer.current);
+      setDeleted({ id, data, text });
+      undoTimer.current = setTimeout(() => setDeleted(null), UNDO_DELAY);
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to delete source");
+    }
+  };
+
+  const undoDelete = async () => {
+    clearTimeout(undoTimer.current);
+    setDeleted(null);
+    try {
+      const { id: _textId, ...text } = deleted.text || {};
+      await store.batch([
+        { type: 'set', path: `${sourcesPath}/${deleted.id}`, data: deleted.data },
+        ...(deleted.text ? [{ type: 'set', path: `${textsPath}/${deleted.id}`, data: text }] : [])
+      ]);
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to restore source");
+    }
+  };
+
+  const addColumn = (e) => {
+    e.preventDefault();
+    const label = newColumn.trim();
+    setNewColumn(null);
+    if (label) updateProject({ matrixColumns: [...columns, { id: `col-${Date.now().toString(36)}`, label }] }, "Failed to add column");
+  };
+
+  const renameColumn = (id, label) => {
+    if (label) updateProject({ matrixColumns: columns.map(c => (c.id === id ? { ...c, label } : c)) }, "Failed to rename column");
+  };
+
+  // Cell values stay on the sources; they are just no longer shown or exported
+  const removeColumn = (column) => {
+    if (!window.confirm(`Remove the "${column.label}" column?`)) return;
+    updateProject({ matrixColumns: columns.filter(c => c.id !== column.id) }, "Failed to remove column");
+  };
+
+  const toggleSort = (key) => setSort(prev => (prev.key === key ? { key, dir: -prev.dir } : { key, dir: 1 }));
+
+  const exportSources = (format) => {
+    const [text, type, extension] = format === 'bibtex'
+      ? [toBibTeX(sources), 'application/x-bibtex', 'bib']
+      : [toRIS(sources), 'application/x-research-info-systems', 'ris'];
+    downloadBlob(new Blob([text], { type }), `${slugify(project.title)}-sources.${extension}`);
+  };
+
+  // Exports the rows as currently filtered and sorted
+  const exportCSV = () => {
+    const header = ['Title', 'Authors', 'Year', 'Venue', 'DOI', ...MATRIX_FIELDS.map(([, label]) => label), 'Tags', ...columns.map(c => c.label)];
+    const rows = visible.map(s => [
+      s.title, s.authors.map(fullName).join('; '), s.year, s.venue, s.doi,
+      ...MATRIX_FIELDS.map(([key]) => s[key]), (s.tags || []).join('; '), ...columns.map(c => s.custom?.[c.id])
+    ]);
+    downloadBlob(new Blob([`\ufeff${toCSV([header, ...rows])}`], { type: 'text/csv' }), `${slugify(project.title)}-matrix.csv`);
+  };
+
+  return (
+    <div className="h-full flex flex-col gap-6">
+      {editing && <SourceEditorModal source={editing} onSave={saveSource} onClose={() => setEditing(null)} />}
+      {reading && <SourceTextModal source={reading} store={store} path={`${textsPath}/${reading.id}`} style={style} numberOf={numberOf} onClose={() => setReading(null)} showNotification={showNotification} />}
+      {synthesizing && <SynthesisModal project={project} sources={visible} numberOf={numberOf} store={store} ai={ai} onClose={() => setSynthesizing(false)} showNotification={showNotification} />}
+      {importing && <ImportSourcesModal {...importing} credits={credits} onImport={importSources} onClose={() => setImporting(null)} />}
+      {!readOnly && (
+        <div
+          onDragOver={e => { e.preventDefault(); setDragging(true); }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={handleDrop}
+          className={`${THEME.card} p-6 rounded-xl border ${dragging ? 'border-cyan-500 border-dashed' : THEME.border}`}
+        >
+          <h3 className="font-semibold mb-4 flex items-center gap-2"><Cpu size={18} className="text-cyan-400" /> AI Source Scanner</h3>
+          <div className="flex gap-4">
+            <textarea
+              className="flex-1 bg-slate-900 border border-slate-700 rounded-lg p-3 text-sm focus:border-cyan-500 outline-none resize-none h-24"
+              placeholder="Paste abstract here, or drop PDFs onto this panel..."
+              value={newSource} onChange={e => setNewSource(e.target.value)}
+            />
+            <div className="flex flex-col gap-2">
+              {analyzing ? (
+                <button onClick={() => aiRequest.cancel()} className="flex-1 px-6 rounded-lg font-bold text-white bg-red-500/80 hover:bg-red-500 flex items-center justify-center gap-2">
+                  <Square size={14} /> Stop
+                </button>
+              ) : (
+                <button onClick={analyzeSource} className={`flex-1 px-6 rounded-lg font-bold text-white ${THEME.accentBg} hover:opacity-90`}>
+                  Analyze
+                </button>
+              )}
+              <input ref={pdfInput} type="file" accept="application/pdf,.pdf" multiple className="hidden" onChange={e => { importPdfs(e.target.files); e.target.value = ''; }} />
+              <button onClick={() => pdfInput.current.click()} disabled={!!pdfStatus} className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg border border-slate-700 text-sm text-slate-300 hover:text-white disabled:opacity-50">
+                <Upload size={14} /> PDF
+              </button>
+            </div>
+          </div>
+          {pdfStatus && <p className="mt-3 text-xs text-cyan-400 flex items-center gap-2"><Loader size={12} className="animate-spin" /> {pdfStatus}</p>}
+          {analysis && (
+            <div className="mt-4 p-4 rounded-lg bg-slate-900 border border-slate-700 text-sm space-y-1">
+              <div className="flex items-center gap-2 text-xs uppercase tracking-wider text-slate-500">
+                {analysis.stopped ? 'Analysis stopped. Fields received so far:' : <><Loader size={12} className="animate-spin text-cyan-400" /> Analyzing...</>}
+              </div>
+              {analysis.source.title && <p className="font-semibold text-slate-200">{analysis.source.title}</p>}
+              {analysis.source.authors.length > 0 && <p className="text-xs text-slate-400">{shortAuthors(analysis.source.authors)}{analysis.source.year ? `, ${analysis.source.year}` : ''}</p>}
+              {MATRIX_FIELDS.filter(([key]) => analysis.source[key]).map(([key, label]) => (
+                <p key={key} className="text-slate-300"><span className="text-slate-500">{label}:</span> {analysis.source[key]}</p>
+              ))}
+              {analysis.stopped && (
+                <div className="flex gap-2 pt-2">
+                  <button onClick={() => setEditing(analysis.source)} className={`px-3 py-1 rounded text-white ${THEME.accentBg} hover:opacity-90`}>Complete &amp; Save</button>
+                  <button onClick={() => setAnalysis(null)} className="px-3 py-1 rounded bg-slate-700 text-slate-300 hover:bg-slate-600">Discard</button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <div className="flex bg-slate-800 rounded-lg p-1">
+          {[['matrix', 'Matrix'], ['references', 'References']].map(([key, label]) => (
+            <button key={key} onClick={() => setView(key)} className={`px-3 py-1 rounded-md ${view === key ? 'bg-slate-700 text-white' : 'text-slate-400 hover:text-white'}`}>{label}</button>
+          ))}
+        </div>
+        {view === 'matrix' ? (
+          <div className="relative">
+            <Search size={14} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
+            <input
+              className="w-56 bg-slate-900 border border-slate-700 rounded-lg pl-8 pr-3 py-2 focus:border-cyan-500 outline-none"
+              placeholder="Search sources..."
+              value={search} onChange={e => setSearch(e.target.value)}
+            />
+          </div>
+        ) : (
+          <select
+            disabled={readOnly}
+            className="bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 focus:border-cyan-500 outline-none"
+            value={style} onChange={e => updateProject({ citationStyle: e.target.value }, "Failed to change citation style")}
+          >
+            {Object.entries(CITATION_STYLES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        )}
+        <div className="flex-1" />
+        {!readOnly && (
+          <>
+            <button onClick={() => setSynthesizing(true)} disabled={visible.length < 2} title="Synthesize the sources shown into a literature review" className="flex items-center gap-2 px-3 py-2 rounded-lg border border-cyan-500/40 text-cyan-400 hover:bg-cyan-500/10 disabled:opacity-40">
+              <Cpu size={14} /> Synthesize{visible.length !== sources.length && ` (${visible.length})`}
+            </button>
+            <input ref={fileInput} type="file" accept={REFERENCE_FILE_TYPES} className="hidden" onChange={readImportFile} />
+            <button onClick={() => fileInput.current.click()} className="flex items-center gap-2 px-3 py-2 rounded-lg border border-slate-700 text-slate-300 hover:text-white">
+              <Upload size={14} /> Import
+            </button>
+          </>
+        )}
+        {[['bibtex', 'BibTeX'], ['ris', 'RIS']].map(([key, label]) => (
+          <button key={key} onClick={() => exportSources(key)} disabled={!sources.length} className="flex items-center gap-2 px-3 py-2 rounded-lg border border-slate-700 text-slate-300 hover:text-white disabled:opacity-40">
+            <Download size={14} /> {label}
+          </button>
+        ))}
+        {view === 'matrix' && (
+          <button onClick={exportCSV} disabled={!visible.length} className="flex items-center gap-2 px-3 py-2 rounded-lg border border-slate-700 text-slate-300 hover:text-white disabled:opacity-40">
+            <Download size={14} /> CSV
+          </button>
+        )}
+      </div>
+
+      {view === 'matrix' && allTags.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 text-xs -mt-3">
+          <span className="text-slate-500">Tags:</span>
+          {allTags.map(tag => (
+            <button key={tag} onClick={() => setTagFilter(tagFilter === tag ? null : tag)} className={`px-2 py-0.5 rounded-full border ${tagFilter === tag ? 'border-cyan-500 text-cyan-400 bg-cyan-500/10' : 'border-slate-700 text-slate-400 hover:text-white'}`}>
+              {tag}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {deleted && (
+        <div className="flex items-center gap-3 px-4 py-2 -mt-3 rounded-lg bg-slate-800 border border-slate-700 text-sm text-slate-300">
+          <span className="flex-1 truncate">Deleted "{deleted.data.title}"</span>
+          <button onClick={undoDelete} className="font-semibold text-cyan-400 hover:text-cyan-300">Undo</button>
+        </div>
+      )}
+
+      <div className="flex-1 overflow-auto">
+        {view === 'matrix' ? (
+          <table className="w-full text-left text-sm">
+            <thead className="text-slate-400 border-b border-slate-700 bg-slate-900/50 sticky top-0 z-10">
+              <tr>
+                <th className="p-4 font-medium min-w-64">
+                  <div className="flex items-center gap-3">
+                    {[['title', 'Title'], ['author', 'Author'], ['year', 'Year']].map(([key, label]) => (
+                      <button key={key} onClick={() => toggleSort(key)} className={`flex items-center gap-1 hover:text-white ${sort.key === key ? 'text-cyan-400' : ''}`}>
+                        {label} {sort.key === key && (sort.dir === 1 ? <ArrowUp size={12} /> : <ArrowDown size={12} />)}
+                      </button>
+                    ))}
+                  </div>
+                </th>
+                {MATRIX_FIELDS.map(([key, label]) => <th key={key} className="p-4 font-medium min-w-48">{label}</th>)}
+                <th className="p-4 font-medium min-w-40">Tags</th>
+                {columns.map(column => (
+                  <th key={column.id} className="p-4 font-medium min-w-40">
+                    <div className="group/column flex items-center gap-1">
+                      <EditableCell value={column.label} readOnly={readOnly} onSave={label => renameColumn(column.id, label)} />
+                      {!readOnly && <button onClick={() => removeColumn(column)} className="hidden group-hover/column:block p-1 hover:text-red-400"><X size={12} /></button>}
+                    </div>
+                  </th>
+                ))}
+                <th className="p-4">
+                  {readOnly ? null : newColumn === null ? (
+                    <button onClick={() => setNewColumn('')} title="Add column" className="p-1 hover:text-cyan-400"><Plus size={14} /></button>
+                  ) : (
+                    <form onSubmit={addColumn}>
+                      <input
+                        autoFocus
+                        className="w-32 bg-slate-900 border border-cyan-500 rounded px-2 py-1 text-sm font-normal outline-none"
+                        placeholder="e.g. Sample size"
+                        value={newColumn} onChange={e => setNewColumn(e.target.value)} onBlur={addColumn}
+                      />
+                    </form>
+                  )}
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-800">
+              {visible.map((s) => (
+                <tr key={s.id} className="group align-top hover:bg-slate-800/50">
+                  <td className="p-4 space-y-1">
+                    <EditableCell value={s.title} readOnly={readOnly} onSave={title => updateSource(s.id, { title })} className="font-medium text-slate-200" />
+                    <div className="flex gap-1 text-xs text-slate-500">
+                      <EditableCell value={[...s.authors.map(invertedName), ...(s.etAl ? ['et al.'] : [])].join('; ')} readOnly={readOnly} placeholder="Authors" onSave={text => updateSource(s.id, { authors: parseAuthors(text), etAl: /\bet al\b/i.test(text), author: null })} />
+                      <EditableCell value={s.year} readOnly={readOnly} placeholder="Year" onSave={year => updateSource(s.id, { year })} className="w-14 shrink-0" />
+                    </div>
+                  </td>
+                  {MATRIX_FIELDS.map(([key]) => (
+                    <td key={key} className="p-4 text-slate-400">
+                      <EditableCell multiline value={s[key]} readOnly={readOnly} onSave={value => updateSource(s.id, { [key]: value })} />
+                    </td>
+                  ))}
+                  <td className="p-4">
+                    <TagEditor tags={s.tags} suggestions={allTags} readOnly={readOnly} onChange={tags => updateSource(s.id, { tags })} />
+                  </td>
+                  {columns.map(column => (
+                    <td key={column.id} className="p-4 text-slate-400">
+                      <EditableCell multiline value={s.custom?.[column.id]} readOnly={readOnly} onSave={value => updateSource(s.id, { [`custom.${column.id}`]: value })} />
+                    </td>
+                  ))}
+                  <td className="p-4 whitespace-nowrap text-slate-500">
+                    {s.hasFullText && <button onClick={() => setReading(s)} title="Full text" className="p-1 hover:text-cyan-400"><FileText size={14} /></button>}
+                    {!readOnly && (
+                      <>
+                        <button onClick={() => setEditing(s)} title="Citation details" className="p-1 hover:text-cyan-400"><PenTool size={14} /></button>
+                        <button onClick={() => deleteSource(s)} title="Delete" className="p-1 hover:text-red-400"><Trash size={14} /></button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div className={`${THEME.card} p-6 rounded-xl border ${THEME.border} space-y-3 font-serif text-slate-300`}>
+            {sources.length === 0 && <p className="text-sm text-slate-500 font-sans">No sources yet.</p>}
+            {formatBibliography(ordered, style).map((runs, i) => (
+              <p key={i} className="pl-8 -indent-8 leading-relaxed">
+                {runs.map((run, j) => (run.italic ? <em key={j}>{run.text}</em> : <span key={j}>{run.text}</span>))}
+              </p>
+            ))}
+          </div>
+        )}
+        {view === 'matrix' && sources.length > 0 && visible.length === 0 && (
+          <p className="p-8 text-center text-sm text-slate-500">No sources match the current search.</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Click-to-edit text. Saves on blur or Enter (Ctrl+Enter when multiline); Escape cancels.
+function EditableCell({ value, onSave, multiline = false, readOnly = false, placeholder = '—', className = '' }) {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft !== null && draft.trim() !== (value || '')) onSave(draft.trim());
+    setDraft(null);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') setDraft(null);
+    else if (e.key === 'Enter' && (!multiline || e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      commit();
+    }
+  };
+
+  if (readOnly) return <div className={`whitespace-pre-wrap ${className}`}>{value || <span className="text-slate-600">{placeholder}</span>}</div>;
+  if (draft === null) {
+    return (
+      <button onClick={() => setDraft(value || '')} className={`block w-full text-left whitespace-pre-wrap rounded px-1 -mx-1 hover:bg-slate-700/50 ${className}`}>
+        {value || <span className="text-slate-600">{placeholder}</span>}
+      </button>
+    );
+  }
+  const inputProps = {
+    autoFocus: true,
+    value: draft,
+    onChange: e => setDraft(e.target.value),
+    onBlur: commit,
+    onKeyDown: handleKeyDown,
+    className: "w-full bg-slate-900 border border-cyan-500 rounded px-2 py-1 text-sm font-normal text-slate-200 outline-none"
+  };
+  return multiline ? <textarea rows={4} {...inputProps} /> : <input {...inputProps} />;
+}
+
+function TagEditor({ tags = [], suggestions, readOnly = false, onChange }) {
+  const [draft, setDraft] = useState('');
+  const listId = useId();
+
+  const addTag = (e) => {
+    e.preventDefault();
+    const tag = draft.trim();
+    setDraft('');
+    if (tag && !tags.includes(tag)) onChange([...tags, tag]);
+  };
+
+  return (
+    <div className="flex flex-wrap gap-1">
+      {tags.map(tag => (
+        <span key={tag} className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-cyan-500/10 text-cyan-400 text-xs">
+          {tag}
+          {!readOnly && <button onClick={() => onChange(tags.filter(t => t !== tag))} className="hover:text-red-400"><X size={10} /></button>}
+        </span>
+      ))}
+      {!readOnly && <form onSubmit={addTag}>
+        <input
+          list={listId}
+          className="w-20 bg-transparent border-b border-transparent focus:border-cyan-500 text-xs text-slate-400 outline-none"
+          placeholder="+ tag"
+          value={draft} onChange={e => setDraft(e.target.value)}
+        />
+        <datalist id={listId}>
+          {suggestions.filter(t => !tags.includes(t)).map(t => <option key={t} value={t} />)}
+        </datalist>
+      </form>}
+    </div>
+  );
+}
+
+// Extracted text of a PDF source, searchable, with quotations copied alongside their citation
+function SourceTextModal({ source, store, path, style, numberOf, onClose, showNotification }) {
+  const [text, setText] = useState(null);
+  const [find, setFind] = useState('');
+
+  useEffect(() => {
+    let active = true;
+    store.get(path).then(doc => active && setText(doc || { pages: [] })).catch(console.error);
+    return () => { active = false; };
+  }, [store, path]);
+
+  const term = find.trim();
+  const pattern = term && new RegExp(`(${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+  const pages = (text?.pages || []).map((content, i) => ({ number: i + 1, content })).filter(p => !pattern || p.content.toLowerCase().includes(term.toLowerCase()));
+
+  const copyQuote = async () => {
+    const selection = window.getSelection();
+    const quote = selection.toString().replace(/\s+/g, ' ').trim();
+    if (!quote) return showNotification('error', "Select a passage to quote first");
+    const page = selection.anchorNode?.parentElement?.closest('[data-page]')?.dataset.page;
+    try {
+      await navigator.clipboard.writeText(`"${quote}" ${formatInTextCitation([source], style, numberOf, page)}`);
+      showNotification('success', "Quotation copied with citation");
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Could not copy to the clipboard");
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className={`${THEME.card} w-full max-w-3xl h-[90vh] flex flex-col p-6 rounded-xl border ${THEME.border} shadow-2xl`}>
+        <div className="flex justify-between items-start gap-4 mb-4">
+          <div className="min-w-0">
+            <h3 className="text-lg font-bold truncate">{source.title}</h3>
+            <p className="text-xs text-slate-500">{source.fileName} · {source.pageCount} pages{text?.truncated && ' · text truncated'}</p>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-white"><LogOut size={18} className="rotate-45" /></button>
+        </div>
+        <div className="flex gap-3 mb-4">
+          <div className="relative flex-1">
+            <Search size={14} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
+            <input
+              className="w-full bg-slate-900 border border-slate-700 rounded-lg pl-8 pr-3 py-2 text-sm focus:border-cyan-500 outline-none"
+              placeholder="Find in text..."
+              value={find} onChange={e => setFind(e.target.value)}
+            />
+          </div>
+          <button onClick={copyQuote} title="Copy the selected passage with an in-text citation" className={`px-4 rounded-lg text-sm font-bold text-white ${THEME.accentBg} hover:opacity-90`}>Copy Quote</button>
+        </div>
+        <div className="flex-1 overflow-y-auto space-y-6 pr-1">
+          {text === null && <div className="flex justify-center py-10"><Loader className="animate-spin text-cyan-500" /></div>}
+          {text && pages.length === 0 && <p className="text-sm text-slate-500 text-center py-10">{term ? 'No matches.' : 'No text was extracted from this PDF.'}</p>}
+          {pages.map(p => (
+            <div key={p.number} data-page={p.number}>
+              <div className="text-[10px] uppercase tracking-wider text-slate-500 mb-1">Page {p.number}</div>
+              <p className="text-sm leading-relaxed text-slate-300 whitespace-pre-wrap font-serif">
+                {pattern ? p.content.split(pattern).map((part, i) => (i % 2 ? <mark key={i} className="bg-cyan-500/30 text-inherit">{part}</mark> : part)) : p.content}
+              </p>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Drafts a themed literature review from the given sources and appends it to a chapter
+function SynthesisModal({ project, sources, numberOf, store, ai, onClose, showNotification }) {
+  const [result, setResult] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [chapters, setChapters] = useState([]);
+  const [target, setTarget] = useState('new'); // chapter id, or 'new'
+  const [inserting, setInserting] = useState(false);
+  const aiRequest = useAbortable();
+
+  const projectPath = `projects/${project.id}`;
+  const style = project.citationStyle || 'apa';
+
+  useEffect(() => {
+    let active = true;
+    store.list(`${projectPath}/chapters`, { orderBy: 'order' }).then(list => {
+      if (!active) return;
+      setChapters(list);
+      const match = list.find(c => /literature/i.test(c.title));
+      if (match) setTarget(match.id);
+    }).catch(console.error);
+    return () => { active = false; };
+  }, [store, projectPath]);
+
+  const cite = (text) => parseCitationLabels(text, sources)
+    .map(segment => segment.text ?? formatInTextCitation(segment.cite, style, numberOf))
+    .join('');
+
+  // Themes and draft fill in as the reply streams; stopping keeps what has arrived
+  const showPartial = (text) => {
+    const partial = readSynthesis(parsePartialJSON(text));
+    setResult(partial);
+    setDraft(partial.draft);
+    return partial;
+  };
+
+  const generate = async () => {
+    setLoading(true);
+    try {
+      const synthesis = await ai.synthesizeSources(sources, { signal: aiRequest.start(), onText: showPartial });
+      setResult(synthesis);
+      setDraft(synthesis.draft);
+    } catch (e) {
+      console.error(e);
+      const partial = e instanceof AIError && e.code === 'aborted' && e.partial && showPartial(e.partial);
+      if (partial && (partial.draft || partial.themes.length)) {
+        setResult({ ...partial, stopped: true });
+        return;
+      }
+      setResult(null);
+      const message = aiErrorMessage(e, "Synthesis failed");
+      if (message) showNotification('error', message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const insert = async () => {
+    setInserting(true);
+    try {
+      const paragraphs = citedTextToNodes(draft, sources);
+      if (target === 'new') {
+        const id = store.newId(`${projectPath}/chapters`);
+        const order = chapters.length ? Math.max(...chapters.map(c => c.order)) + 1 : 0;
+        const doc = { type: 'doc', content: paragraphs };
+        const content = docToText(doc);
+        const wordCount = countWords(content);
+        await store.batch([
+          { type: 'set', path: `${projectPath}/chapters/${id}`, data: { title: 'Literature Review', doc: JSON.stringify(doc), content, wordCount, order, createdAt: store.timestamp(), updatedAt: store.timestamp() } },
+          { type: 'update', path: projectPath, data: { wordCount: chapters.reduce((sum, c) => sum + (c.wordCount || 0), wordCount) } }
+        ]);
+      } else {
+        await editChapterDoc(store, projectPath, chapters, target, (doc) => {
+          const existing = doc.content.filter(node => node.type !== 'paragraph' || node.content?.length);
+          return { ...doc, content: [...existing, ...paragraphs] };
+        });
+      }
+      showNotification('success', "Synthesis added to chapter");
+      onClose();
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to insert synthesis");
+      setInserting(false);
+    }
+  };
+
+  const findings = result ? [['Agreements', result.agreements], ['Contradictions', result.contradictions], ['Research Gaps', result.gaps]] : [];
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className={`${THEME.card} w-full max-w-3xl max-h-[90vh] flex flex-col p-6 rounded-xl border ${THEME.border} shadow-2xl`}>
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-lg font-bold">Synthesize Literature</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-white"><LogOut size={18} className="rotate-45" /></button>
+        </div>
+        <p className="text-xs text-slate-500 mb-4">
+          {sources.length} sources · citations in {CITATION_STYLES[style]}
+        </p>
+        {!result ? (
+          <div className="flex-1 flex flex-col items-center justify-center gap-4 py-10 text-center">
+            <p className="text-sm text-slate-400 max-w-md">Groups the sources into themes, finds agreements, contradictions and gaps, and drafts a review section that cites them. Uses one AI credit.</p>
+            {loading ? (
+              <button onClick={() => aiRequest.cancel()} className="px-6 py-3 rounded-lg font-bold text-white bg-red-500/80 hover:bg-red-500 flex items-center gap-2">
+                <Loader className="animate-spin" size={18} /> Stop
+              </button>
+            ) : (
+              <button onClick={generate} className={`px-6 py-3 rounded-lg font-bold text-white ${THEME.accentBg} hover:opacity-90 flex items-center gap-2`}>
+                <Cpu size={18} /> Synthesize
+              </button>
+            )}
+          </div>
+        ) : (
+          <div className="flex-1 overflow-y-auto space-y-5 pr-1">
+            {loading && (
+              <div className="flex items-center gap-3 text-sm text-cyan-400">
+                <Loader className="animate-spin" size={16} /> Writing the synthesis...
+                <button onClick={() => aiRequest.cancel()} className="ml-auto flex items-center gap-1 px-3 py-1 rounded bg-red-500/80 text-white hover:bg-red-500"><Square size={12} /> Stop</button>
+              </div>
+            )}
+            {result.stopped && <p className="text-xs text-amber-400">Stopped early. The draft below is incomplete, so review it before inserting.</p>}
+            <div className="grid grid-cols-2 gap-3">
+              {result.themes.map(theme => (
+                <div key={theme.title} className="p-3 rounded-lg bg-slate-900 border border-slate-700">
+                  <div className="font-semibold text-sm text-cyan-400">{theme.title}</div>
+                  <p className="text-xs text-slate-400 mt-1">{cite(theme.summary)}</p>
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {theme.sources.map(label => sources[Number(label.replace(/\D/g, '')) - 1]).filter(Boolean).map(s => (
+                      <span key={s.id} title={s.title} className="text-[10px] px-2 py-0.5 rounded-full bg-slate-800 text-slate-400">{shortAuthors(s.authors)} {s.year}</span>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+            {findings.filter(([, items]) => items.length).map(([label, items]) => (
+              <div key={label}>
+                <h4 className="text-xs uppercase tracking-wider text-slate-500 mb-1">{label}</h4>
+                <ul className="list-disc pl-5 text-sm text-slate-300 space-y-1">
+                  {items.map((item, i) => <li key={i}>{cite(item)}</li>)}
+                </ul>
+              </div>
+            ))}
+            <div>
+              <h4 className="text-xs uppercase tracking-wider text-slate-500 mb-1">Draft</h4>
+              <p className="text-xs text-slate-500 mb-2">
+                Labels become {CITATION_STYLES[style]} citations on insert: {sources.map((s, i) => `S${i + 1} ${shortAuthors(s.authors)} ${s.year || ''}`.trim()).join(' · ')}
+              </p>
+              <textarea
+                className="w-full h-64 bg-slate-900 border border-slate-700 rounded-lg p-4 text-sm leading-relaxed font-serif text-slate-300 focus:border-cyan-500 outline-none resize-none"
+                value={draft} onChange={e => setDraft(e.target.value)} readOnly={loading}
+              />
+            </div>
+            <div className="flex gap-3">
+              <select
+                className="flex-1 bg-slate-900 border border-slate-700 rounded-lg p-3 text-sm focus:border-cyan-500 outline-none"
+                value={target} onChange={e => setTarget(e.target.value)}
+              >
+                {chapters.map((c, i) => <option key={c.id} value={c.id}>Append to {i + 1}. {c.title}</option>)}
+                <option value="new">New chapter: Literature Review</option>
+              </select>
+              <button onClick={insert} disabled={loading || inserting || !draft.trim()} className={`px-6 rounded-lg font-bold text-white ${THEME.accentBg} hover:opacity-90 disabled:opacity-50`}>
+                {inserting ? <Loader className="animate-spin" size={18} /> : 'Insert'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Preview of a parsed reference file; duplicates start unticked but can still be imported
+function ImportSourcesModal({ fileName, entries, credits, onImport, onClose }) {
+  const [selected, setSelected] = useState(() => entries.map(e => !e.duplicate));
+  const [analyze, setAnalyze] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const chosen = entries.filter((_, i) => selected[i]);
+  const withAbstract = chosen.filter(e => e.abstract).length;
+  const duplicates = entries.filter(e => e.duplicate).length;
+
+  const handleImport = async () => {
+    setLoading(true);
+    await onImport(chosen, analyze && withAbstract > 0);
+    setLoading(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className={`${THEME.card} w-full max-w-2xl max-h-[90vh] flex flex-col p-6 rounded-xl border ${THEME.border} shadow-2xl`}>
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-lg font-bold">Import Sources</h3>
+          <button onClick={onClose} disabled={loading} className="text-slate-400 hover:text-white"><LogOut size={18} className="rotate-45" /></button>
+        </div>
+        <p className="text-xs text-slate-500 mb-4">
+          {entries.length} reference{entries.length === 1 ? '' : 's'} in {fileName}{duplicates > 0 && ` · ${duplicates} already in this project`}
+        </p>
+        <div className="flex-1 overflow-y-auto space-y-1 bg-slate-900 border border-slate-700 rounded-lg p-3 text-sm">
+          {entries.map((entry, i) => (
+            <label key={i} className={`flex items-start gap-3 p-2 rounded hover:bg-slate-800 ${entry.duplicate ? 'opacity-60' : ''}`}>
+              <input type="checkbox" className="accent-cyan-500 mt-1" checked={selected[i]} onChange={() => setSelected(selected.map((v, j) => (j === i ? !v : v)))} />
+              <span className="flex-1 min-w-0">
+                <span className="block text-slate-200 truncate">{entry.title}</span>
+                <span className="block text-xs text-slate-500">
+                  {shortAuthors(entry.authors)}, {entry.year || 'n.d.'}{entry.abstract && ' · abstract'}
+                </span>
+              </span>
+              {entry.duplicate && <span className="text-xs px-2 py-0.5 rounded bg-amber-500/10 text-amber-400">Duplicate</span>}
+            </label>
+          ))}
+        </div>
+        <label className="flex items-center gap-2 text-sm text-slate-300 mt-4">
+          <input type="checkbox" className="accent-cyan-500" checked={analyze} disabled={!withAbstract} onChange={e => setAnalyze(e.target.checked)} />
+          Extract method, result and conclusion with AI for the {withAbstract} selected entr{withAbstract === 1 ? 'y' : 'ies'} with an abstract
+        </label>
+        {analyze && withAbstract > credits.remaining && (
+          <p className="text-xs text-amber-400 mt-1 ml-6">Uses one AI credit per entry; only {credits.remaining} left this hour, the rest will import without analysis.</p>
+        )}
+        <button onClick={handleImport} disabled={loading || !chosen.length} className={`w-full py-3 ${THEME.accentBg} text-white font-bold rounded-lg hover:opacity-90 mt-4 flex justify-center items-center gap-2 disabled:opacity-50`}>
+          {loading ? <Loader className="animate-spin" size={18} /> : <><Upload size={18} /> Import {chosen.length} Source{chosen.length === 1 ? '' : 's'}</>}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Authors are edited one per line as "Family, Given", with "et al." last for an incomplete list
+function SourceEditorModal({ source, onSave, onClose }) {
+  const [form, setForm] = useState({ ...source, authors: [...source.authors.map(invertedName), ...(source.etAl ? ['et al.'] : [])].join('\n') });
+  const field = (key) => ({ value: form[key] || '', onChange: e => setForm({ ...form, [key]: e.target.value }) });
+  const inputClass = "w-full bg-slate-900 border border-slate-700 rounded-lg p-2 text-sm focus:border-cyan-500 outline-none";
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!form.title.trim()) return;
+    const lines = form.authors.split('\n').map(line => line.trim()).filter(Boolean);
+    const etAl = /^et al\.?$/i.test(lines[lines.length - 1]);
+    onSave({ ...form, title: form.title.trim(), authors: (etAl ? lines.slice(0, -1) : lines).map(parseName), etAl, author: null });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <form onSubmit={handleSave} className={`${THEME.card} w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6 rounded-xl border ${THEME.border} shadow-2xl`}>
+        <div className="flex justify-between items-center mb-6">
+          <h3 className="text-lg font-bold">Edit Source</h3>
+          <button type="button" onClick={onClose} className="text-slate-400 hover:text-white"><LogOut size={18} className="rotate-45" /></button>
+        </div>
+        <div className="grid grid-cols-2 gap-4">
+          <div className="col-span-2">
+            <label className="block text-xs text-slate-400 mb-1">Title</label>
+            <input className={inputClass} {...field('title')} />
+          </div>
+          <div className="col-span-2">
+            <label className="block text-xs text-slate-400 mb-1">Authors (one per line, "Family, Given", then "et al." if incomplete)</label>
+            <textarea rows={3} className={`${inputClass} resize-none`} {...field('authors')} />
+          </div>
+          <div>
+            <label className="block text-xs text-slate-400 mb-1">Type</label>
+            <select className={inputClass} {...field('type')}>
+              {Object.entries(SOURCE_TYPES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-slate-400 mb-1">Year</label>
+            <input className={inputClass} {...field('year')} />
+          </div>
+          <div className="col-span-2">
+            <label className="block text-xs text-slate-400 mb-1">{form.type === 'book' ? 'Publisher' : form.type === 'inproceedings' ? 'Conference' : 'Journal'}</label>
+            <input className={inputClass} {...field('venue')} />
+          </div>
+          <div className="col-span-2 grid grid-cols-3 gap-4">
+            {[['volume', 'Volume'], ['issue', 'Issue'], ['pages', 'Pages']].map(([key, label]) => (
+              <div key={key}>
+                <label className="block text-xs text-slate-400 mb-1">{label}</label>
+                <input className={inputClass} {...field(key)} />
+              </div>
+            ))}
+          </div>
+          <div>
+            <label className="block text-xs text-slate-400 mb-1">DOI</label>
+            <input className={inputClass} placeholder="10.xxxx/..." {...field('doi')} />
+          </div>
+          <div>
+            <label className="block text-xs text-slate-400 mb-1">URL</label>
+            <input className={inputClass} {...field('url')} />
+          </div>
+          {[['method', 'Method'], ['result', 'Result'], ['conclusion', 'Conclusion']].map(([key, label]) => (
+            <div key={key} className="col-span-2">
+              <label className="block text-xs text-slate-400 mb-1">{label}</label>
+              <textarea rows={2} className={`${inputClass} resize-none`} {...field(key)} />
+            </div>
+          ))}
+        </div>
+        <button type="submit" className={`w-full py-3 ${THEME.accentBg} text-white font-bold rounded-lg hover:opacity-90 mt-6`}>Save Source</button>
+      </form>
+    </div>
+  );
+}
+
+function Kanban({ project, store, ai, readOnly, showNotification }) {
+  const [tasks, setTasks] = useState([]);
+  const [chapters, setChapters] = useState([]);
+  const [newTask, setNewTask] = useState('');
+  const [editingTask, setEditingTask] = useState(null);
+  const [dragging, setDragging] = useState(null); // id of the task being dragged
+  const [dropTarget, setDropTarget] = useState(null); // { status, index } where it would land
+  const [newColumn, setNewColumn] = useState(null); // title being typed for a new column
+  const [planning, setPlanning] = useState(false);
+
+  const projectPath = `projects/${project.id}`;
+  const tasksPath = `${projectPath}/tasks`;
+  const columns = taskColumns(project);
+
+  useEffect(() => {
+    return store.watchCollection(tasksPath, setTasks);
+  }, [tasksPath, store]);
+
+  useEffect(() => {
+    return store.watchCollection(`${projectPath}/chapters`, setChapters, { orderBy: 'order' });
+  }, [projectPath, store]);
+
+  const tasksIn = (status) => sortTasks(tasks.filter(t => columnOf(t, columns) === status));
+
+  // Every board write goes through here so failures surface the same way
+  const write = async (ops, failure) => {
+    try {
+      await store.batch(ops);
+      return true;
+    } catch (e) {
+      console.error(e);
+      showNotification('error', failure);
+      return false;
+    }
+  };
+
+  const addTask = async (e) => {
+    e.preventDefault();
+    if (!newTask.trim()) return;
+    const status = columns[0].id;
+    const order = tasksIn(status).length;
+    const data = { title: newTask.trim(), status, order, priority: 'Medium', description: '', dueDate: '', checklist: [], chapterIds: [], createdAt: store.timestamp() };
+    if (await write([{ type: 'set', path: `${tasksPath}/${store.newId(tasksPath)}`, data }], "Failed to add task")) setNewTask('');
+  };
+
+  const saveTask = async ({ id, ...data }) => {
+    const previous = tasks.find(t => t.id === id);
+    const moved = previous && columnOf(previous, columns) !== data.status;
+    const updates = { ...data, ...(moved ? { order: tasksIn(data.status).length } : {}) };
+    if (await write([{ type: 'update', path: `${tasksPath}/${id}`, data: updates }], "Failed to save task")) setEditingTask(null);
+  };
+
+  const deleteTask = async (taskId) => {
+    if (await write([{ type: 'delete', path: `${tasksPath}/${taskId}` }], "Failed to delete task")) setEditingTask(null);
+  };
+
+  // The destination column is renumbered from 0, so orders stay dense and only changed tasks are written
+  const moveTask = (taskId, status, index) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    const column = tasksIn(status);
+    const from = column.findIndex(t => t.id === taskId);
+    const target = from !== -1 && from < index ? index - 1 : index;
+    if (from === target) return;
+    const next = column.filter(t => t.id !== taskId);
+    next.splice(target, 0, task);
+    const ops = next
+      .map((t, i) => (t.id === taskId
+        ? { type: 'update', path: `${tasksPath}/${t.id}`, data: { status, order: i } }
+        : t.order !== i && { type: 'update', path: `${tasksPath}/${t.id}`, data: { order: i } }))
+      .filter(Boolean);
+    write(ops, "Failed to move task");
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const taskId = e.dataTransfer.getData('text/plain');
+    if (taskId && dropTarget) moveTask(taskId, dropTarget.status, dropTarget.index);
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  const updateDropTarget = (status, index) => {
+    if (dropTarget?.status !== status || dropTarget.index !== index) setDropTarget({ status, index });
+  };
+
+  const saveColumns = (next, extraOps = []) => write([...extraOps, { type: 'update', path: projectPath, data: { taskColumns: next } }], "Failed to update columns");
+
+  const addColumn = async (e) => {
+    e.preventDefault();
+    const title = newColumn.trim();
+    if (!title) return;
+    if (await saveColumns([...columns, { id: store.newId(tasksPath), title }])) setNewColumn(null);
+  };
+
+  const moveColumn = (index, direction) => {
+    const next = [...columns];
+    [next[index], next[index + direction]] = [next[index + direction], next[index]];
+    saveColumns(next);
+  };
+
+  // Tasks in a deleted column move to the first remaining one
+  const deleteColumn = (column) => {
+    const remaining = columns.filter(c => c.id !== column.id);
+    const moving = tasksIn(column.id);
+    const fallback = remaining[0];
+    if (moving.length && !window.confirm(`Delete "${column.title}"? Its ${moving.length} task(s) will move to "${fallback.title}".`)) return;
+    const start = tasksIn(fallback.id).length;
+    saveColumns(remaining, moving.map((t, i) => ({ type: 'update', path: `${tasksPath}/${t.id}`, data: { status: fallback.id, order: start + i } })));
+  };
+
+  return (
+    <div className="h-full flex flex-col gap-6">
+      <div className="flex justify-between items-center">
+        <h3 className="text-xl font-bold flex items-center gap-2"><Layout size={20} className="text-cyan-400" /> Kanban Board</h3>
+        {!readOnly && (
+          <div className="flex gap-2">
+            <button onClick={() => setPlanning(true)} className="px-4 py-2 rounded-lg bg-slate-800 border border-slate-700 text-sm text-slate-300 hover:text-white hover:border-cyan-500/50 flex items-center gap-2">
+              <Sparkles size={16} className="text-cyan-400" /> Plan with AI
+            </button>
+            <form onSubmit={addTask} className="flex gap-2 w-96">
+              <input
+                className="flex-1 bg-slate-900 border border-slate-700 rounded-lg p-2.5 text-sm focus:border-cyan-500 outline-none"
+                placeholder="Add a new task..."
+                value={newTask} onChange={e => setNewTask(e.target.value)}
+              />
+              <button type="submit" className={`px-4 ${THEME.accentBg} text-white rounded-lg hover:opacity-90`}><Plus size={18} /></button>
+            </form>
+          </div>
+        )}
+      </div>
+
+      {tasks.length === 0 && !readOnly && (
+        <div className="p-4 rounded-xl border border-cyan-500/20 bg-cyan-500/5 flex items-center justify-between gap-4">
+          <p className="text-sm text-slate-300">Your board is empty. Get a starting plan from your thesis concept{project.milestones?.length ? ' and timeline' : ''}, then edit it before anything is added.</p>
+          <button onClick={() => setPlanning(true)} className={`shrink-0 px-4 py-2 rounded-lg ${THEME.accentBg} text-white text-sm font-medium hover:opacity-90 flex items-center gap-2`}>
+            <Sparkles size={16} /> Plan with AI
+          </button>
+        </div>
+      )}
+
+      <div className="flex-1 flex gap-6 overflow-x-auto pb-2 min-h-0">
+        {columns.map((column, i) => (
+          <KanbanColumn
+            key={column.id}
+            column={column} tasks={tasksIn(column.id)} columns={columns} chapters={chapters} readOnly={readOnly}
+            isFirst={i === 0} isLast={i === columns.length - 1} canDelete={columns.length > 1}
+            dragging={dragging} dropIndex={dropTarget?.status === column.id ? dropTarget.index : null}
+            onDragStart={setDragging} onDragOver={index => updateDropTarget(column.id, index)} onDrop={handleDrop}
+            onDragEnd={() => { setDragging(null); setDropTarget(null); }}
+            onEdit={setEditingTask}
+            onRename={title => title.trim() && saveColumns(columns.map(c => (c.id === column.id ? { ...c, title: title.trim() } : c)))}
+            onToggleDone={() => saveColumns(columns.map(c => (c.id === column.id ? { ...c, done: !c.done } : c)))}
+            onMove={direction => moveColumn(i, direction)}
+            onDelete={() => deleteColumn(column)}
+          />
+        ))}
+        {!readOnly && (
+          <div className="w-64 shrink-0">
+            {newColumn === null ? (
+              <button onClick={() => setNewColumn('')} className="w-full flex items-center justify-center gap-2 p-4 rounded-xl border border-dashed border-slate-700 text-sm text-slate-500 hover:text-white hover:border-slate-500">
+                <Plus size={16} /> Add Column
+              </button>
+            ) : (
+              <form onSubmit={addColumn} className="p-3 rounded-xl border border-slate-700 bg-slate-900/50 space-y-2">
+                <input
+                  autoFocus
+                  className="w-full bg-slate-900 border border-slate-700 rounded-lg p-2 text-sm focus:border-cyan-500 outline-none"
+                  placeholder="e.g. Waiting on Supervisor"
+                  value={newColumn} onChange={e => setNewColumn(e.target.value)}
+                />
+                <div className="flex gap-2">
+                  <button type="button" onClick={() => setNewColumn(null)} className="flex-1 py-1.5 rounded-lg bg-slate-700 text-slate-300 text-sm hover:bg-slate-600">Cancel</button>
+                  <button type="submit" className={`flex-1 py-1.5 rounded-lg ${THEME.accentBg} text-white text-sm hover:opacity-90`}>Add</button>
+                </div>
+              </form>
+            )}
+          </div>
+        )}
+      </div>
+
+      {planning && (
+        <TaskPlanModal project={project} tasks={tasks} columns={columns} store={store} ai={ai} onClose={() => setPlanning(false)} showNotification={showNotification} />
+      )}
+
+      {editingTask && (
+        <TaskEditorModal
+          task={editingTask} columns={columns} chapters={chapters}
+          onSave={saveTask} onDelete={() => deleteTask(editingTask.id)} onClose={() => setEditingTask(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+// Cards report the drop index from the pointer position; the column body catches drops below the last card
+function KanbanColumn({ column, tasks, columns, chapters, readOnly, isFirst, isLast, canDelete, dragging, dropIndex, onDragStart, onDragOver, onDrop, onDragEnd, onEdit, onRename, onToggleDone, onMove, onDelete }) {
+  const [menuOpen, setMenuOpen] = useState(false);
+  const indicator = <div className="h-0.5 -my-1.5 rounded bg-cyan-400" />;
+
+  return (
+    <div className="flex-1 min-w-[300px] bg-slate-900/50 rounded-xl border border-slate-800 flex flex-col h-full">
+      <div className="p-4 border-b border-slate-800 font-medium flex justify-between items-center bg-slate-900/80 rounded-t-xl sticky top-0 backdrop-blur-sm z-10">
+        <span className="flex items-center gap-2 min-w-0">
+          <div className={`w-2 h-2 shrink-0 rounded-full ${column.done ? 'bg-emerald-500' : isFirst ? 'bg-slate-500' : 'bg-cyan-500'}`} />
+          <EditableCell value={column.title} readOnly={readOnly} onSave={onRename} className="font-medium" />
+        </span>
+        <span className="relative flex items-center gap-2">
+          <span className="text-xs bg-slate-800 px-2 py-1 rounded-full text-slate-400">{tasks.length}</span>
+          {!readOnly && <button onClick={() => setMenuOpen(!menuOpen)} className="p-1 rounded text-slate-500 hover:text-white hover:bg-slate-700"><MoreHorizontal size={14} /></button>}
+          {menuOpen && (
+            <div className={`absolute right-0 top-full mt-1 z-20 w-48 py-1 rounded-lg border ${THEME.border} ${THEME.card} shadow-xl text-sm font-normal`} onMouseLeave={() => setMenuOpen(false)}>
+              <button onClick={() => { onToggleDone(); setMenuOpen(false); }} className="w-full flex items-center gap-2 px-3 py-2 text-left text-slate-300 hover:bg-slate-700">
+                <CheckCircle size={14} className={column.done ? 'text-emerald-400' : ''} /> {column.done ? 'Counts as done' : 'Mark as done column'}
+              </button>
+              <button onClick={() => { onMove(-1); setMenuOpen(false); }} disabled={isFirst} className="w-full flex items-center gap-2 px-3 py-2 text-left text-slate-300 hover:bg-slate-700 disabled:opacity-40"><ArrowLeft size={14} /> Move left</button>
+              <button onClick={() => { onMove(1); setMenuOpen(false); }} disabled={isLast} className="w-full flex items-center gap-2 px-3 py-2 text-left text-slate-300 hover:bg-slate-700 disabled:opacity-40"><ArrowRight size={14} /> Move right</button>
+              <button onClick={() => { onDelete(); setMenuOpen(false); }} disabled={!canDelete} className="w-full flex items-center gap-2 px-3 py-2 text-left text-red-400 hover:bg-slate-700 disabled:opacity-40"><Trash size={14} /> Delete column</button>
+            </div>
+          )}
+        </span>
+      </div>
+      <div
+        className="p-3 space-y-3 flex-1 overflow-y-auto custom-scrollbar"
+        onDragOver={e => { if (dragging) { e.preventDefault(); onDragOver(tasks.length); } }}
+        onDrop={onDrop}
+      >
+        {tasks.map((t, i) => (
+          <React.Fragment key={t.id}>
+            {dropIndex === i && indicator}
+            <TaskCard
+              task={t} columns={columns} chapters={chapters} readOnly={readOnly} dragging={dragging === t.id}
+              onDragStart={e => { e.dataTransfer.setData('text/plain', t.id); e.dataTransfer.effectAllowed = 'move'; onDragStart(t.id); }}
+              onDragOver={e => {
+                if (!dragging) return;
+                e.preventDefault();
+                e.stopPropagation();
+                const rect = e.currentTarget.getBoundingClientRect();
+                onDragOver(e.clientY > rect.top + rect.height / 2 ? i + 1 : i);
+              }}
+              onDragEnd={onDragEnd}
+              onEdit={() => onEdit(t)}
+            />
+          </React.Fragment>
+        ))}
+        {dropIndex === tasks.length && indicator}
+        {tasks.length === 0 && dropIndex === null && <p className="py-6 text-center text-xs text-slate-600">{readOnly ? 'No tasks' : 'Drop tasks here'}</p>}
+      </div>
+    </div>
+  );
+}
+
+const DUE_STYLES = {
+  overdue: 'border-red-500/30 text-red-400 bg-red-500/10',
+  soon: 'border-amber-500/30 text-amber-400 bg-amber-500/10',
+  later: 'border-slate-600 text-slate-400'
+};
+
+const PRIORITY_STYLES = {
+  High: 'border-red-500/30 text-red-400 bg-red-500/10',
+  Medium: 'border-blue-500/30 text-blue-400 bg-blue-500/10',
+  Low: 'border-slate-500/30 text-slate-400 bg-slate-500/10'
+};
+
+function TaskCard({ task, columns, chapters, readOnly, dragging, onDragStart, onDragOver, onDragEnd, onEdit }) {
+  const due = dueState(task, columns);
+  const checklist = task.checklist || [];
+  const labels = (task.chapterIds || []).map(id => chapters.find(c => c.id === id)).filter(Boolean);
+
+  return (
+    <div
+      draggable={!readOnly} onDragStart={onDragStart} onDragOver={onDragOver} onDragEnd={onDragEnd}
+      className={`${THEME.card} p-4 rounded-lg border border-slate-700 shadow-sm hover:border-cyan-500/50 group transition-all ${readOnly ? '' : 'cursor-grab active:cursor-grabbing'} ${dragging ? 'opacity-40' : ''}`}
+    >
+      <div className="flex justify-between items-start mb-2">
+        <p className="text-sm font-medium leading-snug">{task.title}</p>
+        {!readOnly && (
+          <button onClick={onEdit} className="opacity-0 group-hover:opacity-100 p-1 hover:bg-slate-700 rounded text-slate-400 hover:text-cyan-400 transition-all">
+            <PenTool size={12} />
+          </button>
+        )}
+      </div>
+      {task.description && <p className="text-xs text-slate-500 line-clamp-2 mb-2">{task.description}</p>}
+      {labels.length > 0 && (
+        <div className="flex flex-wrap gap-1 mb-2">
+          {labels.map(c => <span key={c.id} className="text-[10px] px-2 py-0.5 rounded-full bg-purple-500/10 text-purple-300 border border-purple-500/20 truncate max-w-[10rem]">{c.title}</span>)}
+        </div>
+      )}
+      <div className="flex flex-wrap items-center gap-2 mt-3">
+        <span className={`text-[10px] px-2 py-0.5 rounded border font-medium ${PRIORITY_STYLES[task.priority] || PRIORITY_STYLES.Medium}`}>
+          {task.priority}
+        </span>
+        {task.dueDate && (
+          <span className={`text-[10px] px-2 py-0.5 rounded border flex items-center gap-1 ${DUE_STYLES[due] || DUE_STYLES.later}`}>
+            <Calendar size={10} /> {new Date(`${task.dueDate}T12:00:00`).toLocaleDateString([], { month: 'short', day: 'numeric' })}
+          </span>
+        )}
+        {checklist.length > 0 && (
+          <span className={`text-[10px] flex items-center gap-1 ${checklist.every(item => item.done) ? 'text-emerald-400' : 'text-slate-500'}`}>
+            <CheckSquare size={10} /> {checklist.filter(item => item.done).length}/{checklist.length}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function TaskEditorModal({ task, columns, chapters, onSave, onDelete, onClose }) {
+  const [form, setForm] = useState({
+    ...task,
+    status: columnOf(task, columns),
+    description: task.description || '',
+    dueDate: task.dueDate || '',
+    checklist: task.checklist || [],
+    chapterIds: task.chapterIds || []
+  });
+  const [newItem, setNewItem] = useState('');
+  const inputClass = "w-full bg-slate-900 border border-slate-700 rounded-lg p-3 text-sm focus:border-cyan-500 outline-none";
+
+  const setItem = (index, changes) => setForm({ ...form, checklist: form.checklist.map((item, i) => (i === index ? { ...item, ...changes } : item)) });
+  const addItem = (e) => {
+    e.preventDefault();
+    if (!newItem.trim()) return;
+    setForm({ ...form, checklist: [...form.checklist, { text: newItem.trim(), done: false }] });
+    setNewItem('');
+  };
+  const toggleChapter = (id) => setForm({ ...form, chapterIds: form.chapterIds.includes(id) ? form.chapterIds.filter(x => x !== id) : [...form.chapterIds, id] });
+
+  const handleSave = () => {
+    if (!form.title.trim()) return;
+    const { id, title, description, status, priority, dueDate, checklist, chapterIds } = form;
+    onSave({ id, title: title.trim(), description: description.trim(), status, priority, dueDate, checklist: checklist.filter(item => item.text.trim()), chapterIds });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className={`${THEME.card} w-full max-w-lg max-h-[90vh] overflow-y-auto p-6 rounded-xl border ${THEME.border} shadow-2xl`}>
+        <h3 className="text-lg font-bold mb-4">Edit Task</h3>
+        <div className="space-y-4">
+          <div>
+            <label className="block text-xs text-slate-400 mb-1">Task Title</label>
+            <input className={inputClass} value={form.title} onChange={e => setForm({ ...form, title: e.target.value })} />
+          </div>
+          <div>
+            <label className="block text-xs text-slate-400 mb-1">Description</label>
+            <textarea rows={3} className={`${inputClass} resize-none`} value={form.description} onChange={e => setForm({ ...form, description: e.target.value })} />
           </div>
-          <button onClick={generateConcepts} disabled={loading || !formData.field} className={`w-full py-4 ${THEME.accentBg} text-white font-bold rounded-lg hover:opacity-90 flex justify-center items-center gap-2`}>
-            {loading ? <Loader className="animate-spin" /> : <><Cpu size={20} /> Generate Concepts</>}
+          <div className="grid grid-cols-3 gap-3">
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Column</label>
+              <select className={inputClass} value={form.status} onChange={e => setForm({ ...form, status: e.target.value })}>
+                {columns.map(c => <option key={c.id} value={c.id}>{c.title}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Priority</label>
+              <select className={inputClass} value={form.priority} onChange={e => setForm({ ...form, priority: e.target.value })}>
+                {TASK_PRIORITIES.map(p => <option key={p} value={p}>{p}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Due Date</label>
+              <input type="date" className={inputClass} value={form.dueDate} onChange={e => setForm({ ...form, dueDate: e.target.value })} />
+            </div>
+          </div>
+          {chapters.length > 0 && (
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Chapters</label>
+              <div className="flex flex-wrap gap-2">
+                {chapters.map(c => (
+                  <button
+                    key={c.id} type="button" onClick={() => toggleChapter(c.id)}
+                    className={`text-xs px-3 py-1 rounded-full border ${form.chapterIds.includes(c.id) ? 'bg-purple-500/20 border-purple-500/40 text-purple-300' : 'border-slate-700 text-slate-400 hover:text-white'}`}
+                  >
+                    {c.title}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+          <div>
+            <label className="block text-xs text-slate-400 mb-1">Checklist</label>
+            <div className="space-y-1">
+              {form.checklist.map((item, i) => (
+                <div key={i} className="group flex items-center gap-2">
+                  <input type="checkbox" className="accent-cyan-500" checked={item.done} onChange={e => setItem(i, { done: e.target.checked })} />
+                  <input
+                    className={`flex-1 bg-transparent border border-transparent hover:border-slate-700 focus:border-cyan-500 rounded px-2 py-1 text-sm outline-none ${item.done ? 'line-through text-slate-500' : 'text-slate-300'}`}
+                    value={item.text} onChange={e => setItem(i, { text: e.target.value })}
+                  />
+                  <button type="button" onClick={() => setForm({ ...form, checklist: form.checklist.filter((_, j) => j !== i) })} className="p-1 text-slate-500 hover:text-red-400 opacity-0 group-hover:opacity-100"><X size={12} /></button>
+                </div>
+              ))}
+            </div>
+            <form onSubmit={addItem} className="flex gap-2 mt-2">
+              <input className="flex-1 bg-slate-900 border border-slate-700 rounded-lg p-2 text-sm focus:border-cyan-500 outline-none" placeholder="Add an item..." value={newItem} onChange={e => setNewItem(e.target.value)} />
+              <button type="submit" className="px-3 bg-slate-700 text-slate-300 rounded-lg hover:bg-slate-600"><Plus size={14} /></button>
+            </form>
+          </div>
+          <div className="flex gap-3 pt-4">
+            <button onClick={onDelete} className="px-4 py-2 bg-red-500/10 text-red-400 border border-red-500/20 rounded-lg hover:bg-red-500/20 flex-1">Delete</button>
+            <button onClick={onClose} className="px-4 py-2 bg-slate-700 text-slate-300 rounded-lg hover:bg-slate-600 flex-1">Cancel</button>
+            <button onClick={handleSave} className={`px-4 py-2 ${THEME.accentBg} text-white rounded-lg hover:opacity-90 flex-1`}>Save</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Nothing reaches the board until the user has reviewed the proposal and chosen what to keep
+function TaskPlanModal({ project, tasks, columns, store, ai, onClose, showNotification }) {
+  const [plan, setPlan] = useState(null); // proposed tasks, each with an `include` flag
+  const [loading, setLoading] = useState(false);
+  const [stopped, setStopped] = useState(false);
+  const [inserting, setInserting] = useState(false);
+  const aiRequest = useAbortable();
+
+  const tasksPath = `projects/${project.id}/tasks`;
+  const chosen = (plan || []).filter(t => t.include && t.title.trim());
+
+  const showPartial = (text) => {
+    const partial = readTasks(parsePartialJSON(text)).map(t => ({ ...t, include: true }));
+    setPlan(partial);
+    return partial;
+  };
+
+  const generate = async () => {
+    setLoading(true);
+    setStopped(false);
+    try {
+      const proposed = await ai.planTasks({
+        title: project.title, field: project.field, degree: project.degree, currentPhase: project.currentPhase,
+        today: isoDate(), defenseDate: project.defenseDate, milestones: project.milestones, existing: tasks.map(t => t.title)
+      }, { signal: aiRequest.start(), onText: showPartial });
+      setPlan(proposed.map(t => ({ ...t, include: true })));
+    } catch (e) {
+      console.error(e);
+      const partial = e instanceof AIError && e.code === 'aborted' && e.partial && showPartial(e.partial);
+      if (partial?.length) {
+        setStopped(true);
+        return;
+      }
+      setPlan(null);
+      const message = aiErrorMessage(e, "Task planning failed");
+      if (message) showNotification('error', message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const setTask = (index, changes) => setPlan(plan.map((t, i) => (i === index ? { ...t, ...changes } : t)));
+
+  const insert = async () => {
+    setInserting(true);
+    try {
+      const status = columns[0].id;
+      const start = tasks.filter(t => columnOf(t, columns) === status).length;
+      await commitInChunks(store, chosen.map((t, i) => ({
+        type: 'set',
+        path: `${tasksPath}/${store.newId(tasksPath)}`,
+        data: {
+          title: t.title.trim(), description: t.description.trim(), status, order: start + i, priority: t.priority, dueDate: t.dueDate,
+          checklist: t.checklist.map(text => ({ text, done: false })), chapterIds: [], createdAt: store.timestamp()
+        }
+      })));
+      showNotification('success', `Added ${chosen.length} task${chosen.length === 1 ? '' : 's'} to ${columns[0].title}`);
+      onClose();
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to add tasks");
+      setInserting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className={`${THEME.card} w-full max-w-3xl max-h-[90vh] flex flex-col p-6 rounded-xl border ${THEME.border} shadow-2xl`}>
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-lg font-bold">Plan Tasks with AI</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-white"><LogOut size={18} className="rotate-45" /></button>
+        </div>
+        <p className="text-xs text-slate-500 mb-4">
+          {project.degree} · {project.field} · {project.currentPhase}{project.defenseDate ? ` · defense ${project.defenseDate}` : ''}
+        </p>
+        {!plan ? (
+          <div className="flex-1 flex flex-col items-center justify-center gap-4 py-10 text-center">
+            <p className="text-sm text-slate-400 max-w-md">
+              Proposes concrete tasks with priorities and due dates from your thesis title, field and {project.milestones?.length ? 'milestone plan' : 'degree level'}. You can edit or drop any of them before they are added. Uses one AI credit.
+            </p>
+            {loading ? (
+              <button onClick={() => aiRequest.cancel()} className="px-6 py-3 rounded-lg font-bold text-white bg-red-500/80 hover:bg-red-500 flex items-center gap-2">
+                <Loader className="animate-spin" size={18} /> Stop
+              </button>
+            ) : (
+              <button onClick={generate} className={`px-6 py-3 rounded-lg font-bold text-white ${THEME.accentBg} hover:opacity-90 flex items-center gap-2`}>
+                <Sparkles size={18} /> Propose Tasks
+              </button>
+            )}
+          </div>
+        ) : (
+          <>
+            <div className="flex-1 overflow-y-auto space-y-2 pr-1">
+              {loading && (
+                <div className="flex items-center gap-3 text-sm text-cyan-400 mb-2">
+                  <Loader className="animate-spin" size={16} /> Planning tasks...
+                  <button onClick={() => aiRequest.cancel()} className="ml-auto flex items-center gap-1 px-3 py-1 rounded bg-red-500/80 text-white hover:bg-red-500"><Square size={12} /> Stop</button>
+                </div>
+              )}
+              {stopped && <p className="text-xs text-amber-400 mb-2">Stopped early. The last task may be incomplete.</p>}
+              {plan.map((t, i) => (
+                <div key={i} className={`p-3 rounded-lg border border-slate-700 bg-slate-900/60 space-y-2 ${t.include ? '' : 'opacity-50'}`}>
+                  <div className="flex items-center gap-2">
+                    <input type="checkbox" className="accent-cyan-500" checked={t.include} disabled={loading} onChange={e => setTask(i, { include: e.target.checked })} />
+                    <input
+                      className="flex-1 min-w-0 bg-slate-900 border border-slate-700 rounded px-2 py-1 text-sm font-medium focus:border-cyan-500 outline-none"
+                      value={t.title} readOnly={loading} onChange={e => setTask(i, { title: e.target.value })}
+                    />
+                    <select className="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-xs focus:border-cyan-500 outline-none" value={t.priority} disabled={loading} onChange={e => setTask(i, { priority: e.target.value })}>
+                      {TASK_PRIORITIES.map(p => <option key={p} value={p}>{p}</option>)}
+                    </select>
+                    <input
+                      type="date" readOnly={loading}
+                      title={project.defenseDate && t.dueDate > project.defenseDate ? 'Due after the defense date' : undefined}
+                      className={`bg-slate-900 border rounded px-2 py-1 text-xs focus:border-cyan-500 outline-none ${project.defenseDate && t.dueDate > project.defenseDate ? 'border-amber-500/60 text-amber-300' : 'border-slate-700'}`}
+                      value={t.dueDate} onChange={e => setTask(i, { dueDate: e.target.value })}
+                    />
+                  </div>
+                  <input
+                    className="w-full bg-transparent border border-transparent hover:border-slate-700 focus:border-cyan-500 rounded px-2 py-1 text-xs text-slate-400 outline-none"
+                    placeholder="Description" value={t.description} readOnly={loading} onChange={e => setTask(i, { description: e.target.value })}
+                  />
+                  {t.checklist.length > 0 && (
+                    <div className="flex flex-wrap gap-1 pl-2">
+                      {t.checklist.map((item, j) => (
+                        <span key={j} className="flex items-center gap-1 text-[10px] px-2 py-0.5 rounded-full bg-slate-800 text-slate-400">
+                          <CheckSquare size={10} /> {item}
+                          {!loading && <button onClick={() => setTask(i, { checklist: t.checklist.filter((_, k) => k !== j) })} className="hover:text-red-400"><X size={10} /></button>}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+            <div className="flex items-center gap-3 pt-4 mt-2 border-t border-slate-700">
+              <button onClick={() => setPlan(plan.map(t => ({ ...t, include: !chosen.length })))} disabled={loading} className="text-xs text-slate-400 hover:text-white disabled:opacity-40">
+                {chosen.length ? 'Select none' : 'Select all'}
+              </button>
+              <button onClick={generate} disabled={loading || inserting} className="ml-auto px-4 py-2 bg-slate-700 text-slate-300 rounded-lg hover:bg-slate-600 text-sm disabled:opacity-40">Regenerate</button>
+              <button onClick={insert} disabled={loading || inserting || !chosen.length} className={`px-4 py-2 ${THEME.accentBg} text-white rounded-lg hover:opacity-90 text-sm disabled:opacity-50 flex items-center gap-2`}>
+                {inserting ? <Loader className="animate-spin" size={16} /> : <Plus size={16} />} Add {chosen.length} to {columns[0].title}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const MILESTONE_STYLES = {
+  done: { bar: 'bg-emerald-500/60', chip: 'border-emerald-500/30 text-emerald-400 bg-emerald-500/10', label: 'Done' },
+  active: { bar: 'bg-cyan-500/70', chip: 'border-cyan-500/30 text-cyan-400 bg-cyan-500/10', label: 'In progress' },
+  late: { bar: 'bg-red-500/70', chip: 'border-red-500/30 text-red-400 bg-red-500/10', label: 'Behind' },
+  upcoming: { bar: 'bg-slate-600', chip: 'border-slate-600 text-slate-400', label: 'Upcoming' }
+};
+
+const shortDate = (iso) => new Date(`${iso}T12:00:00`).toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+
+function Timeline({ project, store, readOnly, showNotification }) {
+  const [tasks, setTasks] = useState([]);
+  const [plan, setPlan] = useState({ start: isoDate(), defenseDate: project.defenseDate || '' });
+
+  const projectPath = `projects/${project.id}`;
+  const milestones = project.milestones || [];
+  const columns = taskColumns(project);
+  const today = isoDate();
+  const auto = project.phaseMode !== 'manual';
+
+  useEffect(() => {
+    return store.watchCollection(`${projectPath}/tasks`, setTasks);
+  }, [projectPath, store]);
+
+  const savePlan = async (changes) => {
+    try {
+      await store.update(projectPath, changes);
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to update timeline");
+    }
+  };
+
+  // In automatic mode the phase follows the first unfinished milestone whenever the plan changes
+  const saveMilestones = (next, changes = {}) => savePlan({ ...changes, milestones: next, ...(auto && next.length ? { currentPhase: currentPhaseOf(next) } : {}) });
+
+  const createPlan = (e) => {
+    e.preventDefault();
+    if (!(daysBetween(plan.start, plan.defenseDate) >= THESIS_PHASES.length)) {
+      showNotification('error', "Leave at least a few days between the start and the defense date");
+      return;
+    }
+    saveMilestones(scheduleMilestones(THESIS_PHASES.map(p => p.phase), plan.start, plan.defenseDate), { defenseDate: plan.defenseDate });
+  };
+
+  const updateMilestone = (index, changes) => {
+    const next = milestones.map((m, i) => (i === index ? { ...m, ...changes } : m));
+    if (next[index].start > next[index].end) {
+      showNotification('error', "A phase cannot end before it starts");
+      return;
+    }
+    saveMilestones(next);
+  };
+
+  const replan = () => {
+    const next = replanMilestones(milestones, project.defenseDate, today);
+    if (next.some(m => m.start > m.end)) {
+      showNotification('error', "There isn't enough time left before the defense date. Move it later first.");
+      return;
+    }
+    saveMilestones(next);
+  };
+
+  const setPhase = (value) => savePlan(value === 'auto'
+    ? { phaseMode: 'auto', ...(milestones.length ? { currentPhase: currentPhaseOf(milestones) } : {}) }
+    : { phaseMode: 'manual', currentPhase: value });
+
+  const clearPlan = () => {
+    if (window.confirm("Remove the milestone plan? Tasks are not affected.")) savePlan({ milestones: [] });
+  };
+
+  const phaseSelect = (
+    <select
+      disabled={readOnly}
+      className="bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm focus:border-cyan-500 outline-none"
+      value={auto ? 'auto' : project.currentPhase}
+      onChange={e => setPhase(e.target.value)}
+    >
+      <option value="auto">Automatic{auto ? ` (${project.currentPhase})` : ''}</option>
+      {THESIS_PHASES.map(p => <option key={p.phase} value={p.phase}>{p.phase}</option>)}
+    </select>
+  );
+
+  if (!milestones.length && readOnly) {
+    return <div className="h-full flex items-center justify-center text-slate-500">No milestone plan has been set up for this project yet.</div>;
+  }
+
+  if (!milestones.length) {
+    return (
+      <div className="h-full flex items-center justify-center">
+        <form onSubmit={createPlan} className={`w-full max-w-md ${THEME.card} p-8 rounded-2xl border ${THEME.border} space-y-5`}>
+          <div>
+            <h3 className="text-lg font-bold flex items-center gap-2 mb-1"><ChartGantt size={20} className="text-cyan-400" /> Plan your thesis</h3>
+            <p className="text-sm text-slate-400">Enter your defense or submission date and we'll propose phases from {THESIS_PHASES[0].phase} to {THESIS_PHASES[THESIS_PHASES.length - 1].phase}. You can adjust every date afterwards.</p>
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Start</label>
+              <input type="date" required className="w-full bg-slate-900 border border-slate-700 rounded-lg p-3 text-sm focus:border-cyan-500 outline-none" value={plan.start} onChange={e => setPlan({ ...plan, start: e.target.value })} />
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-1">Defense / Submission</label>
+              <input type="date" required className="w-full bg-slate-900 border border-slate-700 rounded-lg p-3 text-sm focus:border-cyan-500 outline-none" value={plan.defenseDate} onChange={e => setPlan({ ...plan, defenseDate: e.target.value })} />
+            </div>
+          </div>
+          <button type="submit" className={`w-full py-3 ${THEME.accentBg} text-white font-bold rounded-lg hover:opacity-90`}>Propose Milestones</button>
+          <div className="flex items-center justify-between text-sm text-slate-400 pt-2 border-t border-slate-700">
+            Current phase {phaseSelect}
+          </div>
+        </form>
+      </div>
+    );
+  }
+
+  const dated = tasks.filter(t => t.dueDate).sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+  const dates = [milestones[0].start, milestones[milestones.length - 1].end, project.defenseDate, today, ...dated.map(t => t.dueDate)].filter(Boolean).sort();
+  const rangeStart = addDays(dates[0], -3);
+  const rangeDays = daysBetween(rangeStart, addDays(dates[dates.length - 1], 4));
+  const pct = (iso) => `${(daysBetween(rangeStart, iso) / rangeDays) * 100}%`;
+
+  const months = [];
+  for (let d = new Date(`${rangeStart.slice(0, 8)}01T12:00:00`); isoDate(d) <= addDays(rangeStart, rangeDays); d.setMonth(d.getMonth() + 1)) {
+    if (isoDate(d) >= rangeStart) months.push(isoDate(d));
+  }
+
+  const slip = projectedSlip(milestones, today);
+  const late = milestones.filter(m => milestoneState(m, today) === 'late');
+  const overdueTasks = tasks.filter(t => dueState(t, columns) === 'overdue');
+  const afterDefense = project.defenseDate ? dated.filter(t => t.dueDate > project.defenseDate && dueState(t, columns)) : [];
+  const daysLeft = project.defenseDate ? daysBetween(today, project.defenseDate) : null;
+
+  const markers = (
+    <>
+      <div className="absolute inset-y-0 w-px bg-cyan-400/70" style={{ left: pct(today) }} />
+      {project.defenseDate && <div className="absolute inset-y-0 w-px bg-purple-400/70" style={{ left: pct(project.defenseDate) }} />}
+    </>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <h3 className="text-xl font-bold flex items-center gap-2"><ChartGantt size={20} className="text-cyan-400" /> Timeline</h3>
+        <div className="flex flex-wrap items-center gap-4 text-sm text-slate-400">
+          <label className="flex items-center gap-2">
+            <Flag size={14} className="text-purple-400" /> Defense
+            <input
+              type="date" disabled={readOnly}
+              className="bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm focus:border-cyan-500 outline-none"
+              value={project.defenseDate || ''} onChange={e => e.target.value && savePlan({ defenseDate: e.target.value })}
+            />
+          </label>
+          {daysLeft !== null && <span className={daysLeft < 0 ? 'text-red-400' : 'text-slate-300'}>{daysLeft < 0 ? `${-daysLeft} days ago` : `${daysLeft} days to go`}</span>}
+          <label className="flex items-center gap-2">Phase {phaseSelect}</label>
+        </div>
+      </div>
+
+      {(slip > 0 || overdueTasks.length > 0 || afterDefense.length > 0) && (
+        <div className="p-4 rounded-xl border border-amber-500/30 bg-amber-500/10 text-sm text-amber-200 space-y-1">
+          {late.map(m => <p key={m.phase} className="flex items-center gap-2"><TriangleAlert size={14} className="text-amber-400 shrink-0" /> {m.phase} was due to finish {daysBetween(m.end, today)} days ago.</p>)}
+          {slip > 0 && project.defenseDate && (
+            <p className="flex items-center gap-2 flex-wrap">
+              <TriangleAlert size={14} className="text-amber-400 shrink-0" />
+              At this pace the defense would move to {shortDate(addDays(project.defenseDate, slip))}.
+              {!readOnly && <button onClick={replan} className="underline hover:text-white">Re-plan the remaining phases</button>}
+            </p>
+          )}
+          {overdueTasks.length > 0 && <p className="flex items-center gap-2"><TriangleAlert size={14} className="text-amber-400 shrink-0" /> {overdueTasks.length} task{overdueTasks.length === 1 ? ' is' : 's are'} overdue.</p>}
+          {afterDefense.length > 0 && <p className="flex items-center gap-2"><TriangleAlert size={14} className="text-amber-400 shrink-0" /> {afterDefense.length} open task{afterDefense.length === 1 ? ' is' : 's are'} due after the defense date.</p>}
+        </div>
+      )}
+
+      <div className={`${THEME.card} rounded-xl border ${THEME.border} p-6 overflow-x-auto`}>
+        <div className="min-w-[720px]">
+          <div className="flex text-[10px] text-slate-500 mb-2">
+            <div className="w-52 shrink-0" />
+            <div className="relative flex-1 h-4">
+              {months.map(m => (
+                <span key={m} className="absolute border-l border-slate-700 pl-1" style={{ left: pct(m) }}>
+                  {new Date(`${m}T12:00:00`).toLocaleDateString([], { month: 'short', year: months.length > 12 ? '2-digit' : undefined })}
+                </span>
+              ))}
+            </div>
+          </div>
+          {milestones.map(m => {
+            const state = milestoneState(m, today);
+            return (
+              <div key={m.phase} className="flex items-center h-9">
+                <div className={`w-52 shrink-0 pr-3 text-sm truncate ${m.phase === project.currentPhase ? 'text-cyan-400 font-medium' : 'text-slate-300'}`}>{m.phase}</div>
+                <div className="relative flex-1 h-full">
+                  {markers}
+                  <div
+                    title={`${shortDate(m.start)} – ${shortDate(m.end)}`}
+                    className={`absolute top-2 bottom-2 rounded ${MILESTONE_STYLES[state].bar}`}
+                    style={{ left: pct(m.start), width: `calc(${pct(addDays(m.end, 1))} - ${pct(m.start)})` }}
+                  />
+                </div>
+              </div>
+            );
+          })}
+          {dated.length > 0 && <div className="text-[10px] uppercase tracking-wider text-slate-500 mt-4 mb-1">Tasks</div>}
+          {dated.map(t => {
+            const due = dueState(t, columns);
+            return (
+              <div key={t.id} className="flex items-center h-7">
+                <div className={`w-52 shrink-0 pr-3 text-xs truncate ${due ? 'text-slate-400' : 'text-slate-600 line-through'}`}>{t.title}</div>
+                <div className="relative flex-1 h-full">
+                  {markers}
+                  <div
+                    title={`${t.title} · due ${shortDate(t.dueDate)}`}
+                    className={`absolute top-1/2 w-2.5 h-2.5 -ml-[5px] -mt-[5px] rotate-45 ${due === 'overdue' ? 'bg-red-400' : due === 'soon' ? 'bg-amber-400' : due ? 'bg-slate-400' : 'bg-emerald-500/60'}`}
+                    style={{ left: pct(t.dueDate) }}
+                  />
+                </div>
+              </div>
+            );
+          })}
+          <div className="flex gap-4 mt-4 pl-52 text-[10px] text-slate-500">
+            <span className="flex items-center gap-1"><span className="w-3 h-px bg-cyan-400" /> Today</span>
+            {project.defenseDate && <span className="flex items-center gap-1"><span className="w-3 h-px bg-purple-400" /> Defense</span>}
+          </div>
+        </div>
+      </div>
+
+      <div className={`${THEME.card} rounded-xl border ${THEME.border} overflow-hidden`}>
+        <div className="p-4 border-b border-slate-700 flex justify-between items-center">
+          <h4 className="font-semibold">Milestones</h4>
+          {!readOnly && (
+            <div className="flex gap-2">
+              <button onClick={replan} disabled={!project.defenseDate} className="px-3 py-1.5 text-xs rounded-lg bg-slate-700 text-slate-300 hover:bg-slate-600 disabled:opacity-40">Re-plan Remaining</button>
+              <button onClick={clearPlan} className="px-3 py-1.5 text-xs rounded-lg text-red-400 hover:bg-red-500/10">Clear Plan</button>
+            </div>
+          )}
+        </div>
+        <table className="w-full text-sm">
+          <tbody>
+            {milestones.map((m, i) => {
+              const state = milestoneState(m, today);
+              return (
+                <tr key={m.phase} className="border-b border-slate-800 last:border-0">
+                  <td className="p-3 w-10">
+                    <input
+                      type="checkbox" className="accent-emerald-500" title="Mark phase complete" disabled={readOnly}
+                      checked={!!m.completedAt} onChange={e => updateMilestone(i, { completedAt: e.target.checked ? today : null })}
+                    />
+                  </td>
+                  <td className="p-3 font-medium">{m.phase}</td>
+                  <td className="p-3">
+                    <input type="date" disabled={readOnly} className="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-xs focus:border-cyan-500 outline-none" value={m.start} onChange={e => e.target.value && updateMilestone(i, { start: e.target.value })} />
+                  </td>
+                  <td className="p-3">
+                    <input type="date" disabled={readOnly} className="bg-slate-900 border border-slate-700 rounded px-2 py-1 text-xs focus:border-cyan-500 outline-none" value={m.end} onChange={e => e.target.value && updateMilestone(i, { end: e.target.value })} />
+                  </td>
+                  <td className="p-3 text-right">
+                    <span className={`text-[10px] px-2 py-0.5 rounded border font-medium ${MILESTONE_STYLES[state].chip}`}>
+                      {state === 'late' ? `${daysBetween(m.end, today)}d behind` : MILESTONE_STYLES[state].label}
+                    </span>
+                    {m.completedAt > m.end && <span className="block text-[10px] text-slate-500 mt-1">finished {daysBetween(m.end, m.completedAt)}d late</span>}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function ProjectSettingsModal({ project, store, user, onRestored, onClose, showNotification }) {
+  const [title, setTitle] = useState(project.title);
+  const [field, setField] = useState(project.field);
+  const [targetWordCount, setTargetWordCount] = useState(project.targetWordCount || '');
+  const [citationStyle, setCitationStyle] = useState(project.citationStyle || 'apa');
+  const [loading, setLoading] = useState(false);
+  const archiveInput = useRef(null);
+
+  const handleSave = async () => {
+    setLoading(true);
+    try {
+      await store.update(`projects/${project.id}`, { title, field, targetWordCount: Number(targetWordCount) || 0, citationStyle });
+      onClose();
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to update settings");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Only the owner may replace the whole project
+  const restoreFromFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    let archive;
+    try {
+      archive = readArchive(await file.text());
+    } catch (err) {
+      console.error(err);
+      return showNotification('error', err instanceof ArchiveError ? err.message : "Could not read that archive");
+    }
+    const savedAt = Date.parse(archive.exportedAt);
+    const from = `the archive of "${archive.project.title || 'Untitled project'}"${Number.isNaN(savedAt) ? '' : ` saved ${new Date(savedAt).toLocaleString()}`}`;
+    if (!window.confirm(`Replace everything in "${project.title}" with ${from}? Changes made since then are lost, though a backup of the project as it is now is downloaded first. Collaborators who have the project open should reload it.`)) return;
+    setLoading(true);
+    let backedUp = false;
+    const keepBackup = (backup) => {
+      downloadBlob(new Blob([JSON.stringify(backup)], { type: 'application/json' }), `${slugify(project.title)}-before-restore-${backup.exportedAt.slice(0, 10)}.json`);
+      backedUp = true;
+    };
+    try {
+      const { skippedComments } = await restoreArchive(store, archive, { user, into: project, onBackup: keepBackup });
+      const skipped = skippedComments ? `. ${skippedComments} comment${skippedComments === 1 ? '' : 's'} by others could not be restored.` : '';
+      showNotification('success', `Project restored${skipped}`);
+      onRestored();
+      onClose();
+    } catch (err) {
+      console.error(err);
+      showNotification('error', backedUp ? "Failed to restore archive. The project as it was has been downloaded, so it can be restored from that file." : "Failed to restore archive");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className={`${THEME.card} w-full max-w-md p-6 rounded-xl border ${THEME.border} shadow-2xl`}>
+        <div className="flex justify-between items-center mb-6">
+          <h3 className="text-lg font-bold">Project Settings</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-white"><LogOut size={18} className="rotate-45" /></button>
+        </div>
+        <div className="space-y-4">
+          <div>
+            <label className="block text-xs text-slate-400 mb-1">Project Title</label>
+            <input
+              className="w-full bg-slate-900 border border-slate-700 rounded-lg p-3 text-sm focus:border-cyan-500 outline-none"
+              value={title} onChange={e => setTitle(e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-slate-400 mb-1">Field of Study</label>
+            <input
+              className="w-full bg-slate-900 border border-slate-700 rounded-lg p-3 text-sm focus:border-cyan-500 outline-none"
+              value={field} onChange={e => setField(e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-slate-400 mb-1">Target Word Count</label>
+            <input
+              type="number" min="0" step="500" placeholder="e.g. 20000"
+              className="w-full bg-slate-900 border border-slate-700 rounded-lg p-3 text-sm focus:border-cyan-500 outline-none"
+              value={targetWordCount} onChange={e => setTargetWordCount(e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-slate-400 mb-1">Citation Style</label>
+            <select
+              className="w-full bg-slate-900 border border-slate-700 rounded-lg p-3 text-sm focus:border-cyan-500 outline-none"
+              value={citationStyle} onChange={e => setCitationStyle(e.target.value)}
+            >
+              {Object.entries(CITATION_STYLES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </div>
+          <button onClick={handleSave} disabled={loading} className={`w-full py-3 ${THEME.accentBg} text-white font-bold rounded-lg hover:opacity-90 mt-4`}>
+            {loading ? <Loader className="animate-spin mx-auto" /> : 'Save Changes'}
           </button>
+          {roleOf(project, user.uid) === 'owner' && (
+            <div className="pt-4 border-t border-slate-700">
+              <input ref={archiveInput} type="file" accept=".json,application/json" className="hidden" onChange={restoreFromFile} />
+              <button onClick={() => archiveInput.current.click()} disabled={loading} className="w-full py-2 bg-red-500/10 text-red-400 border border-red-500/20 rounded-lg hover:bg-red-500/20 text-sm flex justify-center items-center gap-2 disabled:opacity-50">
+                <Upload size={16} /> Restore from Archive
+              </button>
+              <p className="text-xs text-slate-500 mt-2">Replaces the chapters, sources, tasks and history with those in a project archive.</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Everyone can see who has access; only the owner can invite, change roles or remove people
+function ShareModal({ project, store, user, onClose, onLeft, showNotification }) {
+  const [invites, setInvites] = useState([]);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('commenter');
+  const [busy, setBusy] = useState(false);
+
+  const projectPath = `projects/${project.id}`;
+  const isOwner = roleOf(project, user.uid) === 'owner';
+  const members = Object.entries(project.members || {}).sort(([, a], [, b]) => a.email.localeCompare(b.email));
+
+  useEffect(() => {
+    if (!isOwner) return;
+    return store.watchCollection('invites', list => setInvites(list.filter(i => i.projectId === project.id)), { where: ['invitedBy', '==', user.uid] });
+  }, [store, isOwner, project.id, user.uid]);
+
+  const run = async (action, failure) => {
+    setBusy(true);
+    try {
+      await action();
+      return true;
+    } catch (e) {
+      console.error(e);
+      showNotification('error', failure);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const invite = async (e) => {
+    e.preventDefault();
+    const address = normalizeEmail(email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+      showNotification('error', "Enter a valid email address");
+      return;
+    }
+    if (address === normalizeEmail(user.email) || members.some(([, m]) => m.email === address)) {
+      showNotification('error', `${address} already has access`);
+      return;
+    }
+    const sent = await run(() => store.batch([
+      {
+        type: 'set',
+        path: `invites/${inviteId(project.id, address)}`,
+        data: { projectId: project.id, projectTitle: project.title, email: address, role, invitedBy: user.uid, invitedByEmail: user.email || '', createdAt: store.timestamp() }
+      },
+      { type: 'update', path: projectPath, data: { ownerEmail: user.email || '' } }
+    ]), "Failed to send invitation");
+    if (sent) {
+      setEmail('');
+      showNotification('success', `Invited ${address}`);
+    }
+  };
+
+  // There is no mail server, so the invitation email is composed in the owner's own mail client
+  const mailto = (i) => `mailto:${i.email}?subject=${encodeURIComponent(`Invitation to "${project.title}" on ThesisGen`)}&body=${encodeURIComponent(
+    `I've shared my thesis "${project.title}" with you as ${PROJECT_ROLES[i.role].label}.\n\nSign in to ThesisGen at ${window.location.origin} with ${i.email} to accept the invitation.`
+  )}`;
+
+  const leave = async () => {
+    if (!window.confirm(`Leave "${project.title}"? You will need a new invitation to see it again.`)) return;
+    if (await run(() => removeMember(store, project.id, user.uid), "Failed to leave project")) onLeft();
+  };
+
+  const roleSelect = (value, onChange) => (
+    <select disabled={busy} className="bg-slate-900 border border-slate-700 rounded-lg px-2 py-1.5 text-xs focus:border-cyan-500 outline-none" value={value} onChange={e => onChange(e.target.value)}>
+      {INVITE_ROLES.map(r => <option key={r} value={r}>{PROJECT_ROLES[r].label}</option>)}
+    </select>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className={`${THEME.card} w-full max-w-lg max-h-[90vh] overflow-y-auto p-6 rounded-xl border ${THEME.border} shadow-2xl`}>
+        <div className="flex justify-between items-center mb-6">
+          <h3 className="text-lg font-bold flex items-center gap-2"><Users size={18} className="text-cyan-400" /> Share Project</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-white"><LogOut size={18} className="rotate-45" /></button>
         </div>
-      )}
 
-      {step === 2 && (
-        <div className="grid md:grid-cols-3 gap-6 w-full">
-          {concepts.map((c, i) => (
-            <div key={i} onClick={() => selectConcept(c)} className={`${THEME.card} p-6 rounded-xl border ${THEME.border} hover:border-cyan-500 cursor-pointer transition-all hover:-translate-y-1 group`}>
-              <div className="h-12 w-12 rounded-full bg-slate-900 flex items-center justify-center mb-4 group-hover:bg-cyan-500/20 text-cyan-400">
-                <GraduationCap />
-              </div>
-              <h3 className="font-bold text-lg mb-2 leading-tight">{c.title}</h3>
-              <p className="text-sm text-slate-400">{c.description}</p>
+        {isOwner && (
+          <form onSubmit={invite} className="space-y-2 mb-6">
+            <div className="flex gap-2">
+              <input
+                type="email" placeholder="supervisor@university.edu"
+                className="flex-1 min-w-0 bg-slate-900 border border-slate-700 rounded-lg p-2.5 text-sm focus:border-cyan-500 outline-none"
+                value={email} onChange={e => setEmail(e.target.value)}
+              />
+              {roleSelect(role, setRole)}
+              <button type="submit" disabled={busy || !email.trim()} className={`px-4 ${THEME.accentBg} text-white rounded-lg hover:opacity-90 text-sm font-medium disabled:opacity-50`}>Invite</button>
+            </div>
+            <p className="text-xs text-slate-500">{PROJECT_ROLES[role].label}: {PROJECT_ROLES[role].description.toLowerCase()}. They accept after signing in with this address.</p>
+          </form>
+        )}
+
+        <div className="space-y-1 text-sm">
+          <div className="flex items-center gap-3 px-3 py-2 rounded-lg bg-slate-900/60">
+            <span className="flex-1 truncate text-slate-200">{isOwner ? `${user.email || 'You'} (you)` : project.ownerEmail || 'Project owner'}</span>
+            <span className="text-xs text-slate-400">{PROJECT_ROLES.owner.label}</span>
+          </div>
+          {members.map(([uid, member]) => (
+            <div key={uid} className="flex items-center gap-3 px-3 py-2 rounded-lg bg-slate-900/60">
+              <span className="flex-1 truncate text-slate-200">{member.email}{uid === user.uid ? ' (you)' : ''}</span>
+              {isOwner ? (
+                <>
+                  {roleSelect(member.role, next => run(() => store.update(projectPath, { [`members.${uid}.role`]: next }), "Failed to change role"))}
+                  <button onClick={() => window.confirm(`Remove ${member.email} from this project?`) && run(() => removeMember(store, project.id, uid), "Failed to remove member")} disabled={busy} title="Remove" className="p-1 text-slate-500 hover:text-red-400"><X size={14} /></button>
+                </>
+              ) : (
+                <span className="text-xs text-slate-400">{PROJECT_ROLES[member.role]?.label}</span>
+              )}
+            </div>
+          ))}
+          {invites.map(i => (
+            <div key={i.id} className="flex items-center gap-3 px-3 py-2 rounded-lg border border-dashed border-slate-700">
+              <span className="flex-1 truncate text-slate-400">{i.email} <span className="text-xs text-slate-500">· invited as {PROJECT_ROLES[i.role]?.label}</span></span>
+              <a href={mailto(i)} title="Send invitation email" className="p-1 text-slate-500 hover:text-cyan-400"><Mail size={14} /></a>
+              <button onClick={() => run(() => store.remove(`invites/${i.id}`), "Failed to withdraw invitation")} disabled={busy} title="Withdraw invitation" className="p-1 text-slate-500 hover:text-red-400"><X size={14} /></button>
             </div>
           ))}
+          {isOwner && !members.length && !invites.length && <p className="px-3 py-2 text-xs text-slate-500">Only you can see this project.</p>}
         </div>
-      )}
+
+        {!isOwner && (
+          <button onClick={leave} disabled={busy} className="w-full mt-6 py-2 rounded-lg bg-red-500/10 text-red-400 border border-red-500/20 hover:bg-red-500/20 text-sm">Leave Project</button>
+        )}
+      </div>
     </div>
   );
 }
 
-function Workspace({ user, project, db, ai, isDemo, onLogout, showNotification }) {
-  const [activeModule, setActiveModule] = useState('dashboard');
-  const [saving, setSaving] = useState(false);
-  const [showSettings, setShowSettings] = useState(false);
+function KeySettingsModal({ onClose, showNotification }) {
+  const { keys, isCustom, saveKeys, clearKeys } = useContext(SettingsContext);
 
-  // Shared "Save" indicator logic could go here
+  const handleSave = (next) => {
+    saveKeys(next);
+    showNotification('success', "API keys updated");
+    onClose();
+  };
+
+  const handleClear = () => {
+    if (!window.confirm("Remove the keys saved in this browser? ThesisGen will fall back to the deployment's keys, if any.")) return;
+    clearKeys();
+    onClose();
+  };
 
   return (
-    <div className="flex h-screen overflow-hidden">
-      {/* Sidebar */}
-      <aside className={`w-64 ${THEME.sidebar} border-r ${THEME.border} flex flex-col`}>
-        <div className="p-6 border-b border-slate-800">
-          <div className="flex items-center gap-2 font-bold text-xl tracking-tight">
-            <div className="w-8 h-8 rounded bg-gradient-to-br from-cyan-500 to-blue-600 flex items-center justify-center">
-              <span className="text-white text-sm">TG</span>
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className={`${THEME.card} w-full max-w-md p-6 rounded-xl border ${THEME.border} shadow-2xl`}>
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-lg font-bold">API Keys</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-white"><LogOut size={18} className="rotate-45" /></button>
+        </div>
+        <p className="text-xs text-slate-500 mb-6">
+          {isCustom ? 'Using keys saved in this browser.' : 'Using the keys this deployment was built with.'} Switching Firebase projects signs you out.
+        </p>
+        <KeyConfigForm initialKeys={keys} onSave={handleSave} submitLabel="Validate & Save" />
+        {isCustom && (
+          <button onClick={handleClear} className="w-full mt-3 px-4 py-2 bg-red-500/10 text-red-400 border border-red-500/20 rounded-lg hover:bg-red-500/20 text-sm">
+            Clear Saved Keys
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ExportModal({ project, store, onClose, showNotification }) {
+  const [chapters, setChapters] = useState(null);
+  const [sources, setSources] = useState([]);
+  const [format, setFormat] = useState('docx');
+  const [options, setOptions] = useState({ titlePage: true, toc: true, bibliography: true });
+  const [excluded, setExcluded] = useState([]); // chapter ids left out of the export
+  const [exporting, setExporting] = useState(false);
+  const [archiving, setArchiving] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    Promise.all([
+      store.list(`projects/${project.id}/chapters`, { orderBy: 'order' }),
+      store.list(`projects/${project.id}/sources`)
+    ]).then(([chapterList, sourceList]) => {
+      if (!active) return;
+      setChapters(chapterList);
+      setSources(sourceList);
+    }).catch(console.error);
+    return () => { active = false; };
+  }, [store, project.id]);
+
+  const toggleChapter = (id) => setExcluded(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const chapterIds = chapters.map(c => c.id).filter(id => !excluded.includes(id));
+      const model = buildExportModel({ project, chapters, sources }, { ...options, chapterIds });
+      downloadBlob(await renderExport(model, format), `${slugify(project.title)}.${EXPORT_FORMATS[format].extension}`);
+      onClose();
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Export failed");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleArchive = async () => {
+    setArchiving(true);
+    try {
+      const archive = await buildArchive(store, project);
+      downloadBlob(new Blob([JSON.stringify(archive)], { type: 'application/json' }), `${slugify(project.title)}-${archive.exportedAt.slice(0, 10)}.json`);
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to build the project archive");
+    } finally {
+      setArchiving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className={`${THEME.card} w-full max-w-md p-6 rounded-xl border ${THEME.border} shadow-2xl`}>
+        <div className="flex justify-between items-center mb-6">
+          <h3 className="text-lg font-bold">Export Thesis</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-white"><LogOut size={18} className="rotate-45" /></button>
+        </div>
+        {chapters === null ? (
+          <div className="flex justify-center py-10"><Loader className="animate-spin text-cyan-500" /></div>
+        ) : (
+          <div className="space-y-5">
+            <div>
+              <label className="block text-xs text-slate-400 mb-2">Format</label>
+              <div className="grid grid-cols-3 gap-2">
+                {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+                  <button key={key} onClick={() => setFormat(key)} className={`px-2 py-2 rounded-lg text-xs border ${format === key ? 'border-cyan-500 text-cyan-400 bg-cyan-500/10' : 'border-slate-700 text-slate-400 hover:text-white'}`}>
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="space-y-2 text-sm">
+              {[['titlePage', 'Title page'], ['toc', 'Table of contents'], ['bibliography', `Bibliography (${sources.length} sources)`]].map(([key, label]) => (
+                <label key={key} className="flex items-center gap-2 text-slate-300">
+                  <input type="checkbox" className="accent-cyan-500" checked={options[key]} onChange={e => setOptions({ ...options, [key]: e.target.checked })} />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <div>
+              <label className="block text-xs text-slate-400 mb-2">Chapters</label>
+              <div className="max-h-48 overflow-y-auto space-y-1 bg-slate-900 border border-slate-700 rounded-lg p-3 text-sm">
+                {chapters.length === 0 && <p className="text-slate-500 text-xs">No chapters yet.</p>}
+                {chapters.map((c, i) => (
+                  <label key={c.id} className="flex items-center gap-2 text-slate-300">
+                    <input type="checkbox" className="accent-cyan-500" checked={!excluded.includes(c.id)} onChange={() => toggleChapter(c.id)} />
+                    <span className="flex-1 truncate">{i + 1}. {c.title}</span>
+                    <span className="text-xs text-slate-500">{(c.wordCount || 0).toLocaleString()}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+            <button onClick={handleExport} disabled={exporting} className={`w-full py-3 ${THEME.accentBg} text-white font-bold rounded-lg hover:opacity-90 flex justify-center items-center gap-2 disabled:opacity-50`}>
+              {exporting ? <Loader className="animate-spin" size={18} /> : <><Download size={18} /> Export</>}
+            </button>
+            <div className="pt-5 border-t border-slate-700">
+              <label className="block text-xs text-slate-400 mb-1">Project Archive</label>
+              <p className="text-xs text-slate-500 mb-3">A backup of the whole project, including sources, tasks, comments and version history, that can be restored from the project list.</p>
+              <button onClick={handleArchive} disabled={archiving} className="w-full py-2 bg-slate-700 text-slate-200 rounded-lg hover:bg-slate-600 text-sm flex justify-center items-center gap-2 disabled:opacity-50">
+                {archiving ? <Loader className="animate-spin" size={16} /> : <><Save size={16} /> Download Archive</>}
+              </button>
             </div>
-            ThesisGen
           </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Writes the server refused, and offline writes that collided with someone else's changes
+function SyncIssuesModal({ store, issues, onClose }) {
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className={`${THEME.card} w-full max-w-lg p-6 rounded-xl border ${THEME.border} shadow-2xl`}>
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-lg font-bold">Unsaved Changes</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-white"><LogOut size={18} className="rotate-45" /></button>
+        </div>
+        <p className="text-xs text-slate-500 mb-6">These changes are kept on this device until you decide what to do with them.</p>
+        {issues.length === 0 && <p className="text-sm text-emerald-400 flex items-center gap-2"><CheckCircle size={16} /> Everything is saved.</p>}
+        <div className="space-y-3 max-h-96 overflow-y-auto">
+          {issues.map(issue => (
+            <div key={issue.id} className="bg-slate-900 border border-slate-700 rounded-lg p-3 text-sm">
+              <div className="font-medium text-slate-200">{issue.label}</div>
+              {issue.state === 'conflict' ? (
+                issue.conflicts.map(c => (
+                  <p key={c.path} className="text-xs text-amber-400 mt-1">
+                    {c.deleted
+                      ? 'Deleted by someone else while you were offline.'
+                      : `Someone else changed ${c.fields.join(', ')}${c.title ? ` of "${c.title}"` : ''} while you were offline.`}
+                  </p>
+                ))
+              ) : (
+                <p className="text-xs text-red-400 mt-1">{issue.error}</p>
+              )}
+              <div className="flex justify-end gap-2 mt-3">
+                {issue.state === 'conflict' ? (
+                  <>
+                    <button onClick={() => store.discard(issue.id)} className="px-3 py-1.5 text-xs rounded-lg bg-slate-700 text-slate-300 hover:bg-slate-600">Keep Theirs</button>
+                    <button onClick={() => store.keepMine(issue.id)} className={`px-3 py-1.5 text-xs rounded-lg ${THEME.accentBg} text-white hover:opacity-90`}>Keep Mine</button>
+                  </>
+                ) : (
+                  <>
+                    <button onClick={() => store.discard(issue.id)} className="px-3 py-1.5 text-xs rounded-lg bg-slate-700 text-slate-300 hover:bg-slate-600">Discard</button>
+                    <button onClick={() => store.retry(issue.id)} className={`px-3 py-1.5 text-xs rounded-lg ${THEME.accentBg} text-white hover:opacity-90`}>Retry</button>
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
         </div>
+      </div>
+    </div>
+  );
+}
 
-        <nav className="flex-1 p-4 space-y-2">
-          <SidebarItem icon={<Layout size={20} />} label="Dashboard" active={activeModule === 'dashboard'} onClick={() => setActiveModule('dashboard')} />
-          <SidebarItem icon={<Search size={20} />} label="Lit Review" active={activeModule === 'litreview'} onClick={() => setActiveModule('litreview')} />
-          <SidebarItem icon={<PenTool size={20} />} label="Chapter Drafter" active={activeModule === 'drafter'} onClick={() => setActiveModule('drafter')} />
-          <SidebarItem icon={<BarChart3 size={20} />} label="Kanban Board" active={activeModule === 'kanban'} onClick={() => setActiveModule('kanban')} />
-        </nav>
+function ChapterDrafter({ project, store, ai, user, role, readOnly, showNotification }) {
+  const [chapters, setChapters] = useState([]);
+  const [sources, setSources] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [drafts, setDrafts] = useState({}); // chapterId -> locally edited document
+  const [renaming, setRenaming] = useState(null); // { id, title }
+  const [newChapter, setNewChapter] = useState('');
+  const [suggestion, setSuggestion] = useState(null); // { id, action, from, to, original, text }
+  const suggestionRequest = useAbortable();
+  const [panel, setPanel] = useState(null); // 'history' | 'comments'
+  const [comments, setComments] = useState([]);
+  const [passage, setPassage] = useState(null); // anchor of the text selected in the editor
+  const [draftAnchor, setDraftAnchor] = useState(null); // passage a new comment is being written for
+  const [activeComment, setActiveComment] = useState(null);
+  const [deletedChapters, setDeletedChapters] = useState([]);
+  const [showDeleted, setShowDeleted] = useState(false);
+  const pendingEdits = useRef({}); // chapterId -> { doc, timer }
+  const chaptersRef = useRef([]); // latest snapshot, read by deferred saves
+  const snapshotAt = useRef({}); // chapterId -> time of the last periodic snapshot this session
 
-        <div className="p-4 border-t border-slate-800 space-y-2">
-          <button onClick={() => setShowSettings(true)} className="w-full flex items-center gap-3 px-4 py-3 text-slate-400 hover:text-white hover:bg-slate-800 rounded-lg transition-colors text-sm">
-            <Settings size={18} /> Project Settings
-          </button>
-          <button onClick={onLogout} className="w-full flex items-center gap-3 px-4 py-3 text-red-400 hover:text-red-300 hover:bg-red-900/20 rounded-lg transition-colors text-sm">
-            <LogOut size={18} /> Sign Out
-          </button>
-        </div>
-      </aside>
+  const projectPath = `projects/${project.id}`;
+  const chaptersPath = `${projectPath}/chapters`;
+  const commentsPath = `${projectPath}/comments`;
+  const canComment = role !== 'viewer';
+  const style = project.citationStyle || 'apa';
 
-      {/* Main Content */}
-      <main className="flex-1 flex flex-col bg-slate-900 relative">
-        {/* Header */}
-        <header className={`h-16 border-b ${THEME.border} flex items-center justify-between px-8 bg-slate-900/50 backdrop-blur-sm`}>
-          <div>
-            <h2 className="font-semibold text-lg">{project.title}</h2>
-            <p className="text-xs text-slate-500">{project.field} • {project.currentPhase}</p>
-          </div>
-          <div className="flex items-center gap-4">
-            {saving ? (
-              <span className="flex items-center gap-2 text-xs text-cyan-400"><Loader size={14} className="animate-spin" /> Saving...</span>
-            ) : (
-              <span className="flex items-center gap-2 text-xs text-emerald-500"><Cloud size={14} /> Synced</span>
+  useEffect(() => {
+    return store.watchCollection(chaptersPath, (list) => {
+      chaptersRef.current = list;
+      setChapters(list);
+    }, { orderBy: 'order' });
+  }, [store, chaptersPath]);
+
+  useEffect(() => {
+    return store.watchCollection(`${projectPath}/sources`, (list) => setSources(list.map(normalizeSource)));
+  }, [store, projectPath]);
+
+  useEffect(() => {
+    return store.watchCollection(`${projectPath}/versions`, (list) => setDeletedChapters(list.sort((a, b) => versionTime(b) - versionTime(a))), { where: ['kind', '==', 'deleted'] });
+  }, [store, projectPath]);
+
+  useEffect(() => {
+    return store.watchCollection(commentsPath, setComments);
+  }, [store, commentsPath]);
+
+  // Flush any unsaved edits when the drafter is closed
+  useEffect(() => {
+    const edits = pendingEdits.current;
+    return () => {
+      Object.entries(edits).forEach(([id, { doc, timer }]) => {
+        clearTimeout(timer);
+        writeChapterDoc(store, projectPath, chaptersRef.current, id, doc).catch(console.error);
+      });
+    };
+  }, [store, projectPath]);
+
+  const activeChapter = chapters.find(c => c.id === activeId) || chapters[0];
+  const activeDoc = activeChapter ? (drafts[activeChapter.id] ?? chapterDoc(activeChapter)) : null;
+  const savedDocs = useMemo(() => chapters.map(chapterDoc), [chapters]);
+  const numberOf = useMemo(
+    () => citationNumber(citationOrder(chapters.map((c, i) => drafts[c.id] ?? savedDocs[i]), sources)),
+    [chapters, savedDocs, drafts, sources]
+  );
+  const activeChapterId = activeChapter?.id;
+  const { session, syncError } = useChapterSession({ store, projectPath, chapterId: activeChapterId, chapterTitle: activeChapter?.title, user, canWrite: !readOnly });
+  const openComments = openCommentCounts(comments);
+  const threads = useMemo(() => comments.filter(c => !c.parentId && c.chapterId === activeChapterId), [comments, activeChapterId]);
+  // Resolved threads drop out of the text unless one is being looked at
+  const highlighted = useMemo(() => threads.filter(t => !t.resolved || t.id === activeComment), [threads, activeComment]);
+
+  const saveChapter = async (id) => {
+    const pending = pendingEdits.current[id];
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    delete pendingEdits.current[id];
+    // Every collaborator saves the text they end up with, so most saves repeat one already made
+    const saved = chaptersRef.current.find(c => c.id === id);
+    if (saved?.doc === JSON.stringify(pending.doc)) return;
+    try {
+      // Periodic snapshots keep the last saved text, so the history holds the state before a burst of edits
+      if (saved && Date.now() - (snapshotAt.current[id] || 0) > SNAPSHOT_INTERVAL) {
+        snapshotAt.current[id] = Date.now();
+        if (countWords(saved.content)) takeSnapshot(saved, chapterDoc(saved));
+      }
+      await writeChapterDoc(store, projectPath, chaptersRef.current, id, pending.doc);
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Autosave failed");
+    }
+  };
+
+  // Snapshots are a safety net, so a failure is logged rather than interrupting the writer
+  const takeSnapshot = (chapter, doc, options) => snapshotChapter(store, projectPath, chapter, doc, options).catch(console.error);
+
+  const updateContent = (id, doc) => {
+    setDrafts(prev => ({ ...prev, [id]: doc }));
+    if (readOnly) return;
+    clearTimeout(pendingEdits.current[id]?.timer);
+    pendingEdits.current[id] = { doc, timer: setTimeout(() => saveChapter(id), AUTOSAVE_DELAY) };
+  };
+
+  // One editor per chapter session. Until the session has loaded, the saved copy is shown read-only.
+  // Changes from collaborators update the draft too, and are saved by whoever sees them.
+  const editor = useEditor({
+    extensions: session ? collaborativeExtensions(session) : CHAPTER_EXTENSIONS,
+    ...(session ? {} : { content: activeDoc }),
+    editable: !!session && !readOnly,
+    editorProps: { attributes: { class: 'chapter-doc min-h-full p-8 outline-none font-serif text-lg leading-relaxed text-slate-300' } },
+    onUpdate: ({ editor: changed }) => session && updateContent(session.chapterId, changed.getJSON())
+  }, [session, readOnly, !session && activeChapterId]);
+
+  useEffect(() => {
+    if (editor && !editor.isDestroyed) editor.view.dispatch(editor.state.tr.setMeta(commentsKey, { threads: highlighted, activeId: activeComment }));
+  }, [editor, highlighted, activeComment]);
+
+  const selectChapter = (id) => {
+    if (activeChapter) saveChapter(activeChapter.id);
+    suggestionRequest.cancel();
+    setSuggestion(null);
+    setPassage(null);
+    setDraftAnchor(null);
+    setActiveComment(null);
+    setActiveId(id);
+  };
+
+  const addChapters = async (titles) => {
+    const start = chapters.length ? Math.max(...chapters.map(c => c.order)) + 1 : 0;
+    try {
+      await store.batch(titles.map((title, i) => ({
+        type: 'set',
+        path: `${chaptersPath}/${store.newId(chaptersPath)}`,
+        data: { title, content: '', wordCount: 0, order: start + i, createdAt: store.timestamp(), updatedAt: store.timestamp() }
+      })));
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to add chapter");
+    }
+  };
+
+  const handleAddChapter = (e) => {
+    e.preventDefault();
+    if (!newChapter.trim()) return;
+    addChapters([newChapter.trim()]);
+    setNewChapter('');
+  };
+
+  const renameChapter = async () => {
+    const { id, title } = renaming;
+    setRenaming(null);
+    if (!title.trim()) return;
+    try {
+      await store.update(`${chaptersPath}/${id}`, { title: title.trim() });
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to rename chapter");
+    }
+  };
+
+  const moveChapter = async (index, direction) => {
+    const a = chapters[index];
+    const b = chapters[index + direction];
+    if (!a || !b) return;
+    try {
+      await store.batch([
+        { type: 'update', path: `${chaptersPath}/${a.id}`, data: { order: b.order } },
+        { type: 'update', path: `${chaptersPath}/${b.id}`, data: { order: a.order } }
+      ]);
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to reorder chapters");
+    }
+  };
+
+  const deleteChapter = async (chapter) => {
+    if (!window.confirm(`Delete "${chapter.title}"? You can restore it from Recently Deleted.`)) return;
+    clearTimeout(pendingEdits.current[chapter.id]?.timer);
+    delete pendingEdits.current[chapter.id];
+    try {
+      const remaining = chaptersRef.current.filter(c => c.id !== chapter.id);
+      const doc = drafts[chapter.id] ?? chapterDoc(chapter);
+      // Its edit updates go too, since a restored chapter starts a fresh Yjs document
+      const updates = await store.list(`${projectPath}/chapterUpdates`, { where: ['chapterId', '==', chapter.id] });
+      await commitInChunks(store, [
+        { type: 'set', path: `${projectPath}/versions/${store.newId(`${projectPath}/versions`)}`, data: versionData(store, chapter, doc, { kind: 'deleted' }) },
+        { type: 'delete', path: `${chaptersPath}/${chapter.id}` },
+        { type: 'update', path: projectPath, data: { wordCount: remaining.reduce((sum, c) => sum + (c.wordCount || 0), 0) } },
+        ...updates.map(u => ({ type: 'delete', path: `${projectPath}/chapterUpdates/${u.id}` }))
+      ]);
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to delete chapter");
+    }
+  };
+
+  // The chapter comes back under its old id, so its version history reattaches
+  const restoreDeleted = async (version) => {
+    const order = chapters.length ? Math.max(...chapters.map(c => c.order)) + 1 : 0;
+    try {
+      await store.batch([
+        {
+          type: 'set',
+          path: `${chaptersPath}/${version.chapterId}`,
+          data: { title: version.chapterTitle, doc: version.doc, content: version.content, wordCount: version.wordCount, order, createdAt: store.timestamp(), updatedAt: store.timestamp() }
+        },
+        { type: 'update', path: projectPath, data: { wordCount: chaptersRef.current.reduce((sum, c) => sum + (c.wordCount || 0), version.wordCount) } },
+        { type: 'delete', path: `${projectPath}/versions/${version.id}` }
+      ]);
+      setActiveId(version.chapterId);
+      showNotification('success', `Restored "${version.chapterTitle}"`);
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to restore chapter");
+    }
+  };
+
+  const createCheckpoint = async (name) => {
+    try {
+      await snapshotChapter(store, projectPath, activeChapter, editor.getJSON(), { kind: 'checkpoint', name });
+      showNotification('success', "Checkpoint saved");
+      return true;
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to save checkpoint");
+      return false;
+    }
+  };
+
+  // The current text goes into the history first, and the restore itself can be undone in the editor
+  const restoreVersion = async (version) => {
+    if (!window.confirm(`Restore "${versionLabel(version)}"? The current text will be kept in the history.`)) return;
+    const chapter = activeChapter;
+    try {
+      await snapshotChapter(store, projectPath, chapter, editor.getJSON(), { name: `Before restoring "${versionLabel(version)}"` });
+      editor.commands.setContent(JSON.parse(version.doc));
+      await saveChapter(chapter.id);
+      showNotification('success', "Version restored");
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to restore version");
+    }
+  };
+
+  const writingContext = () => ({
+    title: project.title,
+    degree: project.degree,
+    field: project.field,
+    chapter: activeChapter.title,
+    outline: chapters.map(c => c.title),
+    headings: (editor.getJSON().content || []).filter(node => node.type === 'heading').map(docToText)
+  });
+
+  // Streams a suggestion for the passage between from and to. The suggestion remembers that
+  // passage, and accepting is refused if its text changed.
+  const suggest = async (action, from, to, generate) => {
+    const original = editor.state.doc.textBetween(from, to, '\n\n', ' ').trim();
+    let hasAtoms = false;
+    editor.state.doc.nodesBetween(from, to, node => { hasAtoms = hasAtoms || (node.isAtom && node.isInline); });
+    const id = Date.now();
+    setSuggestion({ id, action, from, to, original, hasAtoms, text: null });
+    try {
+      const text = await generate(original, {
+        signal: suggestionRequest.start(),
+        onText: (partial) => setSuggestion(prev => (prev?.id === id ? { ...prev, text: partial, streaming: true } : prev))
+      });
+      if (!text) throw new AIError('invalid_response', "AI returned an empty suggestion");
+      setSuggestion(prev => (prev?.id === id ? { ...prev, text, streaming: false } : prev));
+    } catch (e) {
+      console.error(e);
+      // Stopping keeps the text streamed so far as a suggestion that can still be accepted
+      const partial = e instanceof AIError && e.code === 'aborted' && e.partial.trim();
+      setSuggestion(prev => (prev?.id !== id ? prev : partial ? { ...prev, text: partial, streaming: false, stopped: true } : null));
+      const message = aiErrorMessage(e, `${WRITING_ACTIONS[action].label} failed`);
+      if (message) showNotification('error', message);
+    }
+  };
+
+  const runWritingAction = (action) => {
+    const { from, to } = editor.state.selection;
+    if (!editor.state.doc.textBetween(from, to).trim()) return;
+    suggest(action, from, to, (original, options) => ai.rewriteText(action, original, writingContext(), options));
+  };
+
+  // The continuation is offered after the chapter's last block, which stands in as the passage
+  const handleExpand = () => {
+    if (!activeChapter || !editor) return;
+    const { doc } = editor.state;
+    const end = doc.content.size;
+    const from = end - doc.lastChild.nodeSize + 1;
+    suggest('expand', from, Math.max(from, end - 1), (original, options) => ai.continueText(docToText(editor.getJSON()), writingContext(), options));
+  };
+
+  const acceptSuggestion = () => {
+    const { action, from, to, original, text } = suggestion;
+    setSuggestion(null);
+    const { doc } = editor.state;
+    if (to > doc.content.size || doc.textBetween(from, to, '\n\n', ' ').trim() !== original) {
+      showNotification('error', "The passage changed after the suggestion was made. Select it and try again.");
+      return;
+    }
+    takeSnapshot(activeChapter, editor.getJSON(), { name: `Before ${WRITING_ACTIONS[action].label}` });
+    const paragraphs = textToParagraphs(text);
+    if (WRITING_ACTIONS[action].insert) {
+      const $to = doc.resolve(to);
+      editor.chain().focus().insertContentAt($to.depth ? $to.after(1) : to, paragraphs).run();
+    } else {
+      editor.chain().focus().insertContentAt({ from, to }, paragraphs.length > 1 ? paragraphs : paragraphs[0].content).run();
+    }
+  };
+
+  const dismissSuggestion = () => {
+    suggestionRequest.cancel();
+    setSuggestion(null);
+  };
+
+  // Taken from the DOM, because a read-only editor does not track the selection itself
+  const capturePassage = () => {
+    if (!editor || !canComment) return;
+    const selection = window.getSelection();
+    const range = selection.rangeCount && !selection.isCollapsed ? selection.getRangeAt(0) : null;
+    if (!range || !editor.view.dom.contains(range.commonAncestorContainer)) {
+      setPassage(null);
+      return;
+    }
+    const { view } = editor;
+    setPassage(anchorAt(editor.state.doc, view.posAtDOM(range.startContainer, range.startOffset), view.posAtDOM(range.endContainer, range.endOffset)));
+  };
+
+  const startComment = () => {
+    setDraftAnchor(passage);
+    setActiveComment(null);
+    setPanel('comments');
+  };
+
+  const openHighlight = (e) => {
+    const id = e.target.closest('[data-comment]')?.dataset.comment;
+    if (!id) return;
+    setActiveComment(id);
+    setPanel('comments');
+  };
+
+  const showThread = (thread) => {
+    setActiveComment(thread.id);
+    const range = findAnchor(textIndex(editor.state.doc), thread.anchor);
+    if (!range) return;
+    const { node } = editor.view.domAtPos(range.from);
+    (node.nodeType === 1 ? node : node.parentElement)?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  };
+
+  const commentData = (data) => ({ ...data, chapterId: activeChapter.id, authorId: user.uid, authorEmail: user.email || '', createdAt: store.timestamp() });
+
+  const postComment = async (body) => {
+    const id = store.newId(commentsPath);
+    try {
+      await store.set(`${commentsPath}/${id}`, commentData({ parentId: null, anchor: draftAnchor, body, resolved: false }));
+      setDraftAnchor(null);
+      setPassage(null);
+      setActiveComment(id);
+      return true;
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to post comment");
+      return false;
+    }
+  };
+
+  const replyTo = async (thread, body) => {
+    try {
+      await store.add(commentsPath, commentData({ parentId: thread.id, body }));
+      return true;
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to post reply");
+      return false;
+    }
+  };
+
+  const setResolved = async (thread, resolved) => {
+    try {
+      await store.update(`${commentsPath}/${thread.id}`, { resolved, resolvedBy: resolved ? user.uid : null, resolvedAt: resolved ? store.timestamp() : null });
+      if (resolved && activeComment === thread.id) setActiveComment(null);
+    } catch (e) {
+      console.error(e);
+      showNotification('error', `Failed to ${resolved ? 'resolve' : 'reopen'} comment`);
+    }
+  };
+
+  // Authors may delete their own comments, and a thread once nobody else has replied; the owner may delete anything
+  const canDeleteComment = (comment) => role === 'owner' || (comment.authorId === user.uid
+    && (comment.parentId || comments.every(c => c.parentId !== comment.id || c.authorId === user.uid)));
+
+  const deleteComment = async (comment) => {
+    if (!window.confirm(comment.parentId ? "Delete this reply?" : "Delete this comment and its replies?")) return;
+    try {
+      const removed = [comment, ...comments.filter(c => !comment.parentId && c.parentId === comment.id)];
+      await store.batch(removed.map(c => ({ type: 'delete', path: `${commentsPath}/${c.id}` })));
+    } catch (e) {
+      console.error(e);
+      showNotification('error', "Failed to delete comment");
+    }
+  };
+
+  return (
+    <div className="h-full flex gap-6">
+      <aside className={`w-64 shrink-0 ${THEME.card} rounded-xl border ${THEME.border} flex flex-col`}>
+        <div className="p-4 border-b border-slate-700 font-semibold flex items-center gap-2"><FileText size={16} className="text-cyan-400" /> Chapters</div>
+        <div className="flex-1 overflow-y-auto p-2 space-y-1">
+          {chapters.map((c, i) => (
+            <div key={c.id} className={`group flex items-center gap-1 rounded-lg px-2 py-2 text-sm ${activeChapter?.id === c.id ? 'bg-cyan-500/10 text-cyan-400 border border-cyan-500/20' : 'text-slate-400 hover:bg-slate-700/50 border border-transparent'}`}>
+              {renaming?.id === c.id ? (
+                <form onSubmit={(e) => { e.preventDefault(); renameChapter(); }} className="flex-1 flex items-center gap-1">
+                  <input
+                    autoFocus
+                    className="flex-1 min-w-0 bg-slate-900 border border-slate-700 rounded px-2 py-1 text-sm focus:border-cyan-500 outline-none"
+                    value={renaming.title} onChange={e => setRenaming({ ...renaming, title: e.target.value })}
+                  />
+                  <button type="submit" className="p-1 hover:text-emerald-400"><Check size={14} /></button>
+                  <button type="button" onClick={() => setRenaming(null)} className="p-1 hover:text-red-400"><X size={14} /></button>
+                </form>
+              ) : (
+                <>
+                  <button onClick={() => selectChapter(c.id)} className="flex-1 text-left truncate">{i + 1}. {c.title}</button>
+                  {openComments[c.id] > 0 && (
+                    <span title="Unresolved comments" className="flex items-center gap-0.5 text-xs text-amber-400"><MessageSquare size={10} /> {openComments[c.id]}</span>
+                  )}
+                  {!readOnly && (
+                    <div className="hidden group-hover:flex items-center">
+                      <button onClick={() => moveChapter(i, -1)} disabled={i === 0} className="p-1 hover:text-white disabled:opacity-30"><ArrowUp size={12} /></button>
+                      <button onClick={() => moveChapter(i, 1)} disabled={i === chapters.length - 1} className="p-1 hover:text-white disabled:opacity-30"><ArrowDown size={12} /></button>
+                      <button onClick={() => setRenaming({ id: c.id, title: c.title })} className="p-1 hover:text-cyan-400"><PenTool size={12} /></button>
+                      <button onClick={() => deleteChapter(c)} className="p-1 hover:text-red-400"><Trash size={12} /></button>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          ))}
+          {chapters.length === 0 && (
+            <div className="p-4 text-center space-y-3">
+              <p className="text-xs text-slate-500">No chapters yet.</p>
+              {!readOnly && (
+                <button onClick={() => addChapters(DEFAULT_CHAPTERS)} className="w-full py-2 bg-slate-700 text-slate-300 text-sm rounded-lg hover:bg-slate-600">
+                  Use Standard Outline
+                </button>
+              )}
+            </div>
+          )}
+          {deletedChapters.length > 0 && !readOnly && (
+            <div className="pt-3 mt-3 border-t border-slate-700">
+              <button onClick={() => setShowDeleted(!showDeleted)} className="w-full flex items-center gap-2 px-2 text-xs uppercase tracking-wider text-slate-500 hover:text-slate-300">
+                <ChevronRight size={12} className={showDeleted ? 'rotate-90' : ''} /> Recently Deleted ({deletedChapters.length})
+              </button>
+              {showDeleted && deletedChapters.map(v => (
+                <div key={v.id} className="group flex items-center gap-1 px-2 py-1.5 text-sm text-slate-500">
+                  <span className="flex-1 truncate" title={toDate(v.createdAt)?.toLocaleString()}>{v.chapterTitle}</span>
+                  <button onClick={() => restoreDeleted(v)} title="Restore chapter" className="p-1 hover:text-emerald-400"><RotateCcw size={12} /></button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+        {!readOnly && (
+          <form onSubmit={handleAddChapter} className="p-3 border-t border-slate-700 flex gap-2">
+            <input
+              className="flex-1 min-w-0 bg-slate-900 border border-slate-700 rounded-lg p-2 text-sm focus:border-cyan-500 outline-none"
+              placeholder="New chapter..."
+              value={newChapter} onChange={e => setNewChapter(e.target.value)}
+            />
+            <button type="submit" className={`px-3 ${THEME.accentBg} text-white rounded-lg hover:opacity-90`}><Plus size={16} /></button>
+          </form>
+        )}
+      </aside>
+
+      <div className="flex-1 flex flex-col relative min-w-0">
+        {activeChapter ? (
+          <>
+            {!readOnly && (
+              <div className="absolute bottom-6 right-6 z-10">
+                <button onClick={handleExpand} disabled={!!suggestion} className={`shadow-xl px-6 py-3 rounded-full font-bold text-white ${THEME.accentBg} hover:opacity-90 flex items-center gap-2 transition-all hover:scale-105 disabled:opacity-50`}>
+                  <Cpu size={20} /> AI Expand
+                </button>
+              </div>
             )}
-            <div className="h-8 w-8 rounded-full bg-slate-700 flex items-center justify-center text-xs font-bold">
-              {user?.email?.[0].toUpperCase() || 'D'}
+            <DocumentContext.Provider value={{ sources, style, numberOf }}>
+              <div className="flex-1 flex flex-col min-h-0 bg-slate-900/50 border border-slate-700 rounded-xl focus-within:border-cyan-500 overflow-hidden">
+                {!readOnly && <EditorToolbar editor={editor} sources={sources} style={style} numberOf={numberOf} onWritingAction={runWritingAction} writingBusy={!!suggestion} />}
+                {suggestion && <SuggestionPanel suggestion={suggestion} onAccept={acceptSuggestion} onReject={dismissSuggestion} onStop={() => suggestionRequest.cancel()} />}
+                <EditorContent editor={editor} onMouseUp={capturePassage} onKeyUp={capturePassage} onClick={openHighlight} className="flex-1 overflow-y-auto" />
+                <FootnotesPanel editor={editor} />
+              </div>
+            </DocumentContext.Provider>
+            <div className="pt-2 px-2 flex items-center justify-between text-xs text-slate-500">
+              <span className="flex items-center gap-3">
+                {countWords(docToText(activeDoc)).toLocaleString()} words
+                {!session && <span className="flex items-center gap-1"><Loader size={12} className="animate-spin" /> Connecting...</span>}
+                {syncError && <span title={syncError.message} className="flex items-center gap-1 text-red-400"><AlertCircle size={12} /> Changes not synced yet</span>}
+              </span>
+              <div className="flex items-center gap-4">
+                {passage && (
+                  <button onMouseDown={e => e.preventDefault()} onClick={startComment} className="flex items-center gap-1 text-amber-400 hover:text-amber-300">
+                    <MessageSquarePlus size={12} /> Comment on Selection
+                  </button>
+                )}
+                <button onClick={() => setPanel(panel === 'comments' ? null : 'comments')} className={`flex items-center gap-1 hover:text-white ${panel === 'comments' ? 'text-cyan-400' : ''}`}>
+                  <MessageSquare size={12} /> Comments{openComments[activeChapter.id] ? ` (${openComments[activeChapter.id]})` : ''}
+                </button>
+                <button onClick={() => setPanel(panel === 'history' ? null : 'history')} className={`flex items-center gap-1 hover:text-white ${panel === 'history' ? 'text-cyan-400' : ''}`}>
+                  <HistoryIcon size={12} /> History
+                </button>
+              </div>
             </div>
+          </>
+        ) : (
+          <div className="flex-1 flex items-center justify-center border border-dashed border-slate-700 rounded-xl text-slate-500">
+            {readOnly ? 'No chapters yet.' : 'Create a chapter to start writing.'}
           </div>
-        </header>
-
-        {/* Module View */}
-        <div className="flex-1 overflow-auto p-8">
-          {showSettings && <ProjectSettingsModal project={project} db={db} user={user} onClose={() => setShowSettings(false)} />}
-          {activeModule === 'dashboard' && <Dashboard project={project} user={user} db={db} />}
-          {activeModule === 'litreview' && <LitReview user={user} db={db} ai={ai} isDemo={isDemo} setSaving={setSaving} showNotification={showNotification} />}
-          {activeModule === 'kanban' && <Kanban user={user} db={db} isDemo={isDemo} setSaving={setSaving} />}
-          {activeModule === 'drafter' && <ChapterDrafter user={user} db={db} ai={ai} isDemo={isDemo} setSaving={setSaving} showNotification={showNotification} />}
-        </div>
-      </main>
+        )}
+      </div>
+      {panel === 'history' && activeChapter && editor && (
+        <VersionHistory
+          key={activeChapter.id}
+          store={store} projectPath={projectPath} chapter={activeChapter} editor={editor}
+          onCheckpoint={readOnly ? null : createCheckpoint} onRestore={readOnly ? null : restoreVersion} onClose={() => setPanel(null)}
+        />
+      )}
+      {panel === 'comments' && activeChapter && editor && (
+        <CommentsPanel
+          editor={editor} threads={threads} comments={comments} userId={user.uid} canComment={canComment} canDelete={canDeleteComment}
+          draftAnchor={draftAnchor} activeId={activeComment}
+          onPost={postComment} onCancelDraft={() => setDraftAnchor(null)} onSelect={showThread} onReply={replyTo} onResolve={setResolved} onDelete={deleteComment}
+          onClose={() => setPanel(null)}
+        />
+      )}
     </div>
   );
 }
 
-function SidebarItem({ icon, label, active, onClick }) {
+function ToolbarButton({ icon, label, active = false, disabled = false, onClick }) {
   return (
-    <button onClick={onClick} className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg transition-colors text-sm font-medium ${active ? 'bg-cyan-500/10 text-cyan-400 border border-cyan-500/20' : 'text-slate-400 hover:text-white hover:bg-slate-800'}`}>
+    <button
+      type="button" title={label} onClick={onClick} disabled={disabled}
+      className={`p-1.5 rounded ${active ? 'bg-cyan-500/20 text-cyan-400' : 'text-slate-400 hover:bg-slate-700 hover:text-white'} disabled:opacity-30`}
+    >
       {icon}
-      {label}
     </button>
   );
 }
 
-// --- Modules ---
-
-function Dashboard({ project, user, db }) {
-  const [stats, setStats] = useState({ sources: 0, tasksDone: 0, tasksTotal: 0 });
-  const [taskData, setTaskData] = useState([]);
-
-  useEffect(() => {
-    if (!user) return;
+function EditorToolbar({ editor, sources, style, numberOf, onWritingAction, writingBusy }) {
+  const [popover, setPopover] = useState(null); // 'footnote' | 'cite' | 'ai'
+  const [note, setNote] = useState('');
+  const state = useEditorState({
+    editor,
+    selector: ({ editor: e }) => (e ? {
+      bold: e.isActive('bold'),
+      italic: e.isActive('italic'),
+      h2: e.isActive('heading', { level: 2 }),
+      h3: e.isActive('heading', { level: 3 }),
+      bulletList: e.isActive('bulletList'),
+      orderedList: e.isActive('orderedList'),
+      blockquote: e.isActive('blockquote'),
+      table: e.isActive('table'),
+      citation: e.isActive('citation') ? e.getAttributes('citation') : null,
+      hasText: !!e.state.doc.textBetween(e.state.selection.from, e.state.selection.to, ' ', ' ').trim(),
+      canUndo: e.can().undo(),
+      canRedo: e.can().redo()
+    } : null)
+  });
+  if (!editor || !state) return null;
 
-    // Listen to Sources
-    const unsubSources = onSnapshot(collection(db, `projects/${user.uid}/sources`), (snap) => {
-      setStats(prev => ({ ...prev, sources: snap.size }));
-    });
+  const run = (command) => command(editor.chain().focus()).run();
+  const insertFootnote = (e) => {
+    e.preventDefault();
+    run(chain => chain.insertContent({ type: 'footnote', attrs: { text: note.trim() } }));
+    setNote('');
+    setPopover(null);
+  };
+  const saveCitation = (attrs) => {
+    run(chain => (state.citation ? chain.updateAttributes('citation', attrs) : chain.insertContent({ type: 'citation', attrs })));
+    setPopover(null);
+  };
 
-    // Listen to Tasks
-    const unsubTasks = onSnapshot(collection(db, `projects/${user.uid}/tasks`), (snap) => {
-      const tasks = snap.docs.map(d => d.data());
-      const done = tasks.filter(t => t.status === 'Done').length;
-
-      const statusCounts = [
-        { name: 'To Do', count: tasks.filter(t => t.status === 'To Do').length },
-        { name: 'In Progress', count: tasks.filter(t => t.status === 'In Progress').length },
-        { name: 'Done', count: done }
-      ];
-
-      setStats(prev => ({ ...prev, tasksDone: done, tasksTotal: snap.size }));
-      setTaskData(statusCounts);
-    });
+  return (
+    <div className="relative flex flex-wrap items-center gap-0.5 px-2 py-1.5 border-b border-slate-700 bg-slate-800/60">
+      <ToolbarButton icon={<Bold size={16} />} label="Bold" active={state.bold} onClick={() => run(c => c.toggleBold())} />
+      <ToolbarButton icon={<Italic size={16} />} label="Italic" active={state.italic} onClick={() => run(c => c.toggleItalic())} />
+      <span className="w-px h-5 bg-slate-700 mx-1" />
+      <ToolbarButton icon={<Heading2 size={16} />} label="Heading" active={state.h2} onClick={() => run(c => c.toggleHeading({ level: 2 }))} />
+      <ToolbarButton icon={<Heading3 size={16} />} label="Subheading" active={state.h3} onClick={() => run(c => c.toggleHeading({ level: 3 }))} />
+      <ToolbarButton icon={<List size={16} />} label="Bulleted list" active={state.bulletList} onClick={() => run(c => c.toggleBulletList())} />
+      <ToolbarButton icon={<ListOrdered size={16} />} label="Numbered list" active={state.orderedList} onClick={() => run(c => c.toggleOrderedList())} />
+      <ToolbarButton icon={<Quote size={16} />} label="Block quote" active={state.blockquote} onClick={() => run(c => c.toggleBlockquote())} />
+      <ToolbarButton icon={<TableIcon size={16} />} label="Insert table" active={state.table} disabled={state.table} onClick={() => run(c => c.insertTable({ rows: 3, cols: 3, withHeaderRow: true }))} />
+      <span className="w-px h-5 bg-slate-700 mx-1" />
+      <ToolbarButton icon={<Superscript size={16} />} label="Footnote" active={popover === 'footnote'} onClick={() => setPopover(popover === 'footnote' ? null : 'footnote')} />
+      <ToolbarButton icon={<BookMarked size={16} />} label={state.citation ? 'Edit citation' : 'Cite sources'} active={popover === 'cite' || !!state.citation} onClick={() => setPopover(popover === 'cite' ? null : 'cite')} />
+      <span className="w-px h-5 bg-slate-700 mx-1" />
+      <ToolbarButton icon={<Sparkles size={16} />} label="AI writing actions (select text first)" active={popover === 'ai'} disabled={!state.hasText || writingBusy} onClick={() => setPopover(popover === 'ai' ? null : 'ai')} />
+      <span className="w-px h-5 bg-slate-700 mx-1" />
+      <ToolbarButton icon={<Undo2 size={16} />} label="Undo" disabled={!state.canUndo} onClick={() => run(c => c.undo())} />
+      <ToolbarButton icon={<Redo2 size={16} />} label="Redo" disabled={!state.canRedo} onClick={() => run(c => c.redo())} />
+      {state.table && (
+        <div className="flex items-center gap-1 ml-2 text-xs">
+          {[
+            ['+ Row', c => c.addRowAfter()], ['+ Column', c => c.addColumnAfter()],
+            ['− Row', c => c.deleteRow()], ['− Column', c => c.deleteColumn()], ['Delete table', c => c.deleteTable()]
+          ].map(([label, command]) => (
+            <button key={label} type="button" onClick={() => run(command)} className="px-2 py-1 rounded bg-slate-700 text-slate-300 hover:bg-slate-600">{label}</button>
+          ))}
+        </div>
+      )}
 
-    return () => {
-      unsubSources();
-      unsubTasks();
-    };
-  }, [user, db]);
+      {popover === 'footnote' && (
+        <form onSubmit={insertFootnote} className={`absolute top-full left-2 mt-1 z-20 w-80 p-3 rounded-lg border ${THEME.border} ${THEME.card} shadow-xl space-y-2`}>
+          <textarea
+            autoFocus rows={3}
+            className="w-full bg-slate-900 border border-slate-700 rounded p-2 text-sm focus:border-cyan-500 outline-none resize-none"
+            placeholder="Footnote text..."
+            value={note} onChange={e => setNote(e.target.value)}
+          />
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={() => setPopover(null)} className="px-3 py-1 text-sm text-slate-400 hover:text-white">Cancel</button>
+            <button type="submit" className={`px-3 py-1 text-sm rounded ${THEME.accentBg} text-white hover:opacity-90`}>Insert</button>
+          </div>
+        </form>
+      )}
+      {popover === 'ai' && (
+        <div className={`absolute top-full left-2 mt-1 z-20 w-56 py-1 rounded-lg border ${THEME.border} ${THEME.card} shadow-xl`}>
+          {Object.entries(WRITING_ACTIONS).filter(([, action]) => !action.atEnd).map(([key, action]) => (
+            <button
+              key={key} type="button"
+              onClick={() => { setPopover(null); onWritingAction(key); }}
+              className="w-full text-left px-3 py-2 text-sm text-slate-300 hover:bg-slate-700"
+            >
+              {action.label}
+              {action.insert && <span className="ml-2 text-xs text-slate-500">adds after</span>}
+            </button>
+          ))}
+        </div>
+      )}
+      {popover === 'cite' && (
+        <CitationPicker
+          key={state.citation ? state.citation.sourceIds.join() : 'new'}
+          sources={sources} style={style} numberOf={numberOf} initial={state.citation}
+          onSave={saveCitation} onClose={() => setPopover(null)}
+        />
+      )}
+    </div>
+  );
+}
 
+// Shows an AI suggestion against its passage: a word diff for rewrites, or the added paragraphs
+// for actions that insert after it
+function SuggestionPanel({ suggestion, onAccept, onReject, onStop }) {
+  const action = WRITING_ACTIONS[suggestion.action];
+  const segments = suggestion.text && !suggestion.streaming && !action.insert ? diffWords(suggestion.original, suggestion.text) : null;
   return (
-    <div className="space-y-6">
-      <div className="grid grid-cols-3 gap-6">
-        <StatCard label="Total Word Count" value={project.wordCount} icon={<FileText className="text-blue-400" />} />
-        <StatCard label="Sources Analyzed" value={stats.sources} icon={<BookOpen className="text-purple-400" />} />
-        <StatCard label="Tasks Completed" value={`${stats.tasksDone} / ${stats.tasksTotal}`} icon={<CheckCircle className="text-emerald-400" />} />
+    <div className="max-h-72 overflow-y-auto border-b border-slate-700 bg-slate-800/80 px-4 py-3 space-y-2">
+      <div className="flex items-center gap-2 text-xs uppercase tracking-wider text-slate-500">
+        <Sparkles size={14} className="text-cyan-400" /> {action.label}
       </div>
-
-      <div className={`${THEME.card} p-6 rounded-xl border ${THEME.border}`}>
-        <h3 className="text-lg font-semibold mb-6">Task Status Distribution</h3>
-        <div className="h-64 w-full">
-          <ResponsiveContainer width="100%" height="100%">
-            <BarChart data={taskData}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
-              <XAxis dataKey="name" stroke="#94a3b8" />
-              <YAxis stroke="#94a3b8" allowDecimals={false} />
-              <Tooltip cursor={{ fill: '#334155', opacity: 0.2 }} contentStyle={{ backgroundColor: '#1e293b', borderColor: '#334155', color: '#f1f5f9' }} />
-              <Bar dataKey="count" fill="#06b6d4" radius={[4, 4, 0, 0]}>
-                {taskData.map((entry, index) => (
-                  <Cell key={`cell-${index}`} fill={entry.name === 'Done' ? '#10b981' : entry.name === 'In Progress' ? '#06b6d4' : '#64748b'} />
-                ))}
-              </Bar>
-            </BarChart>
-          </ResponsiveContainer>
+      {suggestion.text === null ? (
+        <div className="flex items-center gap-3 text-sm text-slate-400">
+          <Loader className="animate-spin" size={16} /> {action.atEnd ? 'Continuing the chapter...' : 'Working on the selected passage...'}
+          <button type="button" onClick={onReject} className="ml-auto px-3 py-1 rounded bg-slate-700 text-slate-300 hover:bg-slate-600">Cancel</button>
         </div>
-      </div>
+      ) : suggestion.streaming ? (
+        <>
+          <div className="font-serif text-sm leading-relaxed whitespace-pre-wrap text-emerald-300">{suggestion.text}</div>
+          <div className="flex justify-end">
+            <button type="button" onClick={onStop} className="flex items-center gap-1 px-3 py-1 text-sm rounded bg-red-500/80 text-white hover:bg-red-500"><Square size={12} /> Stop</button>
+          </div>
+        </>
+      ) : (
+        <>
+          {suggestion.stopped && <p className="text-xs text-amber-400">Stopped early, so this suggestion may be incomplete.</p>}
+          <div className="font-serif text-sm leading-relaxed whitespace-pre-wrap">
+            {segments ? segments.map((segment, i) => (
+              <span
+                key={i}
+                className={segment.type === 'insert' ? 'bg-emerald-500/20 text-emerald-300' : segment.type === 'delete' ? 'bg-red-500/20 text-red-300 line-through' : 'text-slate-300'}
+              >
+                {segment.text}
+              </span>
+            )) : (
+              <>
+                <span className="text-slate-500">{suggestion.original}</span>
+                {'\n\n'}
+                <span className="bg-emerald-500/20 text-emerald-300">{suggestion.text}</span>
+              </>
+            )}
+          </div>
+          {suggestion.hasAtoms && !action.insert && (
+            <p className="text-xs text-amber-400">The selection contains citations or footnotes, which accepting will replace.</p>
+          )}
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={onReject} className="px-3 py-1 text-sm rounded bg-slate-700 text-slate-300 hover:bg-slate-600">Reject</button>
+            <button type="button" onClick={onAccept} className={`px-3 py-1 text-sm rounded ${THEME.accentBg} text-white hover:opacity-90 flex items-center gap-1`}><Check size={14} /> Accept</button>
+          </div>
+        </>
+      )}
     </div>
   );
 }
 
-function StatCard({ label, value, icon }) {
+// Picks the sources (and an optional page) for a new citation, or edits the selected one
+function CitationPicker({ sources, style, numberOf, initial, onSave, onClose }) {
+  const [selected, setSelected] = useState(initial?.sourceIds || []);
+  const [page, setPage] = useState(initial?.page || '');
+  const [search, setSearch] = useState('');
+
+  const term = search.trim().toLowerCase();
+  const matches = term ? sources.filter(s => sourceSearchText(s).includes(term)) : sources;
+  const toggle = (id) => setSelected(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  const cited = selected.map(id => sources.find(s => s.id === id)).filter(Boolean);
+
   return (
-    <div className={`${THEME.card} p-6 rounded-xl border ${THEME.border} flex items-center justify-between`}>
-      <div>
-        <p className="text-sm text-slate-400 mb-1">{label}</p>
-        <p className="text-3xl font-bold">{value}</p>
+    <div className={`absolute top-full left-2 mt-1 z-20 w-96 p-3 rounded-lg border ${THEME.border} ${THEME.card} shadow-xl space-y-2`}>
+      <input
+        autoFocus
+        className="w-full bg-slate-900 border border-slate-700 rounded p-2 text-sm focus:border-cyan-500 outline-none"
+        placeholder="Search sources..."
+        value={search} onChange={e => setSearch(e.target.value)}
+      />
+      <div className="max-h-56 overflow-y-auto space-y-1">
+        {matches.map(s => (
+          <label key={s.id} className="flex items-start gap-2 p-2 rounded hover:bg-slate-700/50 text-sm cursor-pointer">
+            <input type="checkbox" className="mt-1 accent-cyan-500" checked={selected.includes(s.id)} onChange={() => toggle(s.id)} />
+            <span>
+              <span className="text-slate-300">{s.title || 'Untitled'}</span>
+              <span className="block text-xs text-slate-500">{shortAuthors(s.authors) || 'Unknown author'}{s.year ? `, ${s.year}` : ''}</span>
+            </span>
+          </label>
+        ))}
+        {matches.length === 0 && <p className="p-2 text-xs text-slate-500">{sources.length ? 'No matching sources.' : 'Add sources in the Literature module first.'}</p>}
+      </div>
+      <div className="flex items-center gap-2">
+        <input
+          className="w-24 bg-slate-900 border border-slate-700 rounded p-2 text-sm focus:border-cyan-500 outline-none"
+          placeholder="Page"
+          value={page} onChange={e => setPage(e.target.value)}
+        />
+        <span className="flex-1 text-xs text-slate-400 truncate">{cited.length ? formatInTextCitation(cited, style, numberOf, page.trim()) : ''}</span>
+        <button type="button" onClick={onClose} className="px-3 py-1 text-sm text-slate-400 hover:text-white">Cancel</button>
+        <button
+          type="button" disabled={!cited.length}
+          onClick={() => onSave({ sourceIds: cited.map(s => s.id), page: page.trim() })}
+          className={`px-3 py-1 text-sm rounded ${THEME.accentBg} text-white hover:opacity-90 disabled:opacity-50`}
+        >
+          {initial ? 'Update' : 'Cite'}
+        </button>
       </div>
-      <div className="p-3 rounded-lg bg-slate-900/50">{icon}</div>
     </div>
   );
 }
 
-function LitReview({ user, db, ai, isDemo, setSaving, showNotification }) {
-  const [sources, setSources] = useState([]);
-  const [newSource, setNewSource] = useState('');
-  const [analyzing, setAnalyzing] = useState(false);
-
-  useEffect(() => {
-    if (isDemo) return;
-    const q = query(collection(db, `projects/${user.uid}/sources`));
-    const unsub = onSnapshot(q, (snap) => {
-      setSources(snap.docs.map(d => ({ id: d.id, ...d.data() })));
-    });
-    return () => unsub();
-  }, [user, db, isDemo]);
+// Footnote texts live on the inline nodes; this lists them in order so they can be edited
+function FootnotesPanel({ editor }) {
+  const notes = useEditorState({ editor, selector: ({ editor: e }) => (e ? collectFootnotes(e.state.doc) : []) });
+  if (!editor || !notes.length) return null;
 
-  const analyzeSource = async () => {
-    if (!newSource) return;
-    setAnalyzing(true);
-    try {
-      if (isDemo) {
-        await new Promise(r => setTimeout(r, 1500));
-        setSources([...sources, { id: Date.now(), title: "AI Generated Source", author: "AI", year: "2024", method: "Mock Analysis", result: "Mock Result", conclusion: "Mock Conclusion" }]);
-      } else {
-        const model = ai.getGenerativeModel({ model: "gemini-2.5-flash" });
-        const prompt = `Analyze this abstract and extract: Title (guess if missing), Author (guess if missing), Year (guess if missing), Method, Result, Conclusion. Return JSON only. Abstract: ${newSource}`;
-        const result = await model.generateContent(prompt);
-        const data = JSON.parse(result.response.text().replace(/```json|```/g, '').trim());
-
-        setSaving(true);
-        await addDoc(collection(db, `projects/${user.uid}/sources`), data);
-        setSaving(false);
-      }
-      setNewSource('');
-      showNotification('success', "Source analyzed and saved");
-    } catch (e) {
-      showNotification('error', "Analysis failed");
-    } finally {
-      setAnalyzing(false);
-    }
+  const setText = (note, text) => {
+    if (text === note.text) return;
+    editor.chain().command(({ tr }) => {
+      tr.setNodeAttribute(note.pos, 'text', text);
+      return true;
+    }).run();
   };
+  const removeNote = (note) => editor.chain().focus().deleteRange({ from: note.pos, to: note.pos + 1 }).run();
 
   return (
-    <div className="h-full flex flex-col gap-6">
-      <div className={`${THEME.card} p-6 rounded-xl border ${THEME.border}`}>
-        <h3 className="font-semibold mb-4 flex items-center gap-2"><Cpu size={18} className="text-cyan-400" /> AI Source Scanner</h3>
-        <div className="flex gap-4">
+    <div className="max-h-48 overflow-y-auto border-t border-slate-700 px-4 py-3 space-y-2">
+      <h4 className="text-xs uppercase tracking-wider text-slate-500">Footnotes</h4>
+      {notes.map((note, i) => (
+        <div key={`${i}-${note.text}`} className="group flex items-start gap-2 text-sm">
+          <span className="w-5 pt-1 text-right text-cyan-400 text-xs">{i + 1}</span>
           <textarea
-            className="flex-1 bg-slate-900 border border-slate-700 rounded-lg p-3 text-sm focus:border-cyan-500 outline-none resize-none h-24"
-            placeholder="Paste abstract here..."
-            value={newSource} onChange={e => setNewSource(e.target.value)}
+            rows={1} defaultValue={note.text} placeholder="Empty footnote"
+            onBlur={e => setText(note, e.target.value.trim())}
+            className="flex-1 bg-transparent border border-transparent hover:border-slate-700 focus:border-cyan-500 rounded px-2 py-1 text-slate-300 outline-none resize-none"
           />
-          <button onClick={analyzeSource} disabled={analyzing} className={`px-6 rounded-lg font-bold text-white ${THEME.accentBg} hover:opacity-90 disabled:opacity-50`}>
-            {analyzing ? <Loader className="animate-spin" /> : 'Analyze'}
-          </button>
+          <button type="button" onClick={() => removeNote(note)} className="p-1 text-slate-500 hover:text-red-400 opacity-0 group-hover:opacity-100"><Trash size={12} /></button>
         </div>
-      </div>
-
-      <div className="flex-1 overflow-auto">
-        <table className="w-full text-left text-sm">
-          <thead className="text-slate-400 border-b border-slate-700 bg-slate-900/50 sticky top-0">
-            <tr>
-              <th className="p-4 font-medium">Title & Author</th>
-              <th className="p-4 font-medium">Method</th>
-              <th className="p-4 font-medium">Result</th>
-              <th className="p-4 font-medium">Conclusion</th>
-            </tr>
-          </thead>
-          <tbody className="divide-y divide-slate-800">
-            {sources.map((s) => (
-              <tr key={s.id} className="hover:bg-slate-800/50">
-                <td className="p-4">
-                  <div className="font-medium text-slate-200">{s.title}</div>
-                  <div className="text-xs text-slate-500">{s.author}, {s.year}</div>
-                </td>
-                <td className="p-4 text-slate-400">{s.method}</td>
-                <td className="p-4 text-slate-400">{s.result}</td>
-                <td className="p-4 text-slate-400">{s.conclusion}</td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      </div>
+      ))}
     </div>
   );
 }
 
-function Kanban({ user, db, isDemo, setSaving }) {
-  const [tasks, setTasks] = useState([]);
-  const [newTask, setNewTask] = useState('');
-  const [editingTask, setEditingTask] = useState(null);
+function CitationView({ node, selected }) {
+  const { sources, style, numberOf } = useContext(DocumentContext);
+  const cited = node.attrs.sourceIds.map(id => sources.find(s => s.id === id)).filter(Boolean);
+  return (
+    <NodeViewWrapper as="span" className={`citation${selected ? ' is-selected' : ''}${cited.length ? '' : ' is-missing'}`}>
+      {cited.length ? formatInTextCitation(cited, style, numberOf, node.attrs.page) : '(missing source)'}
+    </NodeViewWrapper>
+  );
+}
 
-  useEffect(() => {
-    if (isDemo) return;
-    const q = query(collection(db, `projects/${user.uid}/tasks`));
-    const unsub = onSnapshot(q, (snap) => {
-      setTasks(snap.docs.map(d => ({ id: d.id, ...d.data() })));
-    });
-    return () => unsub();
-  }, [user, db, isDemo]);
+// The number comes from a CSS counter so it follows the footnote's position in the text
+function FootnoteView({ node, selected }) {
+  return <NodeViewWrapper as="sup" className={`footnote-ref${selected ? ' is-selected' : ''}`} title={node.attrs.text || 'Empty footnote'} />;
+}
 
-  const addTask = async (e) => {
+const commentTime = (comment) => toDate(comment.createdAt)?.getTime() ?? Infinity;
+
+// The chapter's threads in reading order; those whose passage is gone follow, oldest first
+function CommentsPanel({ editor, threads, comments, userId, canComment, canDelete, draftAnchor, activeId, onPost, onCancelDraft, onSelect, onReply, onResolve, onDelete, onClose }) {
+  const [body, setBody] = useState('');
+  const [showResolved, setShowResolved] = useState(false);
+  const ranges = useEditorState({ editor, selector: ({ editor: e }) => commentsKey.getState(e.state)?.ranges ?? {} });
+
+  const post = async (e) => {
     e.preventDefault();
-    if (!newTask) return;
-    if (isDemo) {
-      setTasks([...tasks, { id: Date.now(), title: newTask, status: 'To Do', priority: 'Medium' }]);
-    } else {
-      setSaving(true);
-      await addDoc(collection(db, `projects/${user.uid}/tasks`), {
-        title: newTask, status: 'To Do', priority: 'Medium', createdAt: serverTimestamp()
-      });
-      setSaving(false);
-    }
-    setNewTask('');
+    if (!body.trim()) return;
+    if (await onPost(body.trim())) setBody('');
   };
 
-  const updateTask = async (task, updates) => {
-    if (isDemo) {
-      setTasks(tasks.map(t => t.id === task.id ? { ...t, ...updates } : t));
-    } else {
-      setSaving(true);
-      await updateDoc(doc(db, `projects/${user.uid}/tasks`, task.id), updates);
-      setSaving(false);
-    }
-    setEditingTask(null);
+  const cancel = () => {
+    setBody('');
+    onCancelDraft();
   };
 
-  const deleteTask = async (taskId) => {
-    if (isDemo) {
-      setTasks(tasks.filter(t => t.id !== taskId));
-    } else {
-      setSaving(true);
-      await deleteDoc(doc(db, `projects/${user.uid}/tasks`, taskId));
-      setSaving(false);
-    }
-  };
+  const position = (thread) => ranges[thread.id]?.from ?? Infinity;
+  const shown = threads
+    .filter(t => !!t.resolved === showResolved)
+    .sort((a, b) => position(a) - position(b) || commentTime(a) - commentTime(b));
+  const resolvedCount = threads.filter(t => t.resolved).length;
 
-  const Column = ({ title, status }) => (
-    <div className="flex-1 min-w-[300px] bg-slate-900/50 rounded-xl border border-slate-800 flex flex-col h-full">
-      <div className="p-4 border-b border-slate-800 font-medium flex justify-between items-center bg-slate-900/80 rounded-t-xl sticky top-0 backdrop-blur-sm z-10">
-        <span className="flex items-center gap-2">
-          <div className={`w-2 h-2 rounded-full ${status === 'To Do' ? 'bg-slate-500' : status === 'In Progress' ? 'bg-cyan-500' : 'bg-emerald-500'}`} />
-          {title}
-        </span>
-        <span className="text-xs bg-slate-800 px-2 py-1 rounded-full text-slate-400">{tasks.filter(t => t.status === status).length}</span>
-      </div>
-      <div className="p-3 space-y-3 flex-1 overflow-y-auto custom-scrollbar">
-        {tasks.filter(t => t.status === status).map(t => (
-          <div key={t.id} className={`${THEME.card} p-4 rounded-lg border border-slate-700 shadow-sm hover:border-cyan-500/50 group transition-all`}>
-            <div className="flex justify-between items-start mb-2">
-              <p className="text-sm font-medium leading-snug">{t.title}</p>
-              <button onClick={() => setEditingTask(t)} className="opacity-0 group-hover:opacity-100 p-1 hover:bg-slate-700 rounded text-slate-400 hover:text-cyan-400 transition-all">
-                <PenTool size={12} />
-              </button>
-            </div>
-            <div className="flex justify-between items-center mt-3">
-              <span className={`text-[10px] px-2 py-0.5 rounded border font-medium ${t.priority === 'High' ? 'border-red-500/30 text-red-400 bg-red-500/10' : t.priority === 'Medium' ? 'border-blue-500/30 text-blue-400 bg-blue-500/10' : 'border-slate-500/30 text-slate-400 bg-slate-500/10'}`}>
-                {t.priority}
-              </span>
-              <div className="flex gap-1">
-                {status !== 'To Do' && <button onClick={() => updateTask(t, { status: 'To Do' })} className="p-1 hover:bg-slate-700 rounded text-slate-500 hover:text-slate-300"><ChevronRight className="rotate-180" size={14} /></button>}
-                {status !== 'Done' && <button onClick={() => updateTask(t, { status: status === 'To Do' ? 'In Progress' : 'Done' })} className="p-1 hover:bg-slate-700 rounded text-slate-500 hover:text-slate-300"><ChevronRight size={14} /></button>}
-              </div>
-            </div>
+  return (
+    <aside className={`w-80 shrink-0 ${THEME.card} rounded-xl border ${THEME.border} flex flex-col`}>
+      <div className="p-4 border-b border-slate-700 font-semibold flex items-center gap-2">
+        <MessageSquare size={16} className="text-cyan-400" /> Comments
+        <button onClick={onClose} className="ml-auto text-slate-400 hover:text-white"><X size={16} /></button>
+      </div>
+      {draftAnchor && (
+        <form onSubmit={post} className="p-3 border-b border-slate-700 space-y-2">
+          <blockquote className="border-l-2 border-amber-400/60 pl-2 text-xs italic text-slate-400 line-clamp-3">{draftAnchor.quote}</blockquote>
+          <textarea
+            autoFocus rows={3}
+            className="w-full bg-slate-900 border border-slate-700 rounded-lg p-2 text-sm focus:border-cyan-500 outline-none resize-none"
+            placeholder="Add a comment..."
+            value={body} onChange={e => setBody(e.target.value)}
+          />
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={cancel} className="px-3 py-1.5 text-sm text-slate-400 hover:text-white">Cancel</button>
+            <button type="submit" disabled={!body.trim()} className={`px-3 py-1.5 text-sm ${THEME.accentBg} text-white rounded-lg hover:opacity-90 disabled:opacity-50`}>Comment</button>
           </div>
+        </form>
+      )}
+      <div className="flex border-b border-slate-700 text-xs">
+        {[false, true].map(resolved => (
+          <button
+            key={String(resolved)} onClick={() => setShowResolved(resolved)}
+            className={`flex-1 py-2 ${showResolved === resolved ? 'text-cyan-400 border-b-2 border-cyan-400' : 'text-slate-400 hover:text-white'}`}
+          >
+            {resolved ? `Resolved (${resolvedCount})` : `Open (${threads.length - resolvedCount})`}
+          </button>
         ))}
       </div>
-    </div>
-  );
-
-  return (
-    <div className="h-full flex flex-col gap-6">
-      <div className="flex justify-between items-center">
-        <h3 className="text-xl font-bold flex items-center gap-2"><Layout size={20} className="text-cyan-400" /> Kanban Board</h3>
-        <form onSubmit={addTask} className="flex gap-2 w-96">
-          <input
-            className="flex-1 bg-slate-900 border border-slate-700 rounded-lg p-2.5 text-sm focus:border-cyan-500 outline-none"
-            placeholder="Add a new task..."
-            value={newTask} onChange={e => setNewTask(e.target.value)}
+      <div className="flex-1 overflow-y-auto p-2 space-y-2">
+        {shown.map(thread => (
+          <CommentThread
+            key={thread.id} thread={thread} range={ranges[thread.id]} active={thread.id === activeId}
+            replies={comments.filter(c => c.parentId === thread.id).sort((a, b) => commentTime(a) - commentTime(b))}
+            userId={userId} canComment={canComment} canDelete={canDelete}
+            onSelect={onSelect} onReply={onReply} onResolve={onResolve} onDelete={onDelete}
           />
-          <button type="submit" className={`px-4 ${THEME.accentBg} text-white rounded-lg hover:opacity-90`}><Plus size={18} /></button>
-        </form>
+        ))}
+        {shown.length === 0 && (
+          <p className="p-4 text-center text-xs text-slate-500">
+            {showResolved ? 'No resolved comments.' : canComment ? 'Select a passage in the chapter, then choose Comment on Selection.' : 'No open comments on this chapter.'}
+          </p>
+        )}
       </div>
+    </aside>
+  );
+}
 
-      <div className="flex-1 flex gap-6 overflow-x-auto pb-2 min-h-0">
-        <Column title="To Do" status="To Do" />
-        <Column title="In Progress" status="In Progress" />
-        <Column title="Done" status="Done" />
-      </div>
+function CommentThread({ thread, replies, range, active, userId, canComment, canDelete, onSelect, onReply, onResolve, onDelete }) {
+  const [reply, setReply] = useState('');
 
-      {editingTask && (
-        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
-          <div className={`${THEME.card} w-full max-w-md p-6 rounded-xl border ${THEME.border} shadow-2xl`}>
-            <h3 className="text-lg font-bold mb-4">Edit Task</h3>
-            <div className="space-y-4">
-              <div>
-                <label className="block text-xs text-slate-400 mb-1">Task Title</label>
-                <input
-                  className="w-full bg-slate-900 border border-slate-700 rounded-lg p-3 text-sm focus:border-cyan-500 outline-none"
-                  value={editingTask.title}
-                  onChange={e => setEditingTask({ ...editingTask, title: e.target.value })}
-                />
-              </div>
-              <div>
-                <label className="block text-xs text-slate-400 mb-1">Priority</label>
-                <select
-                  className="w-full bg-slate-900 border border-slate-700 rounded-lg p-3 text-sm focus:border-cyan-500 outline-none"
-                  value={editingTask.priority}
-                  onChange={e => setEditingTask({ ...editingTask, priority: e.target.value })}
-                >
-                  <option value="Low">Low</option>
-                  <option value="Medium">Medium</option>
-                  <option value="High">High</option>
-                </select>
-              </div>
-              <div className="flex gap-3 pt-4">
-                <button onClick={() => deleteTask(editingTask.id)} className="px-4 py-2 bg-red-500/10 text-red-400 border border-red-500/20 rounded-lg hover:bg-red-500/20 flex-1">Delete</button>
-                <button onClick={() => setEditingTask(null)} className="px-4 py-2 bg-slate-700 text-slate-300 rounded-lg hover:bg-slate-600 flex-1">Cancel</button>
-                <button onClick={() => updateTask(editingTask, { title: editingTask.title, priority: editingTask.priority })} className={`px-4 py-2 ${THEME.accentBg} text-white rounded-lg hover:opacity-90 flex-1`}>Save</button>
-              </div>
-            </div>
+  const send = async (e) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+    if (await onReply(thread, reply.trim())) setReply('');
+  };
+
+  return (
+    <div onClick={() => onSelect(thread)} className={`rounded-lg border p-3 space-y-3 text-sm cursor-pointer ${active ? 'border-amber-400/50 bg-slate-900/60' : 'border-slate-700 hover:border-slate-600'}`}>
+      <blockquote className={`border-l-2 pl-2 text-xs italic line-clamp-2 ${range === null ? 'border-slate-600 text-slate-500 line-through' : 'border-amber-400/60 text-slate-400'}`}>
+        {thread.anchor?.quote}
+      </blockquote>
+      {range === null && <p className="text-xs text-amber-400/80">The commented passage has been changed or removed.</p>}
+      {[thread, ...replies].map(c => (
+        <div key={c.id} className="group">
+          <div className="flex items-center gap-2 text-xs text-slate-500">
+            <span className="font-medium text-slate-300 truncate">{c.authorId === userId ? 'You' : c.authorEmail || 'Unknown'}</span>
+            <span className="shrink-0">{toDate(c.createdAt)?.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) ?? 'just now'}</span>
+            {canDelete(c) && (
+              <button onClick={(e) => { e.stopPropagation(); onDelete(c); }} title="Delete" className="ml-auto p-0.5 hover:text-red-400 opacity-0 group-hover:opacity-100"><Trash size={12} /></button>
+            )}
           </div>
+          <p className="mt-1 text-slate-300 whitespace-pre-wrap break-words">{c.body}</p>
+        </div>
+      ))}
+      {canComment && (
+        <div className="space-y-2" onClick={e => e.stopPropagation()}>
+          {active && !thread.resolved && (
+            <form onSubmit={send} className="flex gap-2">
+              <input
+                className="flex-1 min-w-0 bg-slate-900 border border-slate-700 rounded-lg px-2 py-1.5 text-sm focus:border-cyan-500 outline-none"
+                placeholder="Reply..."
+                value={reply} onChange={e => setReply(e.target.value)}
+              />
+              <button type="submit" disabled={!reply.trim()} className={`px-3 ${THEME.accentBg} text-white rounded-lg hover:opacity-90 disabled:opacity-50`}><ArrowRight size={14} /></button>
+            </form>
+          )}
+          <button onClick={() => onResolve(thread, !thread.resolved)} className="flex items-center gap-1 text-xs text-slate-400 hover:text-emerald-400">
+            {thread.resolved ? <><RotateCcw size={12} /> Reopen</> : <><Check size={12} /> Resolve</>}
+          </button>
         </div>
       )}
     </div>
   );
 }
 
-function ProjectSettingsModal({ project, db, user, onClose }) {
-  const [title, setTitle] = useState(project.title);
-  const [field, setField] = useState(project.field);
-  const [loading, setLoading] = useState(false);
+// A chapter's snapshots and checkpoints, newest first. Any two entries, the live text included, can be compared.
+function VersionHistory({ store, projectPath, chapter, editor, onCheckpoint, onRestore, onClose }) {
+  const [versions, setVersions] = useState([]);
+  const [name, setName] = useState('');
+  const [selected, setSelected] = useState([]); // up to two version ids; 'current' is the live text
+  const [comparing, setComparing] = useState(null); // [older, newer] as { label, content }
 
-  const handleSave = async () => {
-    setLoading(true);
-    try {
-      await updateDoc(doc(db, 'projects', user.uid), { title, field });
-      onClose();
-      window.location.reload(); // Simple reload to refresh app state
-    } catch (e) {
-      alert("Failed to update settings");
-    } finally {
-      setLoading(false);
-    }
+  useEffect(() => {
+    return store.watchCollection(`${projectPath}/versions`, (list) => {
+      setVersions(list.filter(v => v.kind !== 'deleted').sort((a, b) => versionTime(b) - versionTime(a)));
+    }, { where: ['chapterId', '==', chapter.id] });
+  }, [store, projectPath, chapter.id]);
+
+  const saveCheckpoint = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    if (await onCheckpoint(name.trim())) setName('');
+  };
+
+  const toggle = (id) => setSelected(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev.slice(-1), id]));
+
+  const compare = (ids) => {
+    const entries = ids.map(id => {
+      if (id === 'current') return { label: 'Current text', content: docToText(editor.getJSON()), time: Infinity };
+      const v = versions.find(x => x.id === id);
+      return v && { label: `${versionLabel(v)} · ${toDate(v.createdAt)?.toLocaleString() ?? 'just now'}`, content: v.content, time: versionTime(v) };
+    }).filter(Boolean);
+    if (entries.length === 2) setComparing(entries.sort((a, b) => a.time - b.time));
   };
 
   return (
-    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
-      <div className={`${THEME.card} w-full max-w-md p-6 rounded-xl border ${THEME.border} shadow-2xl`}>
-        <div className="flex justify-between items-center mb-6">
-          <h3 className="text-lg font-bold">Project Settings</h3>
-          <button onClick={onClose} className="text-slate-400 hover:text-white"><LogOut size={18} className="rotate-45" /></button>
-        </div>
-        <div className="space-y-4">
-          <div>
-            <label className="block text-xs text-slate-400 mb-1">Project Title</label>
-            <input
-              className="w-full bg-slate-900 border border-slate-700 rounded-lg p-3 text-sm focus:border-cyan-500 outline-none"
-              value={title} onChange={e => setTitle(e.target.value)}
-            />
-          </div>
-          <div>
-            <label className="block text-xs text-slate-400 mb-1">Field of Study</label>
-            <input
-              className="w-full bg-slate-900 border border-slate-700 rounded-lg p-3 text-sm focus:border-cyan-500 outline-none"
-              value={field} onChange={e => setField(e.target.value)}
-            />
+    <aside className={`w-80 shrink-0 ${THEME.card} rounded-xl border ${THEME.border} flex flex-col`}>
+      {comparing && <VersionDiffModal older={comparing[0]} newer={comparing[1]} onClose={() => setComparing(null)} />}
+      <div className="p-4 border-b border-slate-700 font-semibold flex items-center gap-2">
+        <HistoryIcon size={16} className="text-cyan-400" /> History
+        <button onClick={onClose} className="ml-auto text-slate-400 hover:text-white"><X size={16} /></button>
+      </div>
+      {onCheckpoint && (
+        <form onSubmit={saveCheckpoint} className="p-3 border-b border-slate-700 flex gap-2">
+          <input
+            className="flex-1 min-w-0 bg-slate-900 border border-slate-700 rounded-lg p-2 text-sm focus:border-cyan-500 outline-none"
+            placeholder="Checkpoint, e.g. Sent to supervisor"
+            value={name} onChange={e => setName(e.target.value)}
+          />
+          <button type="submit" disabled={!name.trim()} title="Save checkpoint" className={`px-3 ${THEME.accentBg} text-white rounded-lg hover:opacity-90 disabled:opacity-50`}><Bookmark size={14} /></button>
+        </form>
+      )}
+      <div className="flex-1 overflow-y-auto p-2 space-y-1 text-sm">
+        <label className="flex items-center gap-2 px-2 py-2 rounded-lg hover:bg-slate-700/50 cursor-pointer">
+          <input type="checkbox" className="accent-cyan-500" checked={selected.includes('current')} onChange={() => toggle('current')} />
+          <span className="flex-1 text-slate-200">Current text</span>
+        </label>
+        {versions.map(v => (
+          <div key={v.id} className="group flex items-start gap-2 px-2 py-2 rounded-lg hover:bg-slate-700/50">
+            <input type="checkbox" className="mt-1 accent-cyan-500" checked={selected.includes(v.id)} onChange={() => toggle(v.id)} />
+            <div className="flex-1 min-w-0">
+              <div className={`truncate ${v.kind === 'checkpoint' ? 'text-cyan-400 font-medium' : 'text-slate-300'}`}>{versionLabel(v)}</div>
+              <div className="text-xs text-slate-500">{toDate(v.createdAt)?.toLocaleString() ?? 'Saving...'} · {(v.wordCount || 0).toLocaleString()} words</div>
+            </div>
+            <div className="hidden group-hover:flex items-center">
+              <button onClick={() => compare([v.id, 'current'])} title="Compare with current text" className="p-1 text-slate-400 hover:text-cyan-400"><GitCompare size={14} /></button>
+              {onRestore && <button onClick={() => onRestore(v)} title="Restore this version" className="p-1 text-slate-400 hover:text-emerald-400"><RotateCcw size={14} /></button>}
+            </div>
           </div>
-          <button onClick={handleSave} disabled={loading} className={`w-full py-3 ${THEME.accentBg} text-white font-bold rounded-lg hover:opacity-90 mt-4`}>
-            {loading ? <Loader className="animate-spin mx-auto" /> : 'Save Changes'}
-          </button>
-        </div>
+        ))}
+        {versions.length === 0 && <p className="p-4 text-center text-xs text-slate-500">Snapshots are taken automatically as you write. Save a checkpoint to mark a milestone.</p>}
       </div>
-    </div>
+      <div className="p-3 border-t border-slate-700">
+        <button
+          onClick={() => compare(selected)} disabled={selected.length !== 2}
+          className="w-full flex items-center justify-center gap-2 py-2 rounded-lg bg-slate-700 text-slate-300 text-sm hover:bg-slate-600 disabled:opacity-50"
+        >
+          <GitCompare size={14} /> Compare Selected
+        </button>
+      </div>
+    </aside>
   );
 }
 
-function ChapterDrafter({ user, db, ai, isDemo, setSaving, showNotification }) {
-  const [content, setContent] = useState('');
-  const [expanding, setExpanding] = useState(false);
-
-  const handleExpand = async () => {
-    setExpanding(true);
-    try {
-      if (isDemo) {
-        await new Promise(r => setTimeout(r, 1000));
-        setContent(prev => prev + "\n\n[AI Generated] Furthermore, recent studies indicate that...");
-      } else {
-        const model = ai.getGenerativeModel({ model: "gemini-2.5-flash" });
-        const prompt = `Continue this academic text with 3 sentences. Maintain tone. Text: ${content.slice(-500)}`;
-        const result = await model.generateContent(prompt);
-        const newText = result.response.text();
-        setContent(prev => prev + " " + newText);
-      }
-      showNotification('success', "Content expanded");
-    } catch (e) {
-      showNotification('error', "Expansion failed");
-    } finally {
-      setExpanding(false);
-    }
-  };
+// Side-by-side word diff: removals are marked on the older text, additions on the newer
+function VersionDiffModal({ older, newer, onClose }) {
+  const segments = useMemo(() => diffWords(older.content, newer.content), [older, newer]);
+  const count = (type) => countWords(segments.filter(s => s.type === type).map(s => s.text).join(' '));
 
   return (
-    <div className="h-full flex flex-col relative">
-      <div className="absolute bottom-6 right-6 z-10">
-        <button onClick={handleExpand} disabled={expanding} className={`shadow-xl px-6 py-3 rounded-full font-bold text-white ${THEME.accentBg} hover:opacity-90 disabled:opacity-50 flex items-center gap-2 transition-all hover:scale-105`}>
-          {expanding ? <Loader className="animate-spin" size={20} /> : <><Cpu size={20} /> AI Expand</>}
-        </button>
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className={`${THEME.card} w-full max-w-6xl h-[85vh] flex flex-col p-6 rounded-xl border ${THEME.border} shadow-2xl`}>
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-bold">Compare Versions</h3>
+          <span className="text-xs text-slate-400 ml-4 mr-auto">
+            <span className="text-emerald-400">+{count('insert').toLocaleString()}</span> / <span className="text-red-400">−{count('delete').toLocaleString()}</span> words
+          </span>
+          <button onClick={onClose} className="text-slate-400 hover:text-white"><X size={18} /></button>
+        </div>
+        <div className="flex-1 grid grid-cols-2 gap-4 min-h-0">
+          {[[older, 'delete', 'bg-red-500/20 text-red-300 line-through'], [newer, 'insert', 'bg-emerald-500/20 text-emerald-300']].map(([version, changed, className]) => (
+            <div key={changed} className="flex flex-col min-h-0">
+              <div className="text-xs uppercase tracking-wider text-slate-500 mb-2 truncate">{version.label}</div>
+              <div className="flex-1 overflow-y-auto p-4 rounded-lg bg-slate-900 border border-slate-700 font-serif text-sm leading-relaxed whitespace-pre-wrap text-slate-300">
+                {segments.filter(s => s.type === 'equal' || s.type === changed).map((s, i) => (
+                  <span key={i} className={s.type === changed ? className : ''}>{s.text}</span>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
       </div>
-      <textarea
-        className="flex-1 w-full bg-slate-900/50 border border-slate-700 rounded-xl p-8 text-lg leading-relaxed focus:border-cyan-500 outline-none resize-none font-serif text-slate-300"
-        placeholder="Start writing your chapter..."
-        value={content}
-        onChange={e => setContent(e.target.value)}
-      />
     </div>
   );
 }
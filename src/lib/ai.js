@@ -0,0 +1,330 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { asText } from './helpers.js';
+import { TASK_PRIORITIES, isoDate, addDays } from './tasks.js';
+import { SOURCE_TYPES, parseAuthors, shortAuthors } from './citations.js';
+import { CreditLimitError } from './credits.js';
+
+export const AI_MODEL = "gemini-2.5-flash";
+const AI_TIMEOUT_MS = 30000;
+const AI_MAX_ATTEMPTS = 3; // first answer plus two repair requests
+
+export class AIError extends Error {
+  constructor(code, message, cause, partial = '') {
+    super(message);
+    this.name = 'AIError';
+    this.code = code; // 'aborted' | 'timeout' | 'provider' | 'invalid_response'
+    this.cause = cause;
+    this.partial = partial; // text streamed before a cancelled or timed-out request stopped
+  }
+}
+
+// Selection actions for the chapter editor. `insert` actions add their text after the passage
+// instead of replacing it; `atEnd` actions continue the chapter and sit on the AI Expand button
+// rather than in the selection menu.
+export const WRITING_ACTIONS = {
+  paraphrase: { label: 'Paraphrase', instruction: 'Paraphrase the passage in different words, keeping its meaning, claims and length.' },
+  shorten: { label: 'Shorten', instruction: 'Shorten the passage to about half its length without losing its key claims.' },
+  formalize: { label: 'Formalize tone', instruction: 'Rewrite the passage in a formal academic register, removing colloquialisms and contractions.' },
+  summarize: { label: 'Summarize', instruction: 'Summarize the passage in one or two sentences.' },
+  explain: { label: 'Explain', insert: true, instruction: 'Write a short paragraph that explains the passage for a reader outside the field, to follow it in the chapter.' },
+  counter: { label: 'Counter-argument', insert: true, instruction: 'Write a short paragraph presenting the strongest counter-argument to the passage, to follow it in the chapter.' },
+  expand: { label: 'AI Expand', insert: true, atEnd: true }
+};
+
+// Describes the thesis and where the passage sits in it, so writing prompts stay on topic
+const thesisContext = ({ title, degree, field, chapter, outline = [], headings = [] }) => [
+  `You are helping write a ${degree || 'graduate'} thesis${field ? ` in ${field}` : ''} titled "${title}".`,
+  outline.length && `Thesis outline:\n${outline.map((t, i) => `${i + 1}. ${t}`).join('\n')}`,
+  chapter && `The text is from the chapter "${chapter}"${headings.length ? `, which has the sections: ${headings.join('; ')}` : ''}.`
+].filter(Boolean).join('\n');
+
+const AI_PROMPTS = {
+  concepts: ({ degree, field, interest }) => `Generate 3 unique, academic thesis concepts for a ${degree} student in ${field} interested in ${interest}. Return ONLY a JSON array of objects with keys: "title", "description". No markdown.`,
+  source: (abstract) => `Analyze this abstract and extract its citation details and findings. Return ONLY a JSON object with keys: "type" (one of "article", "inproceedings", "book", "misc"), "title", "authors" (array of { "family", "given" }), "year", "venue" (journal, conference or publisher), "volume", "issue", "pages", "doi", "url", "method", "result", "conclusion". Use "" for citation details the text does not state; guess title, authors and year if missing. No markdown. Abstract: ${abstract}`,
+  synthesis: (sources) => `You are drafting the literature review of a thesis. The sources are labelled S1, S2 and so on:
+${sources.map((s, i) => `S${i + 1}: "${s.title}" (${shortAuthors(s.authors)}, ${s.year || 'n.d.'}). Method: ${s.method || 'unknown'}. Result: ${s.result || 'unknown'}. Conclusion: ${s.conclusion || 'unknown'}.`).join('\n')}
+
+Group the sources into themes by topic or method, note where they agree, where they contradict each other, and which research gaps remain. Then write a literature review section of 3-5 paragraphs. Cite sources only by their labels in square brackets, e.g. [S1] or [S2, S3]. Return ONLY a JSON object with keys: "themes" (array of objects with keys "title", "summary", "sources" (array of labels)), "agreements", "contradictions", "gaps" (arrays of strings that cite labels), "draft" (string, paragraphs separated by blank lines). No markdown.`,
+  continue: (text, context) => `${thesisContext(context)}\n\nContinue this academic text with 3 sentences. Maintain tone and stay on the chapter's topic. Return ONLY the new sentences. Text: ${text.slice(-2000)}`,
+  rewrite: (action, text, context) => `${thesisContext(context)}\n\n${WRITING_ACTIONS[action].instruction} Return ONLY the resulting text, with paragraphs separated by blank lines. No markdown, no commentary.\n\nPassage:\n${text}`,
+  tasks: ({ title, field, degree, currentPhase, today, defenseDate, milestones = [], existing = [] }) => `Plan the work for a ${degree || 'graduate'} thesis${field ? ` in ${field}` : ''} titled "${title}". Today is ${today} and the student is in the ${currentPhase || 'Proposal'} phase. ${defenseDate ? `The defense is on ${defenseDate}.` : 'No defense date is set yet, so plan the next six months.'}
+${milestones.length ? `Planned phases:\n${milestones.map(m => `- ${m.phase}: ${m.start} to ${m.end}${m.completedAt ? ' (done)' : ''}`).join('\n')}\n` : ''}${existing.length ? `Already on the task board, do not repeat: ${existing.join('; ')}.\n` : ''}
+Break the remaining work into 8-15 concrete tasks that each take a few days to two weeks. Return ONLY a JSON array of objects with keys: "title" (short imperative), "description" (one sentence), "priority" ("Low", "Medium" or "High"), "dueDate" ("YYYY-MM-DD", after today${defenseDate ? ' and before the defense' : ''}, fitting the phase it belongs to), "checklist" (array of 0-4 short steps). No markdown.`,
+  repair: (prompt, reply, problem) => `${prompt}\n\nYour previous reply could not be used (${problem}):\n${reply.slice(0, 2000)}\n\nRespond again with valid JSON only.`
+};
+
+// Pulls the JSON payload out of a reply, tolerating markdown fences and surrounding prose
+const parseJSON = (text) => {
+  const clean = text.replace(/```(?:json)?/gi, '').trim();
+  const start = clean.search(/[[{]/);
+  const end = Math.max(clean.lastIndexOf(']'), clean.lastIndexOf('}'));
+  if (start === -1 || end < start) throw new Error('reply contained no JSON');
+  try {
+    return JSON.parse(clean.slice(start, end + 1));
+  } catch {
+    throw new Error('reply was not valid JSON');
+  }
+};
+
+// Best-effort parse of a reply cut off mid-stream: the open string, arrays and objects are closed,
+// and a dangling key is dropped. Returns null when nothing usable has arrived yet.
+export const parsePartialJSON = (text) => {
+  const clean = text.replace(/```(?:json)?/gi, '');
+  const start = clean.search(/[[{]/);
+  if (start === -1) return null;
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+  let out = '';
+  for (const ch of clean.slice(start)) {
+    out += ch;
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      closers.push(ch === '{' ? '}' : ']');
+    } else if (ch === '}' || ch === ']') {
+      closers.pop();
+      if (!closers.length) break;
+    }
+  }
+  if (escaped) out = out.slice(0, -1);
+  if (inString) out += '"';
+  const close = closers.reverse().join('');
+  const candidates = [out, out.replace(/"(?:[^"\\]|\\.)*"\s*:?\s*$/, ''), out.replace(/:\s*[^,{[]*$/, '')];
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate.replace(/[,:]\s*$/, '') + close);
+    } catch {
+      // try the next, shorter candidate
+    }
+  }
+  return null;
+};
+
+const lowerKeys = (obj) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [k.toLowerCase(), v]));
+
+// Lenient readers shared by the schemas and by partial (streamed or cancelled) replies
+export const readSource = (data) => {
+  const s = lowerKeys(data || {});
+  return {
+    type: SOURCE_TYPES[s.type] ? s.type : 'article',
+    title: asText(s.title),
+    authors: parseAuthors(s.authors ?? s.author),
+    ...Object.fromEntries(['year', 'venue', 'volume', 'issue', 'pages', 'doi', 'url', 'method', 'result', 'conclusion'].map(k => [k, asText(s[k])]))
+  };
+};
+
+export const readSynthesis = (data) => {
+  const d = lowerKeys(data || {});
+  const list = (value) => (Array.isArray(value) ? value.map(asText).filter(Boolean) : []);
+  return {
+    themes: (Array.isArray(d.themes) ? d.themes : [])
+      .map(t => lowerKeys(t || {}))
+      .map(t => ({ title: asText(t.title), summary: asText(t.summary), sources: list(t.sources) }))
+      .filter(t => t.title),
+    agreements: list(d.agreements),
+    contradictions: list(d.contradictions),
+    gaps: list(d.gaps),
+    draft: asText(d.draft)
+  };
+};
+
+const readTask = (data) => {
+  const t = lowerKeys(data || {});
+  const dueDate = asText(t.duedate ?? t.due);
+  return {
+    title: asText(t.title),
+    description: asText(t.description),
+    priority: TASK_PRIORITIES.find(p => p.toLowerCase() === asText(t.priority).toLowerCase()) || 'Medium',
+    dueDate: /^\d{4}-\d{2}-\d{2}$/.test(dueDate) ? dueDate : '',
+    checklist: (Array.isArray(t.checklist) ? t.checklist : []).map(asText).filter(Boolean)
+  };
+};
+
+export const readTasks = (data) => (Array.isArray(data) ? data : []).map(readTask).filter(t => t.title);
+
+// Schemas normalise model output and throw an Error naming the first problem they find
+const AI_SCHEMAS = {
+  concepts: (data) => {
+    if (!Array.isArray(data) || !data.length) throw new Error('expected a non-empty JSON array');
+    return data.map((item, i) => {
+      const c = lowerKeys(item || {});
+      const concept = { title: asText(c.title), description: asText(c.description) };
+      if (!concept.title || !concept.description) throw new Error(`concept ${i + 1} is missing "title" or "description"`);
+      return concept;
+    });
+  },
+  source: (data) => {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('expected a JSON object');
+    const source = readSource(data);
+    const missing = ['title', 'method', 'result', 'conclusion'].filter(k => !source[k]);
+    if (missing.length) throw new Error(`missing ${missing.map(k => `"${k}"`).join(', ')}`);
+    return source;
+  },
+  synthesis: (data) => {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('expected a JSON object');
+    const synthesis = readSynthesis(data);
+    if (!synthesis.themes.length) throw new Error('missing "themes"');
+    if (!synthesis.draft) throw new Error('missing "draft"');
+    if (!/\[S\d+/.test(synthesis.draft)) throw new Error('"draft" cites no sources with [S1]-style labels');
+    return synthesis;
+  },
+  tasks: (data) => {
+    if (!Array.isArray(data) || !data.length) throw new Error('expected a non-empty JSON array');
+    const tasks = data.map(readTask);
+    const untitled = tasks.findIndex(t => !t.title);
+    if (untitled !== -1) throw new Error(`task ${untitled + 1} is missing "title"`);
+    return tasks;
+  }
+};
+
+// Providers implement generate(prompt, { kind, signal, onChunk }) and resolve with the raw reply
+// text. When `onChunk` is given they stream, passing each piece of text as it arrives.
+export const createGeminiProvider = (apiKey, model = AI_MODEL) => {
+  const client = new GoogleGenerativeAI(apiKey);
+  return {
+    async generate(prompt, { signal, onChunk } = {}) {
+      const generativeModel = client.getGenerativeModel({ model });
+      if (!onChunk) return (await generativeModel.generateContent(prompt, { signal })).response.text();
+      const result = await generativeModel.generateContentStream(prompt, { signal });
+      let text = '';
+      for await (const chunk of result.stream) {
+        const piece = chunk.text();
+        text += piece;
+        onChunk(piece);
+      }
+      return text;
+    }
+  };
+};
+
+// Deterministic stand-in for tests: `replies` maps a request kind to a string or (prompt, call) => string.
+// Streamed replies arrive a few characters at a time, `chunkDelay` ms apart.
+export const createFakeProvider = (replies, { delay = 0, chunkDelay = 0 } = {}) => {
+  const calls = {};
+  return {
+    async generate(prompt, { kind, signal, onChunk } = {}) {
+      if (delay) await new Promise(r => setTimeout(r, delay));
+      if (signal?.aborted) throw new Error('aborted');
+      calls[kind] = (calls[kind] || 0) + 1;
+      const reply = replies[kind];
+      if (reply === undefined) throw new Error(`No fake reply for "${kind}"`);
+      const text = typeof reply === 'function' ? reply(prompt, calls[kind]) : reply;
+      if (onChunk) {
+        for (const piece of text.match(/[\s\S]{1,12}/g) || []) {
+          if (chunkDelay) await new Promise(r => setTimeout(r, chunkDelay));
+          if (signal?.aborted) throw new Error('aborted');
+          onChunk(piece);
+        }
+      }
+      return text;
+    }
+  };
+};
+
+// Canned replies for the fake provider, used by Demo Mode and by VITE_AI_PROVIDER=fake end-to-end runs
+export const FAKE_AI_REPLIES = {
+  concepts: JSON.stringify([
+    { title: "Adaptive Learning Pathways with Reinforcement Learning", description: "Personalising course sequencing from student interaction data." },
+    { title: "Explainable Models for Early Dropout Prediction", description: "Interpretable risk scores that advisors can act on." },
+    { title: "Peer Feedback Quality in Online Cohorts", description: "Measuring and improving the usefulness of peer review." }
+  ]),
+  source: JSON.stringify({ type: "article", title: "AI Generated Source", authors: [{ family: "Example", given: "Ada" }], year: "2024", venue: "Journal of Mock Studies", volume: "12", issue: "3", pages: "45-67", doi: "", url: "", method: "Mock Analysis", result: "Mock Result", conclusion: "Mock Conclusion" }),
+  synthesis: JSON.stringify({
+    themes: [
+      { title: "Model-based learner tracing", summary: "Sequence models of student knowledge outperform hand-built skill models.", sources: ["S1"] },
+      { title: "Adaptive sequencing", summary: "Systems rarely adapt the order of content, and reported gains vary.", sources: ["S2", "S3"] }
+    ],
+    agreements: ["Data-driven adaptation improves on fixed curricula [S1, S3]."],
+    contradictions: ["Reported learning gains depend heavily on the baseline used [S3]."],
+    gaps: ["Few systems adapt sequencing rather than content [S2]."],
+    draft: "Research on adaptive learning has moved from hand-authored rules towards models learned from student data. Deep knowledge tracing showed that recurrent networks predict learner performance better than Bayesian knowledge tracing [S1].\n\nDespite this, most adaptive systems still personalise content rather than its order [S2]. Where sequencing has been optimised with reinforcement learning, around half of the studies report significant gains, and the size of those gains depends on the strength of the baseline [S3].\n\nThis leaves open whether sequencing policies learned from interaction logs improve outcomes over well-designed fixed curricula [S2, S3]."
+  }),
+  continue: "Furthermore, recent studies indicate that these effects persist across contexts.",
+  rewrite: "Recent studies indicate that these effects persist across a range of educational contexts.",
+  tasks: () => JSON.stringify([
+    { title: "Write the problem statement", description: "State the gap the thesis addresses in one page.", priority: "High", dueDate: addDays(isoDate(), 5), checklist: ["Summarise the motivating literature", "Draft research questions", "Send to supervisor"] },
+    { title: "Build a reading list", description: "Collect the core papers for each research question.", priority: "High", dueDate: addDays(isoDate(), 14), checklist: ["Search Scopus and Google Scholar", "Import into Lit Review"] },
+    { title: "Draft the methodology outline", description: "Choose the study design, data sources and analysis plan.", priority: "Medium", dueDate: addDays(isoDate(), 30), checklist: ["Compare candidate designs", "List required data"] },
+    { title: "Apply for ethics approval", description: "Prepare and submit the ethics application.", priority: "High", dueDate: addDays(isoDate(), 45), checklist: ["Consent form", "Data management plan"] },
+    { title: "Run a pilot study", description: "Test the data collection process on a small sample.", priority: "Medium", dueDate: addDays(isoDate(), 70), checklist: [] },
+    { title: "Schedule a progress review", description: "Agree milestones for the next term with the supervisor.", priority: "Low", dueDate: addDays(isoDate(), 90), checklist: [] }
+  ])
+};
+
+// The single entry point for AI features. Each public call is charged once through `onGenerate`
+// (the credit ledger), then retried with a repair prompt while the reply fails its schema.
+// Passing `onText` streams the reply: it receives the text of the current attempt so far, and
+// the timeout then applies to the gap between chunks rather than to the whole reply.
+export function createAIService({ provider, onGenerate = async () => {}, timeout = AI_TIMEOUT_MS, maxAttempts = AI_MAX_ATTEMPTS }) {
+  const request = (kind, prompt, signal, onText) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new AIError('aborted', "AI request cancelled"));
+    const controller = new AbortController();
+    let partial = '';
+    const fail = (code, message) => {
+      controller.abort();
+      reject(new AIError(code, message, undefined, partial));
+    };
+    const onAbort = () => fail('aborted', "AI request cancelled");
+    let timer = setTimeout(() => fail('timeout', "AI request timed out"), timeout);
+    const onChunk = onText && ((piece) => {
+      if (controller.signal.aborted) return;
+      clearTimeout(timer);
+      timer = setTimeout(() => fail('timeout', "AI request timed out"), timeout);
+      partial += piece;
+      onText(partial);
+    });
+    signal?.addEventListener('abort', onAbort, { once: true });
+    provider.generate(prompt, { kind, signal: controller.signal, onChunk })
+      .then(resolve, (e) => reject(new AIError('provider', "AI provider request failed", e, partial)))
+      .finally(() => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      });
+  });
+
+  const generateText = async (kind, prompt, { signal, onText } = {}) => {
+    await onGenerate();
+    return (await request(kind, prompt, signal, onText)).trim();
+  };
+
+  const generateJSON = async (kind, prompt, { signal, onText } = {}) => {
+    await onGenerate();
+    let attemptPrompt = prompt;
+    let problem;
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const reply = await request(kind, attemptPrompt, signal, onText);
+      try {
+        return AI_SCHEMAS[kind](parseJSON(reply));
+      } catch (e) {
+        problem = e.message;
+        attemptPrompt = AI_PROMPTS.repair(prompt, reply, problem);
+      }
+    }
+    throw new AIError('invalid_response', `AI returned an unusable response (${problem})`);
+  };
+
+  return {
+    generateConcepts: (input, options) => generateJSON('concepts', AI_PROMPTS.concepts(input), options),
+    analyzeSource: (abstract, options) => generateJSON('source', AI_PROMPTS.source(abstract), options),
+    synthesizeSources: (sources, options) => generateJSON('synthesis', AI_PROMPTS.synthesis(sources), options),
+    continueText: (text, context, options) => generateText('continue', AI_PROMPTS.continue(text, context), options),
+    rewriteText: (action, text, context, options) => generateText('rewrite', AI_PROMPTS.rewrite(action, text, context), options),
+    planTasks: (plan, options) => generateJSON('tasks', AI_PROMPTS.tasks(plan), options)
+  };
+}
+
+// Returns the toast text for a failed AI call, or null when the user cancelled it
+export const aiErrorMessage = (e, fallback) => {
+  if (e instanceof CreditLimitError) return e.message;
+  if (e instanceof AIError) {
+    if (e.code === 'aborted') return null;
+    if (e.code === 'timeout') return "AI request timed out. Try again.";
+    if (e.code === 'invalid_response') return "AI returned an unusable response. Try again.";
+  }
+  return fallback;
+};
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAIService, createFakeProvider, AIError } from './ai.js';
+
+const INPUT = { degree: 'MSc', field: 'Education', interest: 'adaptive learning' };
+const CONCEPTS = [{ title: 'Adaptive Pathways', description: 'Sequencing courses from interaction data.' }];
+const CONTEXT = { title: 'Adaptive Learning' };
+
+test('an unusable reply is repaired with a follow-up prompt and charged once', async () => {
+  const prompts = [];
+  let charged = 0;
+  const provider = createFakeProvider({
+    concepts: (prompt, call) => {
+      prompts.push(prompt);
+      return call === 1 ? 'Sure! Here are three ideas.' : JSON.stringify(CONCEPTS);
+    }
+  });
+  const ai = createAIService({ provider, onGenerate: async () => { charged++; } });
+
+  assert.deepEqual(await ai.generateConcepts(INPUT), CONCEPTS);
+  assert.equal(charged, 1);
+  assert.equal(prompts.length, 2);
+  assert.match(prompts[1], /could not be used \(reply contained no JSON\)/);
+});
+
+test('replies that stay unusable fail once the repair attempts run out', async () => {
+  const ai = createAIService({ provider: createFakeProvider({ concepts: '[]' }), maxAttempts: 2 });
+  await assert.rejects(ai.generateConcepts(INPUT), (e) => e instanceof AIError && e.code === 'invalid_response');
+});
+
+test('a provider that does not answer in time times out', async () => {
+  const ai = createAIService({ provider: createFakeProvider({ continue: 'More text.' }, { delay: 50 }), timeout: 10 });
+  await assert.rejects(ai.continueText('Text so far.', CONTEXT), (e) => e instanceof AIError && e.code === 'timeout');
+});
+
+test('while streaming, the timeout applies between chunks rather than to the whole reply', async () => {
+  const reply = 'Each chunk arrives well inside the timeout, though the whole reply does not.';
+  const ai = createAIService({ provider: createFakeProvider({ continue: reply }, { chunkDelay: 10 }), timeout: 50 });
+  assert.equal(await ai.continueText('Text so far.', CONTEXT, { onText: () => {} }), reply);
+});
+
+test('cancelling rejects as aborted and keeps the text streamed so far', async () => {
+  const controller = new AbortController();
+  const ai = createAIService({ provider: createFakeProvider({ rewrite: 'These effects persist across contexts.' }, { chunkDelay: 5 }) });
+  const onText = () => controller.abort();
+
+  const error = await ai.rewriteText('paraphrase', 'The effects persist.', CONTEXT, { signal: controller.signal, onText }).catch(e => e);
+  assert.ok(error instanceof AIError);
+  assert.equal(error.code, 'aborted');
+  assert.equal(error.partial, 'These effect');
+});
+
+test('a request cancelled before it starts never reaches the provider', async () => {
+  let called = false;
+  const ai = createAIService({ provider: { generate: async () => { called = true; return ''; } } });
+  await assert.rejects(ai.continueText('Text so far.', CONTEXT, { signal: AbortSignal.abort() }), { code: 'aborted' });
+  assert.equal(called, false);
+});
@@ -0,0 +1,277 @@
+import { asText } from './helpers.js';
+
+// Sources carry a structured citation: { type, title, authors: [{ family, given }], etAl, year,
+// venue, volume, issue, pages, doi, url } next to the matrix fields (method, result, conclusion).
+// `etAl` marks an author list the source itself cut short, such as BibTeX's "and others".
+// Formatters return runs ([{ text, italic }]) so each export format can render emphasis its own way.
+export const CITATION_STYLES = { apa: 'APA 7', mla: 'MLA 9', ieee: 'IEEE', chicago: 'Chicago' };
+export const SOURCE_TYPES = { article: 'Journal Article', inproceedings: 'Conference Paper', book: 'Book', misc: 'Other' };
+
+// "Doe, Jane" or "Jane Doe" → { family: 'Doe', given: 'Jane' }
+export const parseName = (name) => {
+  const clean = name.trim();
+  if (clean.includes(',')) {
+    const [family, ...given] = clean.split(',');
+    return { family: family.trim(), given: given.join(' ').trim() };
+  }
+  const parts = clean.split(/\s+/);
+  return { family: parts.pop(), given: parts.join(' ') };
+};
+
+// Accepts an array of names or name objects, or a free-text list such as "Smith, J. and Doe, A."
+export const parseAuthors = (value) => {
+  if (Array.isArray(value)) {
+    return value
+      .map(a => (typeof a === 'string' ? parseName(a) : { family: asText(a?.family), given: asText(a?.given) }))
+      .filter(a => a.family);
+  }
+  const text = asText(value).replace(/,?\s*et al\.?/i, '');
+  if (!text) return [];
+  return text
+    .split(/\s*(?:;|\band\b|&)\s*/i)
+    .filter(Boolean)
+    // "Jane Doe, John Smith" is a list of names; "Doe, Jane" is a single inverted name
+    .flatMap(chunk => (chunk.split(',').every(part => /\S\s+\S/.test(part.trim())) ? chunk.split(',') : [chunk]))
+    .map(parseName)
+    .filter(a => a.family);
+};
+
+// Fills in the citation model for sources saved before it existed (they only had an `author` string)
+export const normalizeSource = (source) => ({
+  type: 'article',
+  ...source,
+  authors: source.authors?.length ? parseAuthors(source.authors) : parseAuthors(source.author),
+  doi: asText(source.doi).replace(/^https?:\/\/(dx\.)?doi\.org\//i, '')
+});
+
+const initials = (given = '') => given.split(/[\s.]+/).filter(Boolean).map(n => n.split('-').filter(Boolean).map(p => `${p[0].toUpperCase()}.`).join('-')).filter(Boolean).join(' ');
+export const fullName = (a) => [a.given, a.family].filter(Boolean).join(' ');
+export const invertedName = (a) => [a.family, a.given].filter(Boolean).join(', ');
+const withPeriod = (text) => (/[.?!]$/.test(text) ? text : `${text}.`);
+
+// "Piech et al." style label for tables and in-text citations
+export const shortAuthors = (authors = [], conjunction = '&', etAl = false) => {
+  if (!authors.length) return 'Unknown';
+  if (authors.length === 1 && !etAl) return authors[0].family;
+  if (authors.length === 2 && !etAl) return `${authors[0].family} ${conjunction} ${authors[1].family}`;
+  return `${authors[0].family} et al.`;
+};
+
+// Joins names as "A, B, and C"; `pairComma` gives "A, and B" when the first name is inverted
+const listAuthors = (names, conjunction, pairComma = true) => {
+  if (names.length <= 1) return names.join('');
+  if (names.length === 2) return `${names[0]}${pairComma ? ',' : ''} ${conjunction} ${names[1]}`;
+  return `${names.slice(0, -1).join(', ')}, ${conjunction} ${names[names.length - 1]}`;
+};
+const listEtAl = (names) => `${names.join(', ')}, et al.`;
+
+const AUTHOR_FORMATS = {
+  apa: (authors, etAl) => {
+    const names = authors.map(a => [a.family, initials(a.given)].filter(Boolean).join(', '));
+    if (names.length > 20) return `${names.slice(0, 19).join(', ')}, . . . ${names[names.length - 1]}`;
+    return etAl ? listEtAl(names) : listAuthors(names, '&');
+  },
+  mla: (authors, etAl) => {
+    if (authors.length > 2 || etAl) return `${invertedName(authors[0])}, et al.`;
+    return listAuthors([invertedName(authors[0]), ...authors.slice(1).map(fullName)], 'and');
+  },
+  ieee: (authors, etAl) => {
+    const names = authors.map(a => [initials(a.given), a.family].filter(Boolean).join(' '));
+    if (names.length > 6) return `${names[0]} et al.`;
+    return etAl ? listEtAl(names) : listAuthors(names, 'and', false);
+  },
+  chicago: (authors, etAl) => {
+    const list = authors.length > 10 ? authors.slice(0, 7) : authors;
+    const names = [invertedName(list[0]), ...list.slice(1).map(fullName)];
+    return authors.length > 10 || etAl ? listEtAl(names) : listAuthors(names, 'and');
+  }
+};
+
+// Returns the reference list entry for one source as runs of text
+function formatCitation(raw, style = 'apa') {
+  const s = normalizeSource(raw);
+  const runs = [];
+  const add = (text, italic = false) => text && runs.push({ text, italic });
+  const authors = s.authors.length ? AUTHOR_FORMATS[style](s.authors, s.etAl) : '';
+  const isBook = s.type === 'book';
+  const link = s.doi ? `https://doi.org/${s.doi}` : s.url;
+  const year = s.year || 'n.d.';
+
+  if (style === 'apa') {
+    add(`${authors ? `${withPeriod(authors)} ` : ''}(${year}). `);
+    if (isBook) {
+      add(s.title, true);
+      add(`. ${s.venue ? withPeriod(s.venue) : ''}`);
+    } else {
+      add(withPeriod(s.title));
+      if (s.venue) {
+        add(' ');
+        add(s.venue, true);
+        if (s.volume) {
+          add(', ');
+          add(s.volume, true);
+        }
+        add(s.issue && `(${s.issue})`);
+        add(s.pages && `, ${s.pages}`);
+        add('.');
+      }
+    }
+    add(link && ` ${link}`);
+  } else if (style === 'mla') {
+    add(authors && `${withPeriod(authors)} `);
+    if (isBook) {
+      add(s.title, true);
+      add(`. ${[s.venue, s.year].filter(Boolean).join(', ')}.`);
+    } else {
+      add(`"${withPeriod(s.title)}" `);
+      add(s.venue, true);
+      add(`${s.venue ? ', ' : ''}${[s.volume && `vol. ${s.volume}`, s.issue && `no. ${s.issue}`, s.year, s.pages && `pp. ${s.pages}`].filter(Boolean).join(', ')}.`);
+    }
+    add(link && ` ${link}.`);
+  } else if (style === 'ieee') {
+    add(authors && `${authors}, `);
+    if (isBook) {
+      add(s.title, true);
+      add(`. ${[s.venue, s.year].filter(Boolean).join(', ')}.`);
+    } else {
+      add(`"${s.title}," `);
+      if (s.venue) {
+        add(s.type === 'inproceedings' ? 'in ' : '');
+        add(s.venue, true);
+        add(', ');
+      }
+      add(`${[s.volume && `vol. ${s.volume}`, s.issue && `no. ${s.issue}`, s.pages && `pp. ${s.pages}`, year].filter(Boolean).join(', ')}`);
+      add(s.doi ? `, doi: ${s.doi}.` : '.');
+    }
+    if (!s.doi) add(s.url && ` [Online]. Available: ${s.url}`);
+  } else {
+    add(authors && `${withPeriod(authors)} `);
+    if (isBook) {
+      add(s.title, true);
+      add(`. ${[s.venue, s.year].filter(Boolean).join(', ')}.`);
+    } else {
+      add(`"${withPeriod(s.title)}"`);
+      add(s.venue && ' ');
+      add(s.venue, true);
+      add(`${s.volume ? ` ${s.volume}` : ''}${s.issue ? `, no. ${s.issue}` : ''} (${year})${s.pages ? `: ${s.pages}` : ''}.`);
+    }
+    add(link && ` ${link}.`);
+  }
+  return runs;
+}
+
+const runsToText = (runs) => runs.map(r => r.text).join('');
+
+// Orders a reference list for the style: IEEE numbers entries in the order given, so callers pass
+// them in citation order; the rest alphabetise
+export const formatBibliography = (sources, style = 'apa') => {
+  const entries = sources.map(s => formatCitation(s, style));
+  if (style === 'ieee') return entries.map((runs, i) => [{ text: `[${i + 1}] `, italic: false }, ...runs]);
+  return entries.sort((a, b) => runsToText(a).localeCompare(runsToText(b)));
+};
+
+// Matrix columns every project has; projects add their own in `matrixColumns` ([{ id, label }])
+// with values stored per source under `custom.{id}`
+export const MATRIX_FIELDS = [['method', 'Method'], ['result', 'Result'], ['conclusion', 'Conclusion']];
+
+export const SOURCE_SORTS = {
+  title: (s) => s.title.toLowerCase(),
+  author: (s) => (s.authors[0]?.family || '').toLowerCase(),
+  year: (s) => Number(s.year) || 0
+};
+
+export const sourceSearchText = (s) => [
+  s.title, s.authors.map(fullName), s.year, s.venue, ...MATRIX_FIELDS.map(([key]) => s[key]), s.tags, Object.values(s.custom || {})
+].flat().join(' ').toLowerCase();
+
+// In-text citation for sources cited together. IEEE cites by position in the reference list,
+// which `numberOf` resolves; the others are author-date (MLA omits the date). `page` adds a
+// locator for quotations.
+export const formatInTextCitation = (sources, style, numberOf, page) => {
+  if (style === 'ieee') return sources.map(s => `[${numberOf(s)}${page ? `, p. ${page}` : ''}]`).join(', ');
+  const parts = sources.map(s => {
+    if (style === 'mla') return `${shortAuthors(s.authors, 'and', s.etAl)}${page ? ` ${page}` : ''}`;
+    if (style === 'chicago') return `${shortAuthors(s.authors, 'and', s.etAl)} ${s.year || 'n.d.'}${page ? `, ${page}` : ''}`;
+    return `${shortAuthors(s.authors, '&', s.etAl)}, ${s.year || 'n.d.'}${page ? `, p. ${page}` : ''}`;
+  });
+  return `(${parts.join('; ')})`;
+};
+
+// Sources in reading order: by first citation across the chapter documents, then the uncited
+// ones in list order. IEEE numbers references by position in this list, so the editor, the
+// reference list and exports all agree.
+export const citationOrder = (docs, sources) => {
+  const ids = new Set();
+  const visit = (node) => {
+    if (node.type === 'citation') node.attrs.sourceIds.forEach(id => ids.add(id));
+    (node.content || []).forEach(visit);
+  };
+  docs.forEach(visit);
+  const cited = [...ids].map(id => sources.find(s => s.id === id)).filter(Boolean);
+  return [...cited, ...sources.filter(s => !cited.includes(s))];
+};
+
+// The `numberOf` for formatInTextCitation, from a citationOrder list
+export const citationNumber = (ordered) => (source) => ordered.findIndex(s => s.id === source.id) + 1;
+
+// Splits AI text containing [S1] or [S2, S3] labels into { text } and { cite: [sources] } segments.
+// `labelled` is the list the labels were numbered from; unknown labels are dropped.
+export const parseCitationLabels = (text, labelled) => text
+  .split(/(\[S\d+(?:\s*[,;]\s*S\d+)*\])/)
+  .filter(Boolean)
+  .map(part => {
+    const labels = part.match(/^\[(S\d+(?:\s*[,;]\s*S\d+)*)\]$/);
+    if (!labels) return { text: part };
+    return { cite: labels[1].split(/\s*[,;]\s*/).map(label => labelled[Number(label.slice(1)) - 1]).filter(Boolean) };
+  })
+  .filter(segment => segment.text || segment.cite.length);
+
+const BIBTEX_TYPES = { article: 'article', inproceedings: 'inproceedings', book: 'book', misc: 'misc' };
+const RIS_TYPES = { article: 'JOUR', inproceedings: 'CONF', book: 'BOOK', misc: 'GEN' };
+
+const citationKey = (s, used) => {
+  const base = `${(s.authors[0]?.family || 'anon').toLowerCase().replace(/[^a-z]/g, '')}${s.year || ''}${(s.title.match(/[A-Za-z]{3,}/) || ['ref'])[0].toLowerCase()}`;
+  let key = base;
+  for (let n = 1; used.has(key); n++) key = `${base}${String.fromCharCode(96 + n)}`;
+  used.add(key);
+  return key;
+};
+
+export const toBibTeX = (sources) => {
+  const used = new Set();
+  const escape = (value) => asText(value).replace(/([{}])/g, '\\$1').replace(/([&%$#_])/g, '\\$1');
+  return sources.map(normalizeSource).map(s => {
+    const fields = [
+      ['author', [...s.authors.map(invertedName), ...(s.etAl ? ['others'] : [])].join(' and ')],
+      ['title', `{${escape(s.title)}}`],
+      [s.type === 'book' ? 'publisher' : s.type === 'inproceedings' ? 'booktitle' : 'journal', s.venue],
+      ['year', s.year],
+      ['volume', s.volume],
+      ['number', s.issue],
+      ['pages', asText(s.pages).replace(/\s*[-–]\s*/, '--')],
+      ['doi', s.doi],
+      ['url', s.url]
+    ].filter(([, value]) => value);
+    const body = fields.map(([name, value]) => `  ${name} = {${name === 'title' ? value : escape(value)}}`).join(',\n');
+    return `@${BIBTEX_TYPES[s.type] || 'misc'}{${citationKey(s, used)},\n${body}\n}`;
+  }).join('\n\n') + '\n';
+};
+
+export const toRIS = (sources) => sources.map(normalizeSource).map(s => {
+  const [start, end] = asText(s.pages).split(/\s*[-–]+\s*/);
+  const lines = [
+    ['TY', RIS_TYPES[s.type] || 'GEN'],
+    ...s.authors.map(a => ['AU', invertedName(a)]),
+    ['TI', s.title],
+    [s.type === 'book' ? 'PB' : 'T2', s.venue],
+    ['PY', s.year],
+    ['VL', s.volume],
+    ['IS', s.issue],
+    ['SP', start],
+    ['EP', end],
+    ['DO', s.doi],
+    ['UR', s.url],
+    ['AB', s.abstract]
+  ].filter(([, value]) => value);
+  return [...lines.map(([tag, value]) => `${tag}  - ${value}`), 'ER  - '].join('\r\n');
+}).join('\r\n\r\n') + '\r\n';
@@ -0,0 +1,76 @@
+import { isNetworkError } from './network.js';
+
+export const CREDIT_LIMIT = 5; // AI generations allowed per rolling window
+export const CREDIT_WINDOW_MS = 60 * 60 * 1000; // both repeated in firestore.rules, which enforces them
+
+export class CreditLimitError extends Error {
+  constructor(resetAt) {
+    const when = resetAt ? new Date(resetAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : 'later';
+    super(`AI credit limit reached (${CREDIT_LIMIT}/hour). More credits at ${when}.`);
+    this.name = 'CreditLimitError';
+    this.resetAt = resetAt;
+  }
+}
+
+// Rolling-window quota for AI generations. Usage lives in the store at usage/{uid} and is
+// mirrored to localStorage, which is also the ledger when the store is unreachable or absent.
+// `now` and `storage` are injectable so the window can be exercised without waiting an hour.
+export function createCreditLedger({ store, uid, now = () => Date.now(), storage = localStorage, limit = CREDIT_LIMIT, windowMs = CREDIT_WINDOW_MS }) {
+  const usagePath = store && uid ? `usage/${uid}` : null;
+  const localKey = `thesis_nexus_credits_${uid || 'guest'}`;
+
+  const prune = (stamps) => stamps.filter(t => now() - t < windowMs);
+  const summarize = (stamps) => ({
+    remaining: Math.max(0, limit - stamps.length),
+    resetAt: stamps.length ? Math.min(...stamps) + windowMs : null
+  });
+  const readLocal = () => {
+    try {
+      return prune(JSON.parse(storage.getItem(localKey)) || []);
+    } catch {
+      return [];
+    }
+  };
+  const writeLocal = (stamps) => storage.setItem(localKey, JSON.stringify(stamps));
+
+  const consumeLocal = () => {
+    const stamps = readLocal();
+    if (stamps.length >= limit) throw new CreditLimitError(summarize(stamps).resetAt);
+    const next = [...stamps, now()];
+    writeLocal(next);
+    return summarize(next);
+  };
+
+  return {
+    async status() {
+      if (usagePath) {
+        try {
+          const usage = await store.get(usagePath);
+          return summarize(prune(usage?.generations || []));
+        } catch (e) {
+          console.warn("Credit ledger unavailable, using local usage", e);
+        }
+      }
+      return summarize(readLocal());
+    },
+
+    // Records one generation, or throws CreditLimitError when the window is exhausted
+    async consume() {
+      if (!usagePath) return consumeLocal();
+      try {
+        const { generations } = await store.transact(usagePath, (usage) => {
+          const current = prune(usage?.generations || []);
+          if (current.length >= limit) throw new CreditLimitError(summarize(current).resetAt);
+          return { generations: [...current, now()], updatedAt: store.timestamp() };
+        });
+        writeLocal(generations);
+        return summarize(generations);
+      } catch (e) {
+        // Anything but a lost connection, such as a rules rejection, must not hand out local credits
+        if (!isNetworkError(e)) throw e;
+        console.warn("Credit ledger unavailable, using local usage", e);
+        return consumeLocal();
+      }
+    }
+  };
+}
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCreditLedger, CreditLimitError } from './credits.js';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return { getItem: (key) => items.get(key) ?? null, setItem: (key, value) => items.set(key, String(value)) };
+};
+
+// Just enough of the store API for usage/{uid}; `error` makes every transaction fail with it
+const usageStore = ({ error } = {}) => {
+  const docs = {};
+  return {
+    get: async (path) => docs[path] ?? null,
+    transact: async (path, fn) => {
+      if (error) throw error;
+      docs[path] = fn(docs[path] ?? null);
+      return docs[path];
+    },
+    timestamp: () => new Date(0)
+  };
+};
+
+const failure = (code) => Object.assign(new Error(code), { code });
+
+test('credits come back one at a time as the rolling window passes them', async () => {
+  let time = 0;
+  const ledger = createCreditLedger({ store: usageStore(), uid: 'u1', now: () => time, storage: memoryStorage(), limit: 3, windowMs: 1000 });
+  for (const at of [0, 100, 200]) {
+    time = at;
+    await ledger.consume();
+  }
+
+  time = 999;
+  await assert.rejects(ledger.consume(), (e) => e instanceof CreditLimitError && e.resetAt === 1000);
+  assert.deepEqual(await ledger.status(), { remaining: 0, resetAt: 1000 });
+
+  time = 1000;
+  assert.deepEqual(await ledger.status(), { remaining: 1, resetAt: 1100 });
+  assert.deepEqual(await ledger.consume(), { remaining: 0, resetAt: 1100 });
+});
+
+test('usage is kept locally only while the store is unreachable', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const storage = memoryStorage();
+  const offline = createCreditLedger({ store: usageStore({ error: failure('unavailable') }), uid: 'u1', now: () => 0, storage, limit: 2 });
+  assert.equal((await offline.consume()).remaining, 1);
+  assert.equal((await offline.consume()).remaining, 0);
+  await assert.rejects(offline.consume(), CreditLimitError);
+
+  const denied = createCreditLedger({ store: usageStore({ error: failure('permission-denied') }), uid: 'u2', now: () => 0, storage, limit: 2 });
+  await assert.rejects(denied.consume(), { code: 'permission-denied' });
+  assert.equal(storage.getItem('thesis_nexus_credits_u2'), null);
+});
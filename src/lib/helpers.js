@@ -0,0 +1,89 @@
+export const countWords = (text = '') => (text.trim().match(/\S+/g) || []).length;
+
+// Firestore returns Timestamps (null until the server confirms the write); the memory store returns Dates
+export const toDate = (value) => (value?.toDate ? value.toDate() : value instanceof Date ? value : null);
+
+export const asText = (value) => (Array.isArray(value) ? value.join(', ') : value == null ? '' : String(value)).trim();
+
+// Spreadsheet-safe CSV: cells that look like formulas are prefixed so Excel shows them as text
+export const toCSV = (rows) => rows.map(row => row.map(cell => {
+  const text = String(cell ?? '');
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}).join(',')).join('\r\n') + '\r\n';
+
+const DIFF_CELL_LIMIT = 4000000; // beyond this a changed stretch is shown as one replacement
+
+// LCS diff of two token arrays, reporting each token through emit(type, token). Unchanged ends are
+// trimmed before the LCS.
+const diffTokens = (a, b, emit) => {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  a.slice(0, start).forEach(t => emit('equal', t));
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > DIFF_CELL_LIMIT) {
+    a.slice(start, endA).forEach(t => emit('delete', t));
+    b.slice(start, endB).forEach(t => emit('insert', t));
+  } else {
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = a[start + i] === b[start + j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        emit('equal', a[start + i]);
+        i++;
+        j++;
+      } else if (i < n && (j === m || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        emit('delete', a[start + i++]);
+      } else {
+        emit('insert', b[start + j++]);
+      }
+    }
+  }
+  a.slice(endA).forEach(t => emit('equal', t));
+};
+
+// Word-level diff as [{ type: 'equal' | 'insert' | 'delete', text }]. Whitespace is kept as
+// tokens so the segments join back into either text. The texts are matched line by line (a line
+// per paragraph, as docToText writes them) first and only changed lines are compared word by word,
+// which keeps whole chapters well under DIFF_CELL_LIMIT.
+export const diffWords = (before, after) => {
+  const segments = [];
+  const push = (type, text) => {
+    const last = segments[segments.length - 1];
+    if (last?.type === type) last.text += text;
+    else segments.push({ type, text });
+  };
+  const lines = (text) => text.split(/(?<=\n)/).filter(Boolean);
+  const words = (text) => text.split(/(\s+)/).filter(Boolean);
+  let removed = '';
+  let added = '';
+  const compareChanged = () => {
+    diffTokens(words(removed), words(added), push);
+    removed = '';
+    added = '';
+  };
+  diffTokens(lines(before), lines(after), (type, line) => {
+    if (type === 'delete') removed += line;
+    else if (type === 'insert') added += line;
+    else {
+      compareChanged();
+      push('equal', line);
+    }
+  });
+  compareChanged();
+  return segments;
+};
@@ -0,0 +1,11 @@
+// Writes that need the server fail fast without a connection. The code matches Firestore's, so
+// callers can treat both the same way.
+export class OfflineError extends Error {
+  constructor() {
+    super("You're offline");
+    this.name = 'OfflineError';
+    this.code = 'unavailable';
+  }
+}
+
+export const isNetworkError = (e) => e?.code === 'unavailable' || e?.code === 'deadline-exceeded';
@@ -0,0 +1,193 @@
+import { asText } from './helpers.js';
+import { parseAuthors } from './citations.js';
+
+// Parses exports from reference managers into the source model. Entries keep their `abstract`
+// so the AI scanner can fill in method/result/conclusion afterwards.
+export const REFERENCE_FILE_TYPES = '.bib,.bibtex,.ris,.json';
+
+const BIBTEX_TYPE_MAP = { article: 'article', inproceedings: 'inproceedings', conference: 'inproceedings', book: 'book' };
+const RIS_TYPE_MAP = { JOUR: 'article', JFULL: 'article', EJOUR: 'article', CONF: 'inproceedings', CPAPER: 'inproceedings', BOOK: 'book', EBOOK: 'book' };
+const CSL_TYPE_MAP = { 'article-journal': 'article', 'paper-conference': 'inproceedings', book: 'book' };
+
+const findYear = (value) => (asText(value).match(/\d{4}/) || [''])[0];
+
+// Builds a source from parsed fields, dropping the ones the file left empty
+const importedSource = ({ authors = [], etAl, ...fields }) => ({
+  ...Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, asText(v)]).filter(([, v]) => v)),
+  type: fields.type || 'misc',
+  authors: parseAuthors(authors),
+  ...(etAl && { etAl }),
+  doi: asText(fields.doi).replace(/^https?:\/\/(dx\.)?doi\.org\//i, '')
+});
+
+const LATEX_ACCENTS = { '`': '\u0300', "'": '\u0301', '^': '\u0302', '"': '\u0308', '~': '\u0303', '=': '\u0304', '.': '\u0307', u: '\u0306', v: '\u030c', H: '\u030b', c: '\u0327' };
+
+// Removes the LaTeX markup reference managers commonly emit: accents, escapes and grouping braces
+const stripLaTeX = (text) => text
+  .replace(/\\(?:([`'^"~=.])\s*|([uvHc])(?:\s+|(?=\{)))\{?\\?([A-Za-z])\}?/g, (match, symbol, letter, base) => `${base}${LATEX_ACCENTS[symbol || letter]}`.normalize('NFC'))
+  .replace(/\\(?:textit|textbf|emph|mathrm|textsc|url)\s*\{([^{}]*)\}/g, '$1')
+  .replace(/\\([&%$#_{}])/g, '$1')
+  .replace(/[{}]/g, '')
+  .replace(/--+/g, '-')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Month abbreviations BibTeX defines before any @string in the file
+const BIBTEX_MONTHS = {
+  jan: 'January', feb: 'February', mar: 'March', apr: 'April', may: 'May', jun: 'June',
+  jul: 'July', aug: 'August', sep: 'September', oct: 'October', nov: 'November', dec: 'December'
+};
+
+// Reads one field value starting at `i`: {braced}, "quoted" or a bare word, joined by #. Bare
+// words are @string macro names and expand to their definition.
+const readBibTeXValue = (text, i, macros) => {
+  let value = '';
+  for (;;) {
+    while (/\s/.test(text[i])) i++;
+    if (text[i] === '{' || text[i] === '"') {
+      const close = text[i] === '{' ? '}' : '"';
+      let depth = 0;
+      let j = i + 1;
+      for (; j < text.length; j++) {
+        if (text[j] === '\\') { j++; continue; }
+        if (text[j] === '{') depth++;
+        else if (text[j] === '}' && depth > 0) depth--;
+        else if (text[j] === close && depth === 0) break;
+      }
+      value += text.slice(i + 1, j);
+      i = j + 1;
+    } else {
+      const word = text.slice(i).match(/^[^,#})\s]*/)[0];
+      value += macros[word.toLowerCase()] ?? word;
+      i += word.length;
+    }
+    while (/\s/.test(text[i])) i++;
+    if (text[i] !== '#') return [value, i];
+    i++;
+  }
+};
+
+function parseBibTeX(text) {
+  const entries = [];
+  const macros = { ...BIBTEX_MONTHS };
+  const entryStart = /@(\w+)\s*[{(]/g;
+  let match;
+  while ((match = entryStart.exec(text))) {
+    const kind = match[1].toLowerCase();
+    if (kind === 'string') {
+      const name = text.slice(entryStart.lastIndex).match(/^\s*([\w-]+)\s*=/);
+      if (!name) continue;
+      const [value, end] = readBibTeXValue(text, entryStart.lastIndex + name[0].length, macros);
+      macros[name[1].toLowerCase()] = value;
+      entryStart.lastIndex = end;
+      continue;
+    }
+    if (['comment', 'preamble'].includes(kind)) continue;
+    let i = text.indexOf(',', entryStart.lastIndex) + 1; // skip the citation key
+    if (i === 0) break;
+    const fields = {};
+    for (;;) {
+      const name = text.slice(i).match(/^\s*,?\s*([\w-]+)\s*=/);
+      if (!name) break;
+      const [value, end] = readBibTeXValue(text, i + name[0].length, macros);
+      fields[name[1].toLowerCase()] = stripLaTeX(value);
+      i = end;
+    }
+    entryStart.lastIndex = i;
+    const type = BIBTEX_TYPE_MAP[kind] || 'misc';
+    const authors = fields.author ? fields.author.split(/\s+and\s+/i) : [];
+    // "and others" ends a list the entry did not spell out in full
+    const etAl = authors.length > 0 && authors[authors.length - 1].trim().toLowerCase() === 'others';
+    entries.push(importedSource({
+      type,
+      title: fields.title,
+      authors: etAl ? authors.slice(0, -1) : authors,
+      etAl,
+      year: fields.year || findYear(fields.date),
+      venue: fields.journal || fields.journaltitle || fields.booktitle || fields.publisher,
+      volume: fields.volume,
+      issue: fields.number || fields.issue,
+      pages: fields.pages,
+      doi: fields.doi,
+      url: fields.url,
+      abstract: fields.abstract
+    }));
+  }
+  return entries;
+}
+
+function parseRIS(text) {
+  const entries = [];
+  let record = null;
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^([A-Z][A-Z0-9]) {2}-\s?(.*)$/);
+    if (!match) return;
+    const [, tag, value] = match;
+    if (tag === 'TY') record = { TY: [value.trim()] };
+    else if (tag === 'ER' && record) {
+      const get = (...tags) => tags.map(t => record[t]?.[0]).find(Boolean) || '';
+      const type = RIS_TYPE_MAP[get('TY')] || 'misc';
+      entries.push(importedSource({
+        type,
+        title: get('TI', 'T1', 'CT'),
+        authors: [...(record.AU || []), ...(record.A1 || [])],
+        year: findYear(get('PY', 'Y1', 'DA')),
+        venue: type === 'book' ? get('PB') : get('T2', 'JO', 'JF', 'BT', 'JA'),
+        volume: get('VL'),
+        issue: get('IS'),
+        pages: [get('SP'), get('EP')].filter(Boolean).join('-'),
+        doi: get('DO'),
+        url: get('UR'),
+        abstract: get('AB', 'N2')
+      }));
+      record = null;
+    } else if (record) (record[tag] ||= []).push(value.trim());
+  });
+  return entries;
+}
+
+function parseCSLJSON(text) {
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : Array.isArray(data.items) ? data.items : [data];
+  return items.map(item => {
+    const type = CSL_TYPE_MAP[item.type] || 'misc';
+    const issued = item.issued || {};
+    return importedSource({
+      type,
+      title: item.title,
+      authors: (item.author || []).map(a => (a.literal ? { family: a.literal, given: '' } : { family: a.family, given: a.given })),
+      year: findYear(issued['date-parts']?.[0]?.[0] ?? issued.raw ?? issued.literal),
+      venue: type === 'book' ? item.publisher : item['container-title'],
+      volume: item.volume,
+      issue: item.issue,
+      pages: item.page,
+      doi: item.DOI,
+      url: item.URL,
+      abstract: item.abstract
+    });
+  });
+}
+
+// Picks a parser from the extension, falling back to sniffing the contents
+export const parseReferenceFile = (fileName, text) => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  const trimmed = text.trim();
+  if (extension === 'json' || /^[[{]/.test(trimmed)) return parseCSLJSON(trimmed);
+  if (extension === 'ris' || /^TY {2}-/m.test(trimmed)) return parseRIS(trimmed);
+  if (['bib', 'bibtex'].includes(extension) || trimmed.includes('@')) return parseBibTeX(trimmed);
+  throw new Error('Unrecognised reference file');
+};
+
+const normalizeTitle = (title) => asText(title).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+const sourceKeys = (s) => [s.doi && `doi:${s.doi.toLowerCase()}`, normalizeTitle(s.title) && `title:${normalizeTitle(s.title)}`].filter(Boolean);
+
+// Flags entries already in the project, or repeated earlier in the same file, by DOI or title
+export const markDuplicates = (existing, incoming) => {
+  const seen = new Set(existing.flatMap(sourceKeys));
+  return incoming.map(s => {
+    const keys = sourceKeys(s);
+    const duplicate = keys.some(k => seen.has(k));
+    keys.forEach(k => seen.add(k));
+    return { ...s, duplicate };
+  });
+};
@@ -0,0 +1,38 @@
+import { toDate } from './helpers.js';
+
+// Board columns are stored on the project as `taskColumns`; a task's `status` is its column id.
+// The defaults use the original status names as ids, so tasks from before columns were
+// configurable stay where they were. Columns marked `done` count as completed work.
+const DEFAULT_TASK_COLUMNS = [
+  { id: 'To Do', title: 'To Do' },
+  { id: 'In Progress', title: 'In Progress' },
+  { id: 'Done', title: 'Done', done: true }
+];
+export const TASK_PRIORITIES = ['Low', 'Medium', 'High'];
+const DUE_SOON_DAYS = 3;
+
+export const taskColumns = (project) => (project.taskColumns?.length ? project.taskColumns : DEFAULT_TASK_COLUMNS);
+
+// Tasks in a column that no longer exists fall back to the first column
+export const columnOf = (task, columns) => (columns.some(c => c.id === task.status) ? task.status : columns[0].id);
+
+// Tasks without an `order` (created before drag-and-drop) go last, oldest first
+export const sortTasks = (tasks) => [...tasks].sort((a, b) => (
+  (a.order ?? Infinity) - (b.order ?? Infinity) || (toDate(a.createdAt)?.getTime() ?? 0) - (toDate(b.createdAt)?.getTime() ?? 0)
+));
+
+// Dates are kept as local 'YYYY-MM-DD' strings, which compare correctly as text
+export const isoDate = (date = new Date()) => date.toLocaleDateString('en-CA');
+export const addDays = (iso, days) => {
+  const date = new Date(`${iso}T12:00:00`);
+  date.setDate(date.getDate() + days);
+  return isoDate(date);
+};
+export const daysBetween = (from, to) => Math.round((new Date(`${to}T12:00:00`) - new Date(`${from}T12:00:00`)) / 86400000);
+
+export const dueState = (task, columns) => {
+  if (!task.dueDate || columns.find(c => c.id === columnOf(task, columns))?.done) return null;
+  const today = isoDate();
+  if (task.dueDate < today) return 'overdue';
+  return task.dueDate <= addDays(today, DUE_SOON_DAYS) ? 'soon' : 'later';
+};